@@ -8,6 +8,15 @@ import authRoutes from './routes/authRoutes.js';
 import protectedRoutes from './routes/protectedRoutes.js'; 
 import syncRoutes from './routes/syncRoutes.js';
 import downSyncRoutes from './routes/downSyncRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
+import recallRoutes from './routes/recallRoutes.js';
+import taskRoutes from './routes/taskRoutes.js';
+import assignmentRoutes from './routes/assignmentRoutes.js';
+import { startSupplyMonitor } from './jobs/supplyMonitor.js';
+import { startTaskScheduler } from './jobs/taskScheduler.js';
+import { startTaskEscalation } from './jobs/taskEscalation.js';
 
 dotenv.config();
 
@@ -16,7 +25,7 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // batch sync payloads can carry a whole device outbox
 app.use(morgan('dev'));
 
 // Routes
@@ -24,6 +33,12 @@ app.use('/api', authRoutes);
 app.use('/api', protectedRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/down-sync', downSyncRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/recalls', recallRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/task-assignments', assignmentRoutes);
 
 // Root routeAdd commentMore actions
 app.get('/', (req, res) => {
@@ -33,4 +48,7 @@ app.get('/', (req, res) => {
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server is running on http://0.0.0.0:${PORT}`);
+  startSupplyMonitor();
+  startTaskScheduler();
+  startTaskEscalation();
 });
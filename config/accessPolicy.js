@@ -0,0 +1,112 @@
+// config/accessPolicy.js
+import { db } from '../storage/index.js';
+import { syncEntities } from './syncEntities.js';
+import { toISOStringSafe } from './toISOString.js';
+import { isActiveAssignee } from '../models/taskAssignmentModel.js';
+
+export const allowedRoles = ['admin', 'fieldworker', 'volunteer', 'coordinator'];
+export const MANAGER_ROLES = ['admin', 'coordinator'];
+const FIELD_ROLES = ['fieldworker', 'volunteer'];
+
+/**
+ * Who may write each entity through /api/sync/*.
+ * - roles: roles allowed to write the entity at all
+ * - ownOnly: roles that may only touch records they own (see ownerField in syncEntities)
+ */
+const syncWritePolicy = {
+  user: { roles: allowedRoles, ownOnly: FIELD_ROLES },
+  registration: { roles: allowedRoles, ownOnly: FIELD_ROLES },
+  supply: { roles: ['admin', 'coordinator', 'fieldworker'], ownOnly: [] },
+  'supply-movement': { roles: ['admin', 'coordinator', 'fieldworker'], ownOnly: FIELD_ROLES },
+  'supply-lot': { roles: ['admin', 'coordinator', 'fieldworker'], ownOnly: [] },
+  'catalog-item': { roles: MANAGER_ROLES, ownOnly: [] },
+  'stock-transfer': { roles: ['admin', 'coordinator', 'fieldworker'], ownOnly: [] }, // Dispatched and received by other people than the requester
+  task: { roles: allowedRoles, ownOnly: [] }, // Field roles only move the status of tasks assigned to them
+  'task-template': { roles: MANAGER_ROLES, ownOnly: [] },
+  'task-assignment': { roles: allowedRoles, ownOnly: FIELD_ROLES },
+  location: { roles: MANAGER_ROLES, ownOnly: [] },
+  alert: { roles: allowedRoles, ownOnly: FIELD_ROLES },
+  notification: { roles: allowedRoles, ownOnly: FIELD_ROLES },
+};
+
+// Task fields only admins and coordinators may change
+const TASK_CONTENT_FIELDS = ['title', 'description', 'priority', 'location_id', 'due_date', 'blocked_by'];
+
+// An empty list reads the same as a missing one, for tasks stored before the field existed
+const comparable = (value) => (Array.isArray(value)
+  ? (value.length ? JSON.stringify(value) : '')
+  : toISOStringSafe(value) ?? value ?? '');
+
+// Field roles tick checklist items off (done) but don't add, remove, reorder or reword them
+const checklistEdited = (next, current) => {
+  const outline = (list) => JSON.stringify((list ?? []).map((item) => [item?.item_id, item?.text]));
+  return next !== undefined && outline(next) !== outline(current);
+};
+
+// Roles each role may grant when writing a user profile; only admins raise anyone to coordinator or admin
+const assignableRoles = {
+  admin: allowedRoles,
+  coordinator: ['fieldworker', 'volunteer'],
+};
+
+/**
+ * Checks whether the authenticated user may write the given sync payload.
+ * Ownership is checked against both the incoming payload and the stored document,
+ * so a field worker cannot take over someone else's record by rewriting its owner.
+ * @param {Object} user - Decoded JWT ({ uid, email, role })
+ * @param {string} entity - Key of syncEntities (e.g. 'task-assignment')
+ * @param {Object} data - The record being written
+ * @returns {Promise<{allowed: boolean, reason?: string}>}
+ */
+export const checkSyncWriteAccess = async (user, entity, data = {}) => {
+  const policy = syncWritePolicy[entity];
+  const meta = syncEntities[entity];
+
+  if (!policy || !meta) {
+    return { allowed: false, reason: `Unknown entity: ${entity}` };
+  }
+
+  if (!user || !policy.roles.includes(user.role)) {
+    return { allowed: false, reason: `Role "${user?.role}" may not write ${entity} records` };
+  }
+
+  const id = data[meta.idField];
+  let existing = null;
+
+  if (id) {
+    const doc = await db.collection(meta.collection).doc(id).get();
+    existing = doc.exists ? doc.data() : null;
+  }
+
+  if (policy.ownOnly.includes(user.role)) {
+    const owners = [data[meta.ownerField], existing?.[meta.ownerField]].filter(Boolean);
+    if (owners.length === 0 || owners.some((owner) => owner !== user.uid)) {
+      return { allowed: false, reason: `You may only write your own ${entity} records` };
+    }
+  }
+
+  if (entity === 'user' && data.role) {
+    const currentRole = existing?.role ?? (id === user.uid ? user.role : null);
+    const grantable = assignableRoles[user.role] || [];
+    if (data.role !== currentRole && !grantable.includes(data.role)) {
+      return { allowed: false, reason: `Role "${user.role}" may not assign role "${data.role}"` };
+    }
+  }
+
+  if (entity === 'task' && FIELD_ROLES.includes(user.role)) {
+    if (!existing) {
+      return { allowed: false, reason: 'Only admins and coordinators may create tasks' };
+    }
+    const edited = TASK_CONTENT_FIELDS.filter((field) => data[field] !== undefined
+      && comparable(data[field]) !== comparable(existing[field]));
+    if (checklistEdited(data.checklist, existing.checklist)) edited.push('checklist items');
+    if (edited.length > 0) {
+      return { allowed: false, reason: `Only admins and coordinators may change a task's ${edited.join(', ')}` };
+    }
+    if (!(await isActiveAssignee(id, user.uid))) {
+      return { allowed: false, reason: 'You may only update tasks assigned to you' };
+    }
+  }
+
+  return { allowed: true };
+};
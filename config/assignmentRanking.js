@@ -0,0 +1,50 @@
+// config/assignmentRanking.js
+// How auto-assignment ranks candidates for a task. Each candidate gets a score in kilometre-equivalents, lowest
+// first: the distance from where they work to the task's location, plus a charge for every open assignment they
+// already hold and for roles other than fieldworker. Someone 10 km further away with one fewer open
+// assignment therefore ranks the same.
+
+export const RANKING_WEIGHTS = {
+  km_per_open_assignment: 10,
+  unknown_distance_km: 50, // Used when the worker's or the task's position is unknown
+  role_km: { fieldworker: 0, volunteer: 15 },
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasPosition = (place) => typeof place?.latitude === 'number' && typeof place?.longitude === 'number';
+
+/**
+ * Great-circle distance between two places with latitude/longitude.
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number|null} - Kilometres, or null if either position is unknown
+ */
+export const distanceKm = (a, b) => {
+  if (!hasPosition(a) || !hasPosition(b)) return null;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Scores and sorts candidates, best first. Ties go to fewer open assignments, then to the user id so the
+ * ranking is stable between a dry run and the real one.
+ * @param {Array<{user_id: string, role: string, distance_km: number|null, open_assignments: number}>} candidates
+ * @param {Object} [weights]
+ * @returns {Array<Object>} - The candidates with score and rank (1-based) added
+ */
+export const rankCandidates = (candidates, weights = RANKING_WEIGHTS) => candidates
+  .map((candidate) => ({
+    ...candidate,
+    score: Math.round(((candidate.distance_km ?? weights.unknown_distance_km)
+      + candidate.open_assignments * weights.km_per_open_assignment
+      + (weights.role_km[candidate.role] ?? 0)) * 10) / 10,
+  }))
+  .sort((a, b) => a.score - b.score
+    || a.open_assignments - b.open_assignments
+    || a.user_id.localeCompare(b.user_id))
+  .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
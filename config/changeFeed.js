@@ -0,0 +1,47 @@
+// config/changeFeed.js
+// In-process feed of committed writes, consumed by the /api/stream change stream.
+// Each event is { entity, collection, id, data }. Listeners only see writes made by this server
+// instance; devices reconnecting with their last cursor catch up on everything else from storage.
+import { EventEmitter } from 'events';
+import { syncEntities } from './syncEntities.js';
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0); // One listener per connected device
+
+const entityByCollection = Object.fromEntries(
+  Object.entries(syncEntities).map(([entity, { collection }]) => [collection, entity])
+);
+
+/**
+ * Publishes a document snapshot taken after a write. Documents outside the sync entities are ignored.
+ * @param {Object} snapshot - Firestore document snapshot
+ */
+export const publishChange = (snapshot) => {
+  const collection = snapshot.ref.parent.id;
+  const entity = entityByCollection[collection];
+  if (!entity || !snapshot.exists) return;
+
+  feed.emit('change', { entity, collection, id: snapshot.id, data: snapshot.data() });
+};
+
+/**
+ * Reads a document that was just written and publishes it. Never throws: a missed event
+ * only delays delivery until the device's next catch-up.
+ * @param {Object} docRef - Firestore document reference
+ */
+export const publishDoc = async (docRef) => {
+  try {
+    publishChange(await docRef.get());
+  } catch (err) {
+    console.error('❌ Failed to publish change:', err);
+  }
+};
+
+/**
+ * @param {Function} listener - Called with every change event
+ * @returns {Function} - Unsubscribes the listener
+ */
+export const subscribeChanges = (listener) => {
+  feed.on('change', listener);
+  return () => feed.off('change', listener);
+};
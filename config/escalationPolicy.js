@@ -0,0 +1,98 @@
+// config/escalationPolicy.js
+// When open tasks and their assignments count as late, and who hears about it, per task priority. Used by
+// jobs/taskEscalation.js. Three conditions are watched:
+//
+//   overdue     the task is past its due_date
+//   unaccepted  an assignment is still 'assigned' accept_within_hours after it was assigned
+//   unassigned  the task has no active assignment assign_within_hours after it was created (null: not watched)
+//
+// An assignment still not accepted reassign_after_hours after it was assigned is withdrawn and the task goes to
+// the next candidate (controllers/assignmentController.js); null leaves it with the assignee.
+//
+// Each condition walks the priority's ladder: a step notifies its audience once the condition has lasted
+// after_hours. Audiences are 'creator' (the task's created_by) and 'coordinators' (the coordinators of the
+// task's location, see getLocationCoordinatorIds).
+//
+// TASK_ESCALATION_POLICY (environment, JSON) overrides the defaults per priority, e.g.
+//   {"normal":{"accept_within_hours":8,"ladder":[{"after_hours":0,"notify":"creator"},{"after_hours":12,"notify":"coordinators"}]}}
+import { PRIORITIES } from './syncSchemas.js';
+
+export const ESCALATION_AUDIENCES = ['creator', 'coordinators'];
+
+export const DEFAULT_ESCALATION_POLICY = {
+  urgent: {
+    accept_within_hours: 1,
+    assign_within_hours: 0,
+    reassign_after_hours: 2,
+    ladder: [{ after_hours: 0, notify: 'creator' }, { after_hours: 1, notify: 'coordinators' }],
+  },
+  high: {
+    accept_within_hours: 4,
+    assign_within_hours: 2,
+    reassign_after_hours: 8,
+    ladder: [{ after_hours: 0, notify: 'creator' }, { after_hours: 4, notify: 'coordinators' }],
+  },
+  normal: {
+    accept_within_hours: 24,
+    assign_within_hours: null,
+    reassign_after_hours: 48,
+    ladder: [{ after_hours: 0, notify: 'creator' }, { after_hours: 24, notify: 'coordinators' }],
+  },
+  low: {
+    accept_within_hours: 48,
+    assign_within_hours: null,
+    reassign_after_hours: 96,
+    ladder: [{ after_hours: 0, notify: 'creator' }, { after_hours: 72, notify: 'coordinators' }],
+  },
+};
+
+const isHours = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+// Returns why one priority's override is unusable, or null
+const overrideError = (priority, override) => {
+  if (!PRIORITIES.includes(priority)) return `unknown priority "${priority}"`;
+  if (!override || typeof override !== 'object') return `${priority} must be an object`;
+  if (override.accept_within_hours !== undefined && (override.accept_within_hours === null || !isHours(override.accept_within_hours))) {
+    return `${priority}.accept_within_hours must be a number of hours`;
+  }
+  if (override.assign_within_hours !== undefined && !isHours(override.assign_within_hours)) {
+    return `${priority}.assign_within_hours must be a number of hours or null`;
+  }
+  if (override.reassign_after_hours !== undefined && !isHours(override.reassign_after_hours)) {
+    return `${priority}.reassign_after_hours must be a number of hours or null`;
+  }
+  if (override.ladder !== undefined) {
+    if (!Array.isArray(override.ladder) || override.ladder.length === 0) return `${priority}.ladder must list at least one step`;
+    const bad = override.ladder.find((step) => !isHours(step?.after_hours) || step.after_hours === null
+      || !ESCALATION_AUDIENCES.includes(step.notify));
+    if (bad) return `${priority}.ladder steps need after_hours and notify (${ESCALATION_AUDIENCES.join(' or ')})`;
+  }
+  return null;
+};
+
+/**
+ * The escalation policy in force: the defaults with TASK_ESCALATION_POLICY applied. An invalid override is
+ * logged and ignored as a whole, so a typo never silences escalations.
+ * @returns {Object<string, {accept_within_hours: number, assign_within_hours: number|null, reassign_after_hours: number|null, ladder: Array<{after_hours: number, notify: string}>}>}
+ *   Ladders sorted by after_hours
+ */
+export const getEscalationPolicy = () => {
+  let overrides = {};
+  const raw = process.env.TASK_ESCALATION_POLICY;
+
+  if (raw) {
+    try {
+      overrides = JSON.parse(raw);
+      const error = Object.entries(overrides).map(([priority, override]) => overrideError(priority, override)).find(Boolean);
+      if (error) throw new Error(error);
+    } catch (err) {
+      console.error(`❌ Ignoring TASK_ESCALATION_POLICY: ${err.message}`);
+      overrides = {};
+    }
+  }
+
+  return Object.fromEntries(PRIORITIES.map((priority) => {
+    const policy = { ...DEFAULT_ESCALATION_POLICY[priority], ...overrides[priority] };
+    return [priority, { ...policy, ladder: [...policy.ladder].sort((a, b) => a.after_hours - b.after_hours) }];
+  }));
+};
@@ -0,0 +1,26 @@
+// config/gtin.js
+// GTIN barcodes (EAN-8, UPC-A, EAN-13, GTIN-14). The same product scans as a 12-digit UPC on one device and a
+// 13-digit EAN on another, so codes are compared in their 14-digit form (left-padded with zeros).
+
+const GTIN_FORMAT = /^(\d{8}|\d{12,14})$/;
+
+/**
+ * Whether a code is a GTIN with a correct check digit.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isValidGtin = (code) => {
+  if (typeof code !== 'string' || !GTIN_FORMAT.test(code)) return false;
+
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  // Weights alternate 3, 1, 3, ... from the digit next to the check digit
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+/**
+ * @param {string} code
+ * @returns {string|null} - The 14-digit form, or null if the code isn't a valid GTIN
+ */
+export const normalizeGtin = (code) => (isValidGtin(code) ? code.padStart(14, '0') : null);
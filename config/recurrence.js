@@ -0,0 +1,130 @@
+// config/recurrence.js
+// A subset of iCalendar RRULE (RFC 5545) for task templates, evaluated in UTC:
+//   FREQ=DAILY|WEEKLY|MONTHLY   required
+//   INTERVAL=<n>                every n days/weeks/months, default 1
+//   BYDAY=MO,WE,FR              WEEKLY only; default the start's weekday (weeks start on Monday)
+//   BYMONTHDAY=1,15,-1          MONTHLY only; negative counts from the month's end; default the start's day.
+//                               Months without the day are skipped, as in RFC 5545
+//   COUNT=<n> or UNTIL=<date>   optional end; UNTIL is 20261231, 20261231T170000Z or ISO 8601
+// Occurrences keep the time of day of the template's start. A leading "RRULE:" is accepted.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // Index = days after Monday
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 100000; // Guards against rules that never produce an occurrence
+
+const parseUntil = (value) => {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +(compact[4] ?? 23), +(compact[5] ?? 59), +(compact[6] ?? 59)))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const positiveInteger = (value) => (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null);
+
+/**
+ * Parses a recurrence rule.
+ * @param {string} text - e.g. 'FREQ=WEEKLY;BYDAY=MO,TH'
+ * @returns {{rule?: Object, error?: string}} - rule is { freq, interval, byDay, byMonthDay, count, until }
+ */
+export const parseRecurrence = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'recurrence is required' };
+
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  const parts = text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=').map((s) => s.trim().toUpperCase());
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInteger(value);
+        if (!rule.interval) return { error: 'INTERVAL must be a positive integer' };
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((day) => WEEKDAYS.indexOf(day));
+        if (rule.byDay.includes(-1)) return { error: `BYDAY takes ${WEEKDAYS.join(', ')}` };
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        if (rule.byMonthDay.some((day) => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+          return { error: 'BYMONTHDAY takes days 1 to 31 or -1 to -31' };
+        }
+        break;
+      case 'COUNT':
+        rule.count = positiveInteger(value);
+        if (!rule.count) return { error: 'COUNT must be a positive integer' };
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        if (!rule.until) return { error: 'UNTIL must be a date' };
+        break;
+      default:
+        return { error: `Unsupported recurrence part: ${key}` };
+    }
+  }
+
+  if (!rule.freq) return { error: 'FREQ is required' };
+  if (rule.byDay && rule.freq !== 'WEEKLY') return { error: 'BYDAY is only supported with FREQ=WEEKLY' };
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') return { error: 'BYMONTHDAY is only supported with FREQ=MONTHLY' };
+  if (rule.count && rule.until) return { error: 'COUNT and UNTIL cannot be combined' };
+
+  return { rule };
+};
+
+// Candidate occurrences in order, period by period; some may fall before the start
+function* candidates(rule, start) {
+  const time = start.getTime() % DAY_MS;
+  const startDay = start.getTime() - time;
+
+  for (let period = 0; ; period += rule.interval) {
+    if (rule.freq === 'DAILY') {
+      yield new Date(startDay + period * DAY_MS + time);
+    } else if (rule.freq === 'WEEKLY') {
+      const weekday = (start.getUTCDay() + 6) % 7;
+      const monday = startDay - weekday * DAY_MS + period * 7 * DAY_MS;
+      const days = [...new Set(rule.byDay ?? [weekday])].sort((a, b) => a - b);
+      for (const day of days) yield new Date(monday + day * DAY_MS + time);
+    } else {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + period;
+      const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const days = (rule.byMonthDay ?? [start.getUTCDate()])
+        .map((day) => (day < 0 ? length + day + 1 : day))
+        .filter((day) => day >= 1 && day <= length);
+      for (const day of [...new Set(days)].sort((a, b) => a - b)) {
+        yield new Date(Date.UTC(year, month, day) + time);
+      }
+    }
+  }
+}
+
+/**
+ * Occurrences of a rule after `from` and up to `to`, counting COUNT from the start.
+ * @param {Object} rule - From parseRecurrence
+ * @param {Date} start - First possible occurrence (DTSTART)
+ * @param {Date|null} from - Exclusive lower bound; null to include the start
+ * @param {Date} to - Inclusive upper bound
+ * @returns {Date[]}
+ */
+export const occurrencesBetween = (rule, start, from, to) => {
+  const result = [];
+  let counted = 0;
+  let iterations = 0;
+
+  for (const at of candidates(rule, start)) {
+    if (++iterations > MAX_ITERATIONS || at > to || (rule.until && at > rule.until)) break;
+    if (at < start) continue;
+
+    counted++;
+    if (!from || at > from) result.push(at);
+    if (rule.count && counted >= rule.count) break;
+  }
+
+  return result;
+};
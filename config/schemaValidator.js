@@ -0,0 +1,152 @@
+// config/schemaValidator.js
+import { syncSchemas } from './syncSchemas.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^(\+\d{1,3}[- ]?)?\d{10,15}$/;
+// Date-only (2025-06-01) or full ISO 8601 date-time with optional offset
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isValidDate = (value) => {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (typeof value?.toDate === 'function') return true; // Firestore Timestamp
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+};
+
+const typeChecks = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: isValidDate,
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value) && typeof value.toDate !== 'function',
+};
+
+const formatChecks = {
+  email: (value) => EMAIL_PATTERN.test(value),
+  phone: (value) => PHONE_PATTERN.test(value.replace(/\s/g, '')),
+};
+
+// Returns the first error for a single present value, or null
+const checkField = (field, rule, value) => {
+  if (rule.type && !typeChecks[rule.type](value)) {
+    const expected = rule.type === 'date' ? 'an ISO 8601 date' : `a ${rule.type}`;
+    return { field, code: 'invalid_type', message: `${field} must be ${expected}` };
+  }
+
+  if (rule.enum) {
+    const candidate = rule.caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value;
+    if (!rule.enum.includes(candidate)) {
+      return { field, code: 'invalid_enum', message: `${field} must be one of: ${rule.enum.join(', ')}` };
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { field, code: 'too_long', message: `${field} must have at most ${rule.maxItems} items` };
+    }
+    if (typeof rule.items === 'string' && value.some((item) => !typeChecks[rule.items](item))) {
+      return { field, code: 'invalid_type', message: `${field} must only contain ${rule.items} values` };
+    }
+    if (rule.uniqueBy) {
+      const keys = value.map((item) => item?.[rule.uniqueBy]);
+      if (new Set(keys).size < keys.length) {
+        return { field, code: 'duplicate', message: `${field} has more than one item with the same ${rule.uniqueBy}` };
+      }
+    }
+  }
+
+  if (rule.format && !formatChecks[rule.format](value)) {
+    return { field, code: 'invalid_format', message: `${field} is not a valid ${rule.format}` };
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return { field, code: 'too_short', message: `${field} must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return { field, code: 'too_long', message: `${field} must be at most ${rule.maxLength} characters` };
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      return { field, code: 'out_of_range', message: `${field} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}` };
+    }
+  }
+
+  return null;
+};
+
+// Checks each field of a record (or of an array item, with `prefix` naming its position) against its rules
+const validateFields = (fields, data, prefix = '') => {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const field = `${prefix}${name}`;
+    const value = data[name];
+
+    if (isMissing(value)) {
+      if (rule.required) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      } else if (value === null && !rule.nullable) {
+        errors.push({ field, code: 'invalid_type', message: `${field} may not be null` });
+      }
+      continue;
+    }
+
+    const error = checkField(field, rule, value);
+    if (error) {
+      errors.push(error);
+    } else if (rule.type === 'object' && rule.fields) {
+      errors.push(...validateFields(rule.fields, value, `${field}.`));
+    } else if (Array.isArray(value) && rule.items && typeof rule.items === 'object') {
+      value.forEach((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          errors.push({ field: `${field}[${index}]`, code: 'invalid_type', message: `${field}[${index}] must be an object` });
+        } else {
+          errors.push(...validateFields(rule.items, item, `${field}[${index}].`));
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a sync payload against the entity's schema in config/syncSchemas.js.
+ * Fields not declared in the schema are ignored; the models decide what gets stored.
+ * @param {string} entity - Key of syncSchemas (e.g. 'task-assignment')
+ * @param {Object} data - The record sent by the client
+ * @returns {Array<{field: string, code: string, message: string}>} - Empty when the record is valid
+ */
+export const validateRecord = (entity, data) => {
+  const schema = syncSchemas[entity];
+  if (!schema) {
+    throw new Error(`No sync schema defined for entity "${entity}"`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: '', code: 'invalid_type', message: 'Request body must be an object' }];
+  }
+
+  const errors = validateFields(schema.fields, data);
+
+  for (const group of schema.requiredTogether || []) {
+    const present = group.filter((field) => !isMissing(data[field]));
+    if (present.length > 0 && present.length < group.length) {
+      group
+        .filter((field) => !present.includes(field))
+        .forEach((field) =>
+          errors.push({ field, code: 'required_together', message: `${group.join(' and ')} must be provided together` })
+        );
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,132 @@
+import { FieldPath, Timestamp } from '../storage/index.js';
+
+// Down-sync cursors are opaque to clients: base64url-encoded JSON of the last document's change time and id.
+// The change time is `changed_at`, which every write to a synced record sets to the server's commit time
+// (FieldValue.serverTimestamp()). A device's updated_at can't be used: an edit made offline and synced days
+// later carries an old updated_at, and devices whose cursors are already past it would never pull it. The
+// id breaks ties between documents committed at the same time.
+
+export const CHANGE_FIELD = 'changed_at';
+
+const MAX_PAGE_SIZE = 1000;
+
+// Timestamps are kept to the nanosecond: rounding to milliseconds would hand the last document out again
+export const cursorToJSON = ({ changed_at, id }) =>
+    ({ seconds: changed_at.seconds, nanoseconds: changed_at.nanoseconds, id });
+
+export const encodeCursor = (changedAt, id) =>
+    Buffer.from(JSON.stringify(cursorToJSON({ changed_at: changedAt, id }))).toString('base64url');
+
+/**
+ * Reads a cursor's decoded JSON. Cursors handed out before change times existed ({ updated_at, id }) are
+ * read as that time, capped at now.
+ * @param {Object} decoded
+ * @returns {{changed_at: Timestamp, id: string}|null} - null if it isn't a cursor
+ */
+export const cursorFromJSON = (decoded) => {
+    if (typeof decoded?.id !== 'string') return null;
+
+    if (Number.isInteger(decoded.seconds) && Number.isInteger(decoded.nanoseconds)
+        && decoded.nanoseconds >= 0 && decoded.nanoseconds < 1e9) {
+        return { changed_at: new Timestamp(decoded.seconds, decoded.nanoseconds), id: decoded.id };
+    }
+    const legacy = typeof decoded.updated_at === 'string' ? new Date(decoded.updated_at) : null;
+    if (!legacy || isNaN(legacy.getTime())) return null;
+    return { changed_at: Timestamp.fromMillis(Math.min(legacy.getTime(), Date.now())), id: decoded.id };
+};
+
+/**
+ * Decodes a cursor string from a client.
+ * @param {string} cursor - The opaque cursor previously returned as next_cursor
+ * @returns {{changed_at: Timestamp, id: string}|null} - null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        return cursorFromJSON(JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parses the `since` and `limit` query parameters shared by all down-sync routes.
+ * @param {Object} query - Express req.query
+ * @returns {{since: Object|null, limit: number|null, error: string|null}}
+ */
+export const parseChangesQuery = (query = {}) => {
+    let since = null;
+    let limit = null;
+
+    if (query.since) {
+        since = decodeCursor(query.since);
+        if (!since) {
+            return { since: null, limit: null, error: 'Invalid since cursor.' };
+        }
+    }
+
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            return { since: null, limit: null, error: 'limit must be a positive integer.' };
+        }
+        limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    return { since, limit, error: null };
+};
+
+// Orders two server timestamps (Firestore or memory-store Timestamps), to the nanosecond
+const compareTimestamps = (a, b) => a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+
+// Orders { changed_at, id } entries: cursors and the documents compared against them
+export const compareChanges = (a, b) =>
+    compareTimestamps(a.changed_at, b.changed_at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Whether a document changed after a cursor. Documents without a change time count as changed.
+ * @param {Object} doc - Firestore document snapshot
+ * @param {Object} since - Decoded cursor
+ * @returns {boolean}
+ */
+export const isChangedSince = (doc, since) => {
+    const changedAt = doc.get(CHANGE_FIELD);
+    return !changedAt || compareChanges({ changed_at: changedAt, id: doc.id }, since) > 0;
+};
+
+/**
+ * Reads one page of a query in change order, after the cursor. Storage does the ordering and paging
+ * (orderBy/startAfter/limit), so only the page is read; queries with equality filters need a composite
+ * index on those fields plus the change field. Documents without the field are not returned (see
+ * jobs/changeBackfill.js for records written before it existed).
+ * Incremental pulls include tombstones (deleted_at set) so devices can purge local rows;
+ * full pulls leave them out since the device has nothing to purge yet.
+ * @param {Object|Object[]} queries - Collection reference or query; several are read as one, for
+ *   results that no single query expresses (their documents must not overlap)
+ * @param {Object|null} since - Decoded cursor, or null for a full pull
+ * @param {string|null} sinceRaw - The cursor string as sent, echoed back when nothing changed
+ * @param {number|null} limit - Page size, MAX_PAGE_SIZE when not given
+ * @param {Object} [options]
+ * @param {string} [options.field] - Server-assigned timestamp to order by, CHANGE_FIELD by default
+ * @returns {Promise<{docs: Array, next_cursor: string|null, has_more: boolean}>}
+ */
+export const queryChangesSince = async (queries, since, sinceRaw = null, limit = null, { field = CHANGE_FIELD } = {}) => {
+    const pageSize = limit ?? MAX_PAGE_SIZE;
+
+    // One extra document per query tells whether another page follows
+    const snapshots = await Promise.all([queries].flat().map((query) => {
+        let ordered = query.orderBy(field).orderBy(FieldPath.documentId());
+        if (since) ordered = ordered.startAfter(since.changed_at, since.id);
+        return ordered.limit(pageSize + 1).get();
+    }));
+    const found = snapshots
+        .flatMap((snapshot) => snapshot.docs.map((doc) => ({ doc, id: doc.id, changed_at: doc.get(field) })))
+        .sort(compareChanges);
+    const page = found.slice(0, pageSize).map((entry) => entry.doc);
+    const last = found[page.length - 1];
+
+    return {
+        docs: since ? page : page.filter((doc) => !doc.data().deleted_at),
+        next_cursor: last ? encodeCursor(last.changed_at, last.id) : sinceRaw,
+        has_more: found.length > pageSize,
+    };
+};
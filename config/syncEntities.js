@@ -0,0 +1,35 @@
+// config/syncEntities.js
+// Collection, primary key and owner field for every entity exposed under /api/sync/<entity>.
+// Keys match the route segments in routes/syncRoutes.js.
+// `unique` lists field combinations no two live records may share (enforced by controllers/sync/uniqueKeys.js).
+// An entry is a list of fields that must all be set, or { fields, optional } when blank optional fields still count.
+
+export const syncEntities = {
+  user: { collection: 'users', idField: 'user_id', ownerField: 'user_id', unique: [['email'], ['phone_number']] },
+  registration: { collection: 'registrations', idField: 'registration_id', ownerField: 'user_id' },
+  supply: {
+    collection: 'supplies',
+    idField: 'supply_id',
+    ownerField: 'user_id',
+    // The same product is stocked at many sites and in many lots; one record per product, location and lot
+    unique: [
+      { fields: ['barcode', 'location_id', 'lot_number'], optional: ['location_id', 'lot_number'] },
+      { fields: ['sku', 'location_id', 'lot_number'], optional: ['location_id', 'lot_number'] },
+    ],
+  },
+  'supply-movement': { collection: 'supply_movements', idField: 'movement_id', ownerField: 'user_id' },
+  'supply-lot': { collection: 'supply_lots', idField: 'lot_id', ownerField: 'created_by', unique: [['supply_id', 'lot_number']] },
+  'catalog-item': { collection: 'catalog_items', idField: 'catalog_item_id', ownerField: 'created_by', unique: [['gtin'], ['sku']] },
+  'stock-transfer': { collection: 'stock_transfers', idField: 'transfer_id', ownerField: 'requested_by' },
+  task: { collection: 'tasks', idField: 'task_id', ownerField: 'created_by', unique: [['title', 'location_id']] },
+  'task-template': { collection: 'task_templates', idField: 'template_id', ownerField: 'created_by' },
+  'task-assignment': {
+    collection: 'task_assignments',
+    idField: 'assignment_id',
+    ownerField: 'user_id',
+    unique: [['task_id', 'user_id']],
+  },
+  location: { collection: 'locations', idField: 'location_id', ownerField: 'user_id', unique: [['name']] },
+  alert: { collection: 'alerts', idField: 'alert_id', ownerField: 'user_id' },
+  notification: { collection: 'notifications', idField: 'notification_id', ownerField: 'user_id' },
+};
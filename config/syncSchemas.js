@@ -0,0 +1,261 @@
+// config/syncSchemas.js
+// Declarative field rules for every entity exposed under /api/sync/<entity>.
+// Keys match syncEntities. Checked by validateRecord() in config/schemaValidator.js.
+//
+// Field options:
+//   type          'string' | 'number' | 'integer' | 'boolean' | 'date' (ISO 8601 string, Date or Timestamp) | 'array'
+//                 | 'object'
+//   fields        field rules of an object
+//   items / maxItems  element type ('string', ...) or field rules of object elements, and maximum length for arrays
+//   uniqueBy      key that must differ between the object elements of an array
+//   required      must be present and not null/empty
+//   nullable      null is accepted for an optional field
+//   enum          allowed values; caseInsensitive compares strings in lower case
+//   format        'email' | 'phone' for strings
+//   minLength / maxLength (strings, trimmed), min / max (numbers)
+// Schema options:
+//   requiredTogether  groups of fields that must all be present if any one is
+import { allowedRoles } from './accessPolicy.js';
+
+export const TASK_STATUSES = ['pending', 'todo', 'in_progress', 'review', 'completed', 'cancelled'];
+export const ASSIGNMENT_STATUSES = ['assigned', 'accepted', 'declined', 'in_progress', 'completed', 'rejected'];
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+export const LOCATION_TYPES = ['hospital', 'clinic', 'pharmacy', 'laboratory', 'emergency', 'other'];
+export const GENDERS = ['male', 'female', 'other', 'prefer_not_to_say'];
+export const SUPPLY_STATUSES = ['active', 'expired', 'used'];
+export const SUPPLY_MOVEMENT_TYPES = ['received', 'dispensed', 'wasted', 'adjusted', 'transferred'];
+export const TRANSFER_DIRECTIONS = ['in', 'out'];
+export const TRANSFER_STATUSES = ['requested', 'dispatched', 'partially_received', 'received', 'cancelled'];
+
+const id = { type: 'string', required: true, maxLength: 128 };
+const ref = { type: 'string', maxLength: 128, nullable: true };
+const updatedAt = { type: 'date', required: true };
+const optionalDate = { type: 'date', nullable: true };
+// Server version the client's edit was based on (controllers/sync/versioning.js); omitted for new records
+const baseVersion = { type: 'integer', min: 0, nullable: true };
+
+export const syncSchemas = {
+  user: {
+    fields: {
+      user_id: id,
+      name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+      email: { type: 'string', required: true, format: 'email' },
+      role: { type: 'string', required: true, enum: allowedRoles },
+      phone_number: { type: 'string', format: 'phone', nullable: true },
+      image_url: { type: 'string', nullable: true },
+      location_id: ref, // Where the user is based; auto-assignment measures distances from it
+      password: { type: 'string', minLength: 6, nullable: true },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  registration: {
+    fields: {
+      registration_id: id,
+      user_id: id,
+      person_name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+      age: { type: 'number', min: 0, max: 150, nullable: true },
+      gender: { type: 'string', enum: GENDERS, caseInsensitive: true, nullable: true },
+      location_id: ref,
+      timestamp: optionalDate,
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  supply: {
+    fields: {
+      supply_id: id,
+      user_id: id,
+      item_name: { type: 'string', minLength: 1, maxLength: 200, nullable: true }, // Filled in from the catalog when omitted
+      quantity: { type: 'number', min: 0, nullable: true }, // Opening stock on create; afterwards derived from supply-movement records
+      expiry_date: optionalDate,
+      location_id: ref,
+      timestamp: optionalDate,
+      status: { type: 'string', enum: SUPPLY_STATUSES, nullable: true },
+      barcode: { type: 'string', maxLength: 128, nullable: true },
+      sku: { type: 'string', maxLength: 128, nullable: true },
+      reorder_threshold: { type: 'number', min: 0, nullable: true }, // Low-stock alert at or below this quantity
+      catalog_item_id: ref,
+      lot_number: { type: 'string', maxLength: 64, nullable: true },
+      unit: { type: 'string', maxLength: 32, nullable: true },
+      category: { type: 'string', maxLength: 100, nullable: true },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  'supply-movement': {
+    fields: {
+      movement_id: id,
+      supply_id: id,
+      lot_id: ref, // Also applies the movement to one lot of the supply
+      user_id: id,
+      type: { type: 'string', required: true, enum: SUPPLY_MOVEMENT_TYPES },
+      quantity: { type: 'number', required: true }, // Signed only for 'adjusted'
+      direction: { type: 'string', enum: TRANSFER_DIRECTIONS, nullable: true },
+      reason: { type: 'string', maxLength: 500, nullable: true },
+      occurred_at: optionalDate,
+      updated_at: updatedAt,
+    },
+  },
+  'supply-lot': {
+    fields: {
+      lot_id: id,
+      supply_id: id,
+      lot_number: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+      expiry_date: optionalDate,
+      quantity: { type: 'number', min: 0, nullable: true }, // Received into the lot on create; afterwards derived from its movements
+      created_by: ref,
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  'catalog-item': {
+    fields: {
+      catalog_item_id: id,
+      item_name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      unit: { type: 'string', maxLength: 32, nullable: true },
+      barcode: { type: 'string', maxLength: 14, nullable: true }, // GTIN-8, -12, -13 or -14
+      sku: { type: 'string', maxLength: 128, nullable: true },
+      category: { type: 'string', maxLength: 100, nullable: true },
+      default_shelf_life_days: { type: 'integer', min: 1, nullable: true },
+      created_by: ref,
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  'stock-transfer': {
+    fields: {
+      transfer_id: id,
+      source_supply_id: id,
+      destination_location_id: id,
+      destination_supply_id: ref, // Created at the destination on first receipt if it doesn't exist
+      status: { type: 'string', enum: TRANSFER_STATUSES, nullable: true },
+      quantity_requested: { type: 'number', required: true, min: 0 },
+      quantity_dispatched: { type: 'number', min: 0, nullable: true },
+      quantity_received: { type: 'number', min: 0, nullable: true }, // Cumulative over partial receipts
+      discrepancy_note: { type: 'string', maxLength: 2000, nullable: true },
+      notes: { type: 'string', maxLength: 2000, nullable: true },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  task: {
+    fields: {
+      task_id: id,
+      title: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      description: { type: 'string', maxLength: 5000, nullable: true },
+      status: { type: 'string', enum: TASK_STATUSES, nullable: true },
+      priority: { type: 'string', enum: PRIORITIES, nullable: true },
+      created_by: id,
+      location_id: ref,
+      due_date: optionalDate,
+      // Merged item by item on sync (see mergeKeyedList in controllers/sync/fieldMerge.js)
+      checklist: {
+        type: 'array',
+        maxItems: 100,
+        uniqueBy: 'item_id',
+        nullable: true,
+        items: {
+          item_id: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+          text: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+          done: { type: 'boolean', nullable: true },
+        },
+      },
+      blocked_by: { type: 'array', items: 'string', maxItems: 20, nullable: true }, // Task ids to complete first
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  'task-template': {
+    fields: {
+      template_id: id,
+      title: { type: 'string', required: true, minLength: 1, maxLength: 180 }, // Tasks get " (<date>)" appended
+      description: { type: 'string', maxLength: 5000, nullable: true },
+      priority: { type: 'string', enum: PRIORITIES, nullable: true },
+      location_id: ref,
+      created_by: id,
+      recurrence: { type: 'string', required: true, maxLength: 200 }, // RRULE subset, see config/recurrence.js
+      starts_at: { type: 'date', required: true }, // First occurrence; its time of day is every task's due time
+      assignee_ids: { type: 'array', items: 'string', maxItems: 50, nullable: true },
+      active: { type: 'boolean', nullable: true },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  'task-assignment': {
+    fields: {
+      assignment_id: id,
+      task_id: id,
+      user_id: id,
+      assigned_at: optionalDate,
+      status: { type: 'string', enum: ASSIGNMENT_STATUSES, nullable: true },
+      feedback: { type: 'string', maxLength: 5000, nullable: true },
+      status_reason: { type: 'string', maxLength: 1000, nullable: true }, // Why it was accepted, declined or completed
+      evidence: {
+        type: 'object',
+        nullable: true,
+        fields: {
+          notes: { type: 'string', maxLength: 5000, nullable: true },
+          photo_refs: { type: 'array', items: 'string', maxItems: 20, nullable: true }, // Storage paths or URLs
+          gps: {
+            type: 'object',
+            nullable: true,
+            fields: {
+              latitude: { type: 'number', required: true, min: -90, max: 90 },
+              longitude: { type: 'number', required: true, min: -180, max: 180 },
+              accuracy_m: { type: 'number', min: 0, nullable: true },
+              captured_at: optionalDate,
+            },
+          },
+        },
+      },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  location: {
+    fields: {
+      location_id: id,
+      user_id: id,
+      name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+      type: { type: 'string', enum: LOCATION_TYPES, caseInsensitive: true, nullable: true },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      description: { type: 'string', maxLength: 5000, nullable: true },
+      added_at: optionalDate,
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+    requiredTogether: [['latitude', 'longitude']],
+  },
+  alert: {
+    fields: {
+      alert_id: id,
+      user_id: id,
+      type: { type: 'string', required: true, maxLength: 50 },
+      location_id: ref,
+      description: { type: 'string', maxLength: 5000, nullable: true },
+      priority: { type: 'string', enum: PRIORITIES, nullable: true },
+      timestamp: optionalDate,
+      sent_via: { type: 'string', maxLength: 50, nullable: true },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+  notification: {
+    fields: {
+      notification_id: id,
+      user_id: id,
+      title: { type: 'string', maxLength: 200, nullable: true },
+      message: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+      type: { type: 'string', maxLength: 50, nullable: true },
+      entity_type: { type: 'string', maxLength: 50, nullable: true },
+      entity_id: ref,
+      received_at: optionalDate,
+      read: { enum: [0, 1, false, true] },
+      archived: { enum: [0, 1, false, true] },
+      updated_at: updatedAt,
+      base_version: baseVersion,
+    },
+  },
+};
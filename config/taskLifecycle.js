@@ -0,0 +1,47 @@
+// config/taskLifecycle.js
+// The task lifecycle: which statuses a task may move to from each status, and who may move it.
+//
+//   pending -> todo -> in_progress -> review -> completed
+//   (any open status) -> cancelled; completed -> in_progress (reopen); cancelled -> pending (restore)
+//
+// Actors are role names, 'creator' (the task's created_by) or 'assignee' (a user with an active assignment
+// on the task). Checked by the task sync controller; config/accessPolicy.js limits assignees to status changes.
+
+export const INITIAL_TASK_STATUSES = ['pending', 'todo'];
+
+const MANAGERS = ['admin', 'coordinator'];
+const WORKERS = [...MANAGERS, 'assignee'];
+const OWNERS = [...MANAGERS, 'creator']; // Cancelling, reviewing and reopening
+
+export const TASK_TRANSITIONS = {
+  pending: { todo: MANAGERS, in_progress: WORKERS, cancelled: OWNERS },
+  todo: { pending: MANAGERS, in_progress: WORKERS, cancelled: OWNERS },
+  in_progress: { todo: WORKERS, review: WORKERS, completed: WORKERS, cancelled: OWNERS },
+  review: { in_progress: OWNERS, completed: OWNERS, cancelled: OWNERS },
+  completed: { in_progress: OWNERS },
+  cancelled: { pending: OWNERS },
+};
+
+/**
+ * Whether a task may move between two statuses. Staying put is always allowed; so is leaving a status
+ * from before the lifecycle existed.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const canTransitionTask = (from, to) => from === to || !TASK_TRANSITIONS[from] || Boolean(TASK_TRANSITIONS[from][to]);
+
+/**
+ * Statuses a task may move to from a status.
+ * @param {string} from
+ * @returns {string[]}
+ */
+export const nextTaskStatuses = (from) => Object.keys(TASK_TRANSITIONS[from] ?? {});
+
+/**
+ * Who may move a task between two statuses.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]} - Role names, 'creator' and/or 'assignee'
+ */
+export const transitionActors = (from, to) => TASK_TRANSITIONS[from]?.[to] ?? MANAGERS;
@@ -1,8 +1,8 @@
-import admin from '../config/firebaseAdmin.js';
+import { Timestamp } from '../storage/index.js';
 
 // Helper function to safely convert a value to an ISO 8601 string.
 export const toISOStringSafe = (value) => {
-    if (value instanceof admin.firestore.Timestamp) {
+    if (value instanceof Timestamp) {
         return value.toDate().toISOString();
     }
     if (typeof value === 'string') {
@@ -0,0 +1,264 @@
+// controllers/assignmentController.js
+// The assignee's side of an assignment: accepting, declining (with a reason) and completing it (with evidence:
+// notes, photo references and a GPS stamp). Whoever made the assignment hears about each step. A declined
+// assignment, or one withdrawn because nobody accepted it in time (jobs/taskEscalation.js), is handed to the next
+// candidate from the auto-assignment ranking. Devices that change an assignment's status through
+// /api/sync/task-assignment get the same follow-up.
+import { updateTaskAssignmentDoc, linkReassignment } from '../models/taskAssignmentModel.js';
+import { sendNotificationToUsers } from '../models/notificationModel.js';
+import { getLocationCoordinatorIds } from '../models/locationModel.js';
+import { assignBestCandidates, CLOSED_TASK_STATUSES } from './taskController.js';
+import { writeIfVersion, currentVersion } from './sync/versioning.js';
+import { isTombstoned } from './sync/deletionSync.js';
+import { validateRecord } from '../config/schemaValidator.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+import { publishDoc } from '../config/changeFeed.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { db } from '../storage/index.js';
+
+const assignments = db.collection('task_assignments');
+const tasks = db.collection('tasks');
+const users = db.collection('users');
+
+// Where each action may start from; repeating an action that already happened is answered as done
+const ACTIONS = {
+  accept: { to: 'accepted', from: ['assigned'] },
+  decline: { to: 'declined', from: ['assigned', 'accepted', 'in_progress'] },
+  complete: { to: 'completed', from: ['assigned', 'accepted', 'in_progress'] },
+};
+
+// Synced status changes follow the actions, and may also start accepted work
+const TRANSITIONS = [...Object.values(ACTIONS), { to: 'in_progress', from: ['accepted'] }];
+
+const STEP_TITLES = { accepted: 'Assignment accepted', declined: 'Assignment declined', completed: 'Assignment completed' };
+
+const formatAssignment = (assignment) => ({
+  ...assignment,
+  ...Object.fromEntries(['assigned_at', 'accepted_at', 'started_at', 'declined_at', 'completed_at', 'created_at', 'updated_at', 'deleted_at']
+    .map((field) => [field, toISOStringSafe(assignment[field])])),
+  version: currentVersion(assignment),
+});
+
+const describeEvidence = (evidence) => {
+  if (!evidence) return '';
+  const parts = [
+    evidence.photo_refs?.length ? `${evidence.photo_refs.length} photo${evidence.photo_refs.length === 1 ? '' : 's'}` : null,
+    evidence.gps ? `GPS ${evidence.gps.latitude.toFixed(5)}, ${evidence.gps.longitude.toFixed(5)}` : null,
+    evidence.notes ? 'notes' : null,
+  ].filter(Boolean);
+  return parts.length ? ` Evidence: ${parts.join(', ')}.` : '';
+};
+
+/**
+ * Statuses an assignment may move to from `from` through sync.
+ * @param {string} from
+ * @returns {string[]}
+ */
+export const nextAssignmentStatuses = (from) => TRANSITIONS.filter((step) => step.from.includes(from)).map((step) => step.to);
+
+/**
+ * Checks a synced change to an existing assignment against the same rules as the actions: the status may only
+ * move along TRANSITIONS, a decline needs a status_reason, and evidence is only attached to completed work.
+ * @param {Object} current - The stored assignment
+ * @param {Object} next - The assignment being written, with its status filled in
+ * @returns {{status: number, error: string, invalid_transition?: boolean}|null} - null when allowed
+ */
+export const checkAssignmentChange = (current, next) => {
+  const from = current.status;
+  const to = next.status;
+
+  if (from !== to) {
+    if (!nextAssignmentStatuses(from).includes(to)) {
+      return { status: 409, error: `Cannot move an assignment from ${from} to ${to}`, invalid_transition: true };
+    }
+    if (to === 'declined' && (typeof next.status_reason !== 'string' || !next.status_reason.trim())) {
+      return { status: 400, error: 'A reason is required to decline an assignment' };
+    }
+  }
+
+  const evidenceChanged = next.evidence !== undefined
+    && JSON.stringify(next.evidence ?? null) !== JSON.stringify(current.evidence ?? null);
+  if (evidenceChanged && to !== 'completed') {
+    return { status: 400, error: 'Evidence can only be attached to a completed assignment' };
+  }
+
+  return null;
+};
+
+/**
+ * Follow-up once an assignment's status has changed, however it changed: the assigner (or, for assignments
+ * nobody made, the location's coordinators) is told, and a declined assignment on an open task is handed to
+ * the next candidate.
+ * @param {Object} assignment - The assignment as now stored
+ * @param {Object|null} actor - Decoded JWT of who changed it; null when the server withdrew it for a timeout
+ * @returns {Promise<{reassigned_to: string|null}>}
+ */
+export const onAssignmentStatusChange = async (assignment, actor) => {
+  if (!STEP_TITLES[assignment.status]) return { reassigned_to: null };
+
+  const [taskDoc, userDoc] = await Promise.all([tasks.doc(assignment.task_id).get(), users.doc(assignment.user_id).get()]);
+  const task = taskDoc.exists ? taskDoc.data() : null;
+  const taskOpen = Boolean(task) && !isTombstoned(task) && !CLOSED_TASK_STATUSES.includes(task.status);
+  const name = userDoc.data()?.name ?? 'The assignee';
+  const title = task?.title ?? assignment.task_id;
+  const reason = assignment.status_reason ? `: ${assignment.status_reason}` : '';
+
+  let message;
+  let replacement = null;
+
+  if (assignment.status === 'declined') {
+    if (taskOpen) {
+      const { created } = await assignBestCandidates(task, {
+        assignedBy: assignment.assigned_by ?? null,
+        reassignedFrom: assignment.assignment_id,
+      });
+      replacement = created[0] ?? null;
+    }
+    if (replacement) {
+      await linkReassignment(assignment.assignment_id, replacement.assignment_id);
+      await publishDoc(assignments.doc(assignment.assignment_id));
+    }
+
+    const what = !actor ? `${name} did not accept` : actor.uid === assignment.user_id ? `${name} declined` : `${name} was taken off`;
+    const next = replacement
+      ? ` It was reassigned to ${replacement.name}.`
+      : taskOpen ? ' Nobody else is available; please assign someone.' : '';
+    message = `${what} "${title}"${reason}.${next}`;
+  } else {
+    message = `${name} ${assignment.status} "${title}"${reason}.${assignment.status === 'completed' ? describeEvidence(assignment.evidence) : ''}`;
+  }
+
+  const assigners = assignment.assigned_by ? [assignment.assigned_by] : await getLocationCoordinatorIds(task?.location_id ?? null);
+  await sendNotificationToUsers(assigners.filter((userId) => userId !== actor?.uid), {
+    title: STEP_TITLES[assignment.status],
+    message,
+    type: `assignment_${assignment.status}`,
+    entity_type: 'task-assignment',
+    entity_id: assignment.assignment_id,
+  });
+
+  if (!actor) {
+    await sendNotificationToUsers([assignment.user_id], {
+      title: 'Assignment withdrawn',
+      message: `"${title}" was not accepted in time and has been withdrawn from you.`,
+      type: 'assignment_withdrawn',
+      entity_type: 'task-assignment',
+      entity_id: assignment.assignment_id,
+    });
+  }
+
+  return { reassigned_to: replacement?.assignment_id ?? null };
+};
+
+/**
+ * Withdraws an assignment that is still 'assigned' (declined, with the timeout as its reason) and reassigns it.
+ * @param {Object} assignment - Assignment document data
+ * @param {number} hours - How long it waited for acceptance
+ * @returns {Promise<{reassigned_to: string|null}|null>} - null if it was accepted or changed meanwhile
+ */
+export const expireAssignment = async (assignment, hours) => {
+  const ref = assignments.doc(assignment.assignment_id);
+  const doc = await ref.get();
+  const current = doc.exists ? doc.data() : null;
+  if (!current || isTombstoned(current) || current.status !== 'assigned') return null;
+
+  const next = {
+    ...current,
+    status: 'declined',
+    status_reason: `Not accepted within ${hours} hour${hours === 1 ? '' : 's'}`,
+    status_changed_by: null,
+    updated_at: new Date().toISOString(),
+  };
+  const result = await writeIfVersion(ref, currentVersion(current), (tx) => updateTaskAssignmentDoc(current.assignment_id, next, tx));
+  if (!result.committed) return null;
+
+  return onAssignmentStatusChange((await ref.get()).data(), null);
+};
+
+const applyAction = async (req, res, action) => {
+  const { to, from } = ACTIONS[action];
+  const { reason = null, evidence = null } = req.body ?? {};
+
+  if (action === 'decline' && (typeof reason !== 'string' || !reason.trim())) {
+    return res.status(400).json({ error: 'A reason is required to decline an assignment' });
+  }
+
+  try {
+    const ref = assignments.doc(req.params.assignmentId);
+    const doc = await ref.get();
+    if (!doc.exists || isTombstoned(doc.data())) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    const current = doc.data();
+
+    if (current.user_id !== req.user.uid && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only the assignee, an admin or a coordinator may do this' });
+    }
+    if (current.status === to) {
+      // A device retrying an action that already went through
+      return res.status(200).json({ message: `Assignment already ${to}`, assignment: formatAssignment(current) });
+    }
+    if (!from.includes(current.status)) {
+      return res.status(409).json({
+        error: `Cannot ${action} an assignment that is ${current.status}`,
+        latest_data: formatAssignment(current),
+      });
+    }
+
+    const next = {
+      ...current,
+      status: to,
+      status_reason: reason,
+      ...(action === 'complete' ? { evidence } : {}),
+      status_changed_by: req.user.uid,
+      updated_at: new Date().toISOString(),
+    };
+    const validationErrors = validateRecord('task-assignment', next);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+    }
+
+    const result = await writeIfVersion(ref, currentVersion(current), (tx) => updateTaskAssignmentDoc(current.assignment_id, next, tx));
+    if (!result.committed) {
+      return res.status(409).json({ error: 'Assignment changed meanwhile; try again', latest_data: formatAssignment(result.latest_data) });
+    }
+
+    let followUp = { reassigned_to: null };
+    try {
+      followUp = await onAssignmentStatusChange((await ref.get()).data(), req.user);
+    } catch (err) {
+      console.error(`❌ Follow-up failed for assignment ${current.assignment_id}:`, err);
+    }
+
+    return res.status(200).json({
+      message: `Assignment ${to}`,
+      assignment: formatAssignment((await ref.get()).data()),
+      reassigned_to: followUp.reassigned_to,
+    });
+  } catch (err) {
+    console.error(`❌ Error trying to ${action} assignment:`, err);
+    return res.status(500).json({ error: `Failed to ${action} assignment` });
+  }
+};
+
+/**
+ * @route POST /api/task-assignments/:assignmentId/accept
+ * @desc Accept an assignment. Body: { reason? }
+ * @access Private (the assignee, admin or coordinator)
+ */
+export const acceptAssignment = (req, res) => applyAction(req, res, 'accept');
+
+/**
+ * @route POST /api/task-assignments/:assignmentId/decline
+ * @desc Decline an assignment (or take someone off it) and hand the task to the next candidate. Body: { reason }
+ * @access Private (the assignee, admin or coordinator)
+ */
+export const declineAssignment = (req, res) => applyAction(req, res, 'decline');
+
+/**
+ * @route POST /api/task-assignments/:assignmentId/complete
+ * @desc Complete an assignment. Body: { reason?, evidence?: { notes?, photo_refs?, gps?: { latitude, longitude,
+ *       accuracy_m?, captured_at? } } }
+ * @access Private (the assignee, admin or coordinator)
+ */
+export const completeAssignment = (req, res) => applyAction(req, res, 'complete');
@@ -1,27 +1,34 @@
 // authController.js
 
-import admin from '../config/firebaseAdmin.js';
+import { db, auth, FieldValue, Timestamp, signInWithPassword } from '../storage/index.js';
 import { createUserDoc } from '../models/userModel.js';
+import { writeIfVersion } from './sync/versioning.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllSessionsForUser,
+} from '../models/refreshTokenModel.js';
 import jwt from 'jsonwebtoken';
-import axios from 'axios';
 import nodemailer from 'nodemailer';
 import crypto from 'crypto';
+import { allowedRoles } from '../config/accessPolicy.js';
 
-const allowedRoles = ['admin', 'fieldworker', 'volunteer', 'coordinator'];
 const JWT_SECRET = process.env.JWT_SECRET || 'my_jwt_secret';
-const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
+const ACCESS_TOKEN_TTL = '2h';
 
 const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 const isValidPhone = (phone) => /^[0-9\-\+]{9,15}$/.test(phone);
 
-const db = admin.firestore();
 const usersCollection = db.collection('users');
 const OTP_EXPIRATION_MINUTES = 10;
+// Anyone can sign up, so registration only creates this role; an admin raises it (see setUserRole)
+const SELF_REGISTER_ROLE = 'fieldworker';
 import bcrypt from 'bcryptjs';
 
 // 1. Register User
 export const registerUser = async (req, res) => {
-  const { email, password, name, role, phone_number } = req.body;
+  const { email, password, name, role = SELF_REGISTER_ROLE, phone_number } = req.body;
 
   const normalizedEmail = email?.trim().toLowerCase();
   const trimmedName = name?.trim();
@@ -43,31 +50,47 @@ export const registerUser = async (req, res) => {
     return res.status(400).json({ error: `Invalid role. Allowed: ${allowedRoles.join(', ')}` });
   }
 
+  if (role.toLowerCase() !== SELF_REGISTER_ROLE) {
+    return res.status(403).json({ error: `Registration creates ${SELF_REGISTER_ROLE} accounts only; an admin assigns other roles` });
+  }
+
   if (phone_number && !isValidPhone(trimmedPhone)) {
     return res.status(400).json({ error: 'Invalid phone number format' });
   }
 
   try {
-    const userRecord = await admin.auth().createUser({
+    const userRecord = await auth.createUser({
       email: normalizedEmail,
       password,
       displayName: trimmedName,
     });
 
-    await admin.auth().setCustomUserClaims(userRecord.uid, { role: role.toLowerCase() });
-
-    await createUserDoc(userRecord.uid, {
+    const profile = {
+      user_id: userRecord.uid,
       name: trimmedName,
       email: normalizedEmail,
-      role: role.toLowerCase(),
+      role: SELF_REGISTER_ROLE,
       phone_number: trimmedPhone,
-    });
+    };
+
+    // Claims the email and phone number like a user sync does, so a profile synced with the same values
+    // at the same time can't also be written (see controllers/sync/uniqueKeys.js)
+    const result = await writeIfVersion(usersCollection.doc(userRecord.uid), null,
+      (tx) => createUserDoc(userRecord.uid, profile, tx), { entity: 'user', record: profile });
+
+    if (!result.committed) {
+      await auth.deleteUser(userRecord.uid);
+      const field = result.unique_conflict?.fields.join(' and ') ?? 'account';
+      return res.status(409).json({ error: `Another user already uses this ${field.replace('_', ' ')}` });
+    }
+
+    await auth.setCustomUserClaims(userRecord.uid, { role: SELF_REGISTER_ROLE });
 
     return res.status(201).json({
       message: 'User registered successfully',
       user_id: userRecord.uid,
       email: userRecord.email,
-      role: role.toLowerCase(),
+      role: SELF_REGISTER_ROLE,
       name: userRecord.displayName,
     });
   } catch (error) {
@@ -90,21 +113,19 @@ export const loginUser = async (req, res) => {
   }
 
   try {
-    const firebaseRes = await axios.post(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`,
-      { email: normalizedEmail, password, returnSecureToken: true }
-    );
-
-    const { localId: uid } = firebaseRes.data;
-    const user = await admin.auth().getUser(uid);
+    const uid = await signInWithPassword(normalizedEmail, password);
+    const user = await auth.getUser(uid);
     const role = user.customClaims?.role || 'user';
 
-    const token = jwt.sign({ uid, email: normalizedEmail, role }, JWT_SECRET, { expiresIn: '2h' });
+    // Each login starts a new session (token family) that refresh tokens rotate within
+    const { familyId, refreshToken } = await createSession(uid);
+    const token = jwt.sign({ uid, email: normalizedEmail, role, fid: familyId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 
     return res.status(200).json({
       message: 'Login successful',
       token,
-      expiresIn: '2h',
+      expiresIn: ACCESS_TOKEN_TTL,
+      refresh_token: refreshToken,
     });
   } catch (error) {
     console.error('[Login Error]', error?.response?.data || error.message);
@@ -112,6 +133,112 @@ export const loginUser = async (req, res) => {
   }
 };
 
+// 2a. Refresh Access Token (rotates the refresh token)
+export const refreshAccessToken = async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refresh_token);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const { userId: uid, familyId, refreshToken } = result;
+
+    // Re-read the role so a role change takes effect on the next refresh
+    const user = await auth.getUser(uid);
+    const role = user.customClaims?.role || 'user';
+
+    const token = jwt.sign({ uid, email: user.email, role, fid: familyId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+    return res.status(200).json({
+      message: 'Token refreshed successfully',
+      token,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refresh_token: refreshToken,
+    });
+  } catch (error) {
+    console.error('[Token Refresh Error]', error.message);
+    return res.status(401).json({ error: 'Unable to refresh token' });
+  }
+};
+
+// 2b. Logout (revokes the current session)
+export const logoutUser = async (req, res) => {
+  const { fid } = req.user;
+
+  if (!fid) {
+    // Tokens issued before sessions existed can't be revoked; they simply expire
+    return res.status(200).json({ message: 'Logged out' });
+  }
+
+  try {
+    await revokeTokenFamily(fid, 'logout');
+    return res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('[Logout Error]', error.message);
+    return res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+// 2c. Revoke all sessions for a user (admin)
+export const revokeUserSessions = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const revoked = await revokeAllSessionsForUser(userId, 'admin_revoked');
+    return res.status(200).json({
+      message: 'All sessions revoked for user',
+      user_id: userId,
+      revoked_sessions: revoked,
+    });
+  } catch (error) {
+    console.error('[Revoke Sessions Error]', error.message);
+    return res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
+// 2d. Change a user's role (admin)
+export const setUserRole = async (req, res) => {
+  const { userId } = req.params;
+  const role = req.body.role?.trim().toLowerCase();
+
+  if (!allowedRoles.includes(role)) {
+    return res.status(400).json({ error: `Invalid role. Allowed: ${allowedRoles.join(', ')}` });
+  }
+
+  try {
+    const userDoc = await usersCollection.doc(userId).get();
+    if (!userDoc.exists || userDoc.data().deleted_at) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // The claim decides what the user may do; the profile copy is what devices and assignment see
+    await auth.setCustomUserClaims(userId, { role });
+    await usersCollection.doc(userId).update({
+      role,
+      version: FieldValue.increment(1),
+      updated_at: FieldValue.serverTimestamp(),
+      changed_at: FieldValue.serverTimestamp(),
+    });
+
+    console.log(`👤 Role of ${userId} set to ${role} by ${req.user.uid}`);
+    return res.status(200).json({
+      message: 'Role updated; it applies from the user\'s next login or token refresh',
+      user_id: userId,
+      role,
+    });
+  } catch (error) {
+    console.error('[Set Role Error]', error.message);
+    return res.status(500).json({ error: 'Failed to update role' });
+  }
+};
+
 // 3. Forgot Password (Send OTP)
 export const forgotPassword = async (req, res) => {
   const { email } = req.body;
@@ -131,7 +258,7 @@ export const forgotPassword = async (req, res) => {
     }
 
     const otp = crypto.randomInt(100000, 999999);
-    const expiresAt = admin.firestore.Timestamp.fromDate(
+    const expiresAt = Timestamp.fromDate(
       new Date(Date.now() + OTP_EXPIRATION_MINUTES * 60 * 1000)
     );
 
@@ -202,7 +329,7 @@ export const verifyOtp = async (req, res) => {
 // Helper function to safely convert a value to an ISO 8601 string.
 // It handles Firestore Timestamps, Date objects, and already existing strings.
 const toISOStringSafe = (value) => {
-  if (value instanceof admin.firestore.Timestamp) {
+  if (value instanceof Timestamp) {
     return value.toDate().toISOString();
   }
   // If it's already a string, assume it's ISO and return it directly
@@ -237,12 +364,12 @@ export const resetPassword = async (req, res) => {
 
     try {
       // Find user by email in Firebase Auth
-      const userRecord = await admin.auth().getUserByEmail(email);
+      const userRecord = await auth.getUserByEmail(email);
       actualUid = userRecord.uid;
       console.log(`User found in Auth: ${actualUid}`);
 
       // Update password in Firebase Auth
-      await admin.auth().updateUser(actualUid, {
+      await auth.updateUser(actualUid, {
         password: password,
       });
       console.log(`Firebase Auth password updated for ${email}`);
@@ -253,7 +380,9 @@ export const resetPassword = async (req, res) => {
       // Update user in Firestore
       await usersCollection.doc(actualUid).update({
         password: finalHashedPasswordForFirestore,
-        updated_at: admin.firestore.FieldValue.serverTimestamp(), // Ensure this is a Timestamp
+        version: FieldValue.increment(1),
+        updated_at: FieldValue.serverTimestamp(), // Ensure this is a Timestamp
+        changed_at: FieldValue.serverTimestamp(),
       });
       console.log(`Firestore password and updated_at updated for ${email}`);
 
@@ -275,7 +404,7 @@ export const resetPassword = async (req, res) => {
         }
 
         // Create user in Firebase Auth
-        const newUserRecord = await admin.auth().createUser({
+        const newUserRecord = await auth.createUser({
           email: email,
           password: password, // This is the plain text password from input
           emailVerified: true, // Assuming password reset implies verification
@@ -295,9 +424,11 @@ export const resetPassword = async (req, res) => {
           phone_number: oldFirestoreUid ? localUserByEmail.docs[0].data().phone_number : null,
           image_url: oldFirestoreUid ? localUserByEmail.docs[0].data().image_url : null,
           location: oldFirestoreUid ? localUserByEmail.docs[0].data().location : null,
-          created_at: oldFirestoreUid ? localUserByEmail.docs[0].data().created_at : admin.firestore.FieldValue.serverTimestamp(), // Ensure Timestamp for new user
-          updated_at: admin.firestore.FieldValue.serverTimestamp(), // Ensure Timestamp
+          created_at: oldFirestoreUid ? localUserByEmail.docs[0].data().created_at : FieldValue.serverTimestamp(), // Ensure Timestamp for new user
+          updated_at: FieldValue.serverTimestamp(), // Ensure Timestamp
+          changed_at: FieldValue.serverTimestamp(),
           synced: true, // Mark as synced after creation
+          version: 1,
         };
 
         // Delete the old Firestore document if a new Auth user was created and UID changed
@@ -0,0 +1,47 @@
+// controllers/catalogController.js
+// Product lookup for scanning: a device scans a box and gets the catalog item to fill in a new supply.
+import { findCatalogItemByCode } from '../models/catalogModel.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { currentVersion } from './sync/versioning.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @route GET /api/catalog/lookup?barcode=<code>|sku=<code>
+ * @desc Find the catalog item for a scanned barcode (any GTIN length) or a SKU. When the item has a default
+ *       shelf life, suggested_expiry_date is that many days from now.
+ * @access Private (any authenticated role)
+ */
+export const lookupCatalogItem = async (req, res) => {
+  const { barcode, sku } = req.query;
+
+  if (!barcode && !sku) {
+    return res.status(400).json({ message: 'barcode or sku is required' });
+  }
+
+  try {
+    const item = await findCatalogItemByCode(barcode ? { barcode } : { sku });
+
+    if (!item) {
+      return res.status(404).json({ message: 'No catalog item matches this code' });
+    }
+
+    const suggested_expiry_date = item.default_shelf_life_days
+      ? new Date(Date.now() + item.default_shelf_life_days * DAY_MS).toISOString()
+      : null;
+
+    return res.status(200).json({
+      message: 'Catalog item found',
+      item: {
+        ...item,
+        created_at: toISOStringSafe(item.created_at),
+        updated_at: toISOStringSafe(item.updated_at),
+        version: currentVersion(item),
+      },
+      suggested_expiry_date,
+    });
+  } catch (error) {
+    console.error('❌ Catalog lookup failed:', error);
+    return res.status(500).json({ message: 'Failed to look up catalog item.' });
+  }
+};
@@ -0,0 +1,180 @@
+// controllers/conflictController.js
+// Admin review queue for conflicts recorded by controllers/sync/conflictLog.js.
+import { getConflictById, conflictsQuery, closeConflictDoc } from '../models/conflictModel.js';
+import { entityHandlers, invokeHandler } from './sync/entityHandlers.js';
+import { syncEntities } from '../config/syncEntities.js';
+import { parseChangesQuery, queryChangesSince } from '../config/syncCursor.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { db } from '../storage/index.js';
+
+const CONFLICT_STATUSES = ['pending', 'resolved', 'dismissed', 'superseded'];
+
+const formatConflict = (data) => ({
+  ...data,
+  created_at: toISOStringSafe(data.created_at),
+  updated_at: toISOStringSafe(data.updated_at),
+  last_seen_at: toISOStringSafe(data.last_seen_at),
+  resolved_at: toISOStringSafe(data.resolved_at),
+});
+
+/**
+ * @route GET /api/admin/conflicts
+ * @desc List recorded sync conflicts, pending ones by default. Filters: status, entity, conflict_type,
+ *       record_id, reported_by, device_id. Paged with ?since=<cursor>&limit=<n> like the down-sync routes.
+ * @access Private (admin)
+ */
+export const listConflicts = async (req, res) => {
+  const { since, limit, error } = parseChangesQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { entity, conflict_type, record_id, reported_by, device_id } = req.query;
+  const status = req.query.status || 'pending';
+
+  if (status !== 'all' && !CONFLICT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: all, ${CONFLICT_STATUSES.join(', ')}` });
+  }
+  if (entity && !syncEntities[entity]) {
+    return res.status(400).json({ error: `Unknown entity: ${entity}` });
+  }
+
+  try {
+    const query = conflictsQuery({
+      status: status === 'all' ? undefined : status,
+      entity,
+      conflict_type,
+      record_id,
+      reported_by,
+      device_id,
+    });
+    // Conflicts are only written by the server, so their updated_at is already server time
+    const page = await queryChangesSince(query, since, req.query.since, limit, { field: 'updated_at' });
+
+    return res.status(200).json({
+      message: 'Conflicts retrieved successfully',
+      conflicts: page.docs.map((doc) => formatConflict(doc.data())),
+      next_cursor: page.next_cursor,
+      has_more: page.has_more,
+    });
+  } catch (err) {
+    console.error('❌ Error listing conflicts:', err);
+    return res.status(500).json({ error: 'Failed to retrieve conflicts' });
+  }
+};
+
+/**
+ * @route GET /api/admin/conflicts/:conflictId
+ * @desc Inspect one conflict, with both payloads and the record as it is on the server now.
+ * @access Private (admin)
+ */
+export const getConflict = async (req, res) => {
+  try {
+    const conflict = await getConflictById(req.params.conflictId);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    const { collection } = syncEntities[conflict.entity];
+    const current = await db.collection(collection).doc(conflict.record_id).get();
+
+    return res.status(200).json({
+      message: 'Conflict retrieved successfully',
+      conflict: formatConflict(conflict),
+      current_data: current.exists ? current.data() : null,
+    });
+  } catch (err) {
+    console.error('❌ Error getting conflict:', err);
+    return res.status(500).json({ error: 'Failed to retrieve conflict' });
+  }
+};
+
+/**
+ * @route POST /api/admin/conflicts/:conflictId/resolve
+ * @desc Resolve a pending conflict server-side. Runs the entity's resolve-conflict handler (and so its
+ *       resolve*Conflict strategy function) against the current server record, as if the device had sent it.
+ *       Body: { resolution_strategy, clientData? } - clientData defaults to the payload the device sent.
+ * @access Private (admin)
+ */
+export const resolveConflict = async (req, res) => {
+  const { resolution_strategy, clientData } = req.body ?? {};
+
+  if (!resolution_strategy) {
+    return res.status(400).json({ error: 'resolution_strategy is required' });
+  }
+
+  try {
+    const conflict = await getConflictById(req.params.conflictId);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    if (conflict.status !== 'pending') {
+      return res.status(409).json({ error: `Conflict is already ${conflict.status}` });
+    }
+
+    const { idField } = syncEntities[conflict.entity];
+    const handler = entityHandlers[conflict.entity]['resolve-conflict'];
+    const { status, body } = await invokeHandler(handler, req, {
+      [idField]: conflict.record_id,
+      resolution_strategy,
+      clientData: clientData ?? conflict.client_data,
+    });
+
+    if (status < 200 || status >= 300) {
+      // Pass the entity handler's answer through (invalid strategy, validation errors, still conflicting, ...)
+      return res.status(status).json(body);
+    }
+
+    await closeConflictDoc(conflict.conflict_id, {
+      status: 'resolved',
+      resolution_strategy,
+      resolved_by: req.user.uid,
+      resolved_data: body.resolvedData ?? null,
+    });
+
+    return res.status(200).json({
+      message: `Conflict resolved using ${resolution_strategy} strategy`,
+      conflict: formatConflict(await getConflictById(conflict.conflict_id)),
+      result: body,
+    });
+  } catch (err) {
+    console.error('❌ Error resolving conflict:', err);
+    return res.status(500).json({ error: 'Failed to resolve conflict' });
+  }
+};
+
+/**
+ * @route POST /api/admin/conflicts/:conflictId/dismiss
+ * @desc Close a pending conflict without writing anything, e.g. when the device's change should be dropped.
+ *       Body: { reason? }
+ * @access Private (admin)
+ */
+export const dismissConflict = async (req, res) => {
+  try {
+    const conflict = await getConflictById(req.params.conflictId);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    if (conflict.status !== 'pending') {
+      return res.status(409).json({ error: `Conflict is already ${conflict.status}` });
+    }
+
+    await closeConflictDoc(conflict.conflict_id, {
+      status: 'dismissed',
+      resolved_by: req.user.uid,
+      resolution_note: req.body?.reason ?? null,
+    });
+
+    return res.status(200).json({
+      message: 'Conflict dismissed',
+      conflict: formatConflict(await getConflictById(conflict.conflict_id)),
+    });
+  } catch (err) {
+    console.error('❌ Error dismissing conflict:', err);
+    return res.status(500).json({ error: 'Failed to dismiss conflict' });
+  }
+};
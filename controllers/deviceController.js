@@ -0,0 +1,137 @@
+// controllers/deviceController.js
+// Device registration and sync status. Devices identify themselves with the X-Device-Id header on
+// sync and down-sync calls; middleware/deviceTracking.js records what each call did.
+import { registerDeviceDoc, getDeviceById, findDevicesNotSeenSince } from '../models/deviceModel.js';
+import { findConflicts } from '../models/conflictModel.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+
+const DEFAULT_STALE_HOURS = 24;
+const MAX_DEVICE_ID_LENGTH = 128;
+
+const formatDevice = (data) => ({
+  device_id: data.device_id,
+  name: data.name,
+  platform: data.platform,
+  app_version: data.app_version,
+  registered_by: data.registered_by,
+  last_user_id: data.last_user_id,
+  last_seen_at: toISOStringSafe(data.last_seen_at),
+  last_push_at: toISOStringSafe(data.last_push_at),
+  last_pull_at: toISOStringSafe(data.last_pull_at),
+  created_at: toISOStringSafe(data.created_at),
+  updated_at: toISOStringSafe(data.updated_at),
+});
+
+const formatEntities = (entities = {}) => Object.fromEntries(
+  Object.entries(entities).map(([entity, state]) => [entity, {
+    cursor: state.cursor ?? null,
+    last_push_at: toISOStringSafe(state.last_push_at),
+    last_pull_at: toISOStringSafe(state.last_pull_at),
+  }])
+);
+
+/**
+ * @route POST /api/sync/devices
+ * @desc Register a device before it sends X-Device-Id on sync calls. Body: { device_id, name?, platform?, app_version? }.
+ *       Registering again updates the details and keeps the sync history.
+ * @access Private
+ */
+export const registerDevice = async (req, res) => {
+  const { device_id, name, platform, app_version } = req.body ?? {};
+
+  if (typeof device_id !== 'string' || !device_id.trim() || device_id.length > MAX_DEVICE_ID_LENGTH || device_id.includes('/')) {
+    return res.status(400).json({ error: `device_id must be a non-empty string of at most ${MAX_DEVICE_ID_LENGTH} characters without '/'` });
+  }
+
+  try {
+    const { created, device } = await registerDeviceDoc(device_id, { name, platform, app_version }, req.user.uid);
+    console.log(`📱 Device ${device_id} ${created ? 'registered' : 'updated'} by ${req.user.uid}`);
+
+    return res.status(created ? 201 : 200).json({
+      message: created ? 'Device registered successfully' : 'Device updated successfully',
+      device: formatDevice(device),
+    });
+  } catch (err) {
+    console.error('❌ Error registering device:', err);
+    return res.status(500).json({ error: 'Failed to register device' });
+  }
+};
+
+/**
+ * @route GET /api/sync/status/:deviceId
+ * @desc A device's sync state: when it was last seen, its last push/pull and down-sync cursor per entity,
+ *       and the conflicts it hit that are still pending.
+ * @access Private (the device's users, admin, coordinator)
+ */
+export const getDeviceSyncStatus = async (req, res) => {
+  try {
+    const device = await getDeviceById(req.params.deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { uid, role } = req.user;
+    if (!MANAGER_ROLES.includes(role) && uid !== device.registered_by && uid !== device.last_user_id) {
+      return res.status(403).json({ error: 'You do not have permission to access this resource' });
+    }
+
+    const pending = (await findConflicts({ status: 'pending', device_id: device.device_id })).map((doc) => doc.data());
+    const byEntity = {};
+    pending.forEach((conflict) => { byEntity[conflict.entity] = (byEntity[conflict.entity] ?? 0) + 1; });
+
+    return res.status(200).json({
+      message: 'Device sync status retrieved successfully',
+      device: formatDevice(device),
+      entities: formatEntities(device.entities),
+      outstanding_conflicts: {
+        count: pending.length,
+        by_entity: byEntity,
+        conflicts: pending.map((conflict) => ({
+          conflict_id: conflict.conflict_id,
+          entity: conflict.entity,
+          record_id: conflict.record_id,
+          conflict_type: conflict.conflict_type,
+          conflict_field: conflict.conflict_field,
+          occurrences: conflict.occurrences,
+          last_seen_at: toISOStringSafe(conflict.last_seen_at),
+        })),
+      },
+    });
+  } catch (err) {
+    console.error('❌ Error retrieving device sync status:', err);
+    return res.status(500).json({ error: 'Failed to retrieve device sync status' });
+  }
+};
+
+/**
+ * @route GET /api/admin/devices/stale?hours=<n>
+ * @desc Devices that haven't synced in the last n hours (24 by default), least recently seen first.
+ *       Registered devices that never synced are listed first.
+ * @access Private (admin)
+ */
+export const listStaleDevices = async (req, res) => {
+  const hours = req.query.hours === undefined ? DEFAULT_STALE_HOURS : Number(req.query.hours);
+
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return res.status(400).json({ error: 'hours must be a positive number' });
+  }
+
+  try {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const devices = (await findDevicesNotSeenSince(cutoff))
+      .map(formatDevice)
+      .sort((a, b) => (a.last_seen_at ?? '').localeCompare(b.last_seen_at ?? ''));
+
+    return res.status(200).json({
+      message: 'Stale devices retrieved successfully',
+      hours,
+      cutoff: cutoff.toISOString(),
+      devices,
+    });
+  } catch (err) {
+    console.error('❌ Error listing stale devices:', err);
+    return res.status(500).json({ error: 'Failed to retrieve stale devices' });
+  }
+};
@@ -1,25 +1,36 @@
 // controllers/downSyncController.js (or userController.js)
 
-import admin from '../config/firebaseAdmin.js';
+import { db } from '../storage/index.js';
 import { toISOStringSafe } from '../config/toISOString.js';
-
-const db = admin.firestore();
+import { CHANGE_FIELD, parseChangesQuery, encodeCursor, isChangedSince, queryChangesSince } from '../config/syncCursor.js';
+import { currentVersion } from './sync/versioning.js';
 
 // Define collection references using the local 'db' instance
 const usersCollection = db.collection('users');
 const locationsCollection = db.collection('locations');
 const tasksCollection = db.collection('tasks'); 
 const suppliesCollection = db.collection('supplies');
+const supplyMovementsCollection = db.collection('supply_movements');
+const supplyLotsCollection = db.collection('supply_lots');
+const stockTransfersCollection = db.collection('stock_transfers');
+const catalogItemsCollection = db.collection('catalog_items');
+const taskTemplatesCollection = db.collection('task_templates');
 const registrationsCollection = db.collection('registrations'); 
 
 
 /**
  * @route GET /api/users/:userId
  * @desc Get a user's profile data by their user_id.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * Accepts ?since=<cursor>; if the profile has not changed since then, user is null.
+ * @access Private (the user themselves, admin or coordinator)
  */
 export const getUserDataById = async (req, res) => {
     const { userId } = req.params;
+    const { since, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
     try {
         const userDoc = await usersCollection.doc(userId).get();
@@ -28,6 +39,21 @@ export const getUserDataById = async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
+        if (!since && userDoc.data().deleted_at) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const changedAt = userDoc.get(CHANGE_FIELD);
+        const next_cursor = changedAt ? encodeCursor(changedAt, userDoc.id) : req.query.since ?? null;
+
+        if (since && !isChangedSince(userDoc, since)) {
+            return res.status(200).json({
+                message: 'User data unchanged',
+                user: null,
+                next_cursor
+            });
+        }
+
         let userData = userDoc.data();
 
         if (userData.password) {
@@ -38,11 +64,15 @@ export const getUserDataById = async (req, res) => {
             ...userData,
             created_at: toISOStringSafe(userData.created_at),
             updated_at: toISOStringSafe(userData.updated_at),
+            changed_at: toISOStringSafe(userData.changed_at),
+            version: currentVersion(userData),
+            deleted_at: toISOStringSafe(userData.deleted_at),
         };
 
         return res.status(200).json({
             message: 'User data retrieved successfully',
-            user: formattedUserData
+            user: formattedUserData,
+            next_cursor
         });
 
     } catch (error) {
@@ -53,20 +83,29 @@ export const getUserDataById = async (req, res) => {
 
 /**
  * @route GET /api/locations
- * @desc Get all documents from the 'locations' collection.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * @desc Get all documents from the 'locations' collection, or only those changed after ?since=<cursor>.
+ * @access Private (any authenticated role)
  */
 export const getAllLocations = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
     try {
-        const snapshot = await locationsCollection.get();
-        const allLocations = snapshot.docs.map(doc => ({
+        const { docs, next_cursor, has_more } = await queryChangesSince(locationsCollection, since, req.query.since, limit);
+
+        const allLocations = docs.map(doc => ({
             id: doc.id,
             ...doc.data()
         }));
 
         return res.status(200).json({
             message: 'Locations retrieved successfully',
-            locations: allLocations
+            locations: allLocations,
+            next_cursor,
+            has_more
         });
     } catch (error) {
         console.error("Error getting all locations:", error);
@@ -81,27 +120,41 @@ export const getAllLocations = async (req, res) => {
  */
 /**
  * @route GET /api/tasks/created-by/:userId
- * @desc Get all tasks created by a specific user.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * @desc Get all tasks created by a specific user, or only those changed after ?since=<cursor>.
+ * @access Private (the user themselves, admin or coordinator)
  */
 export const getAllTasksForUser = async (req, res) => { // Renaming suggested for clarity in route
     const { userId } = req.params;
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
     try {
         // Query ONLY for tasks where 'created_by' matches userId
-        const createdTasksSnapshot = await tasksCollection.where('created_by', '==', userId).get();
+        const createdTasks = tasksCollection.where('created_by', '==', userId);
+        const { docs, next_cursor, has_more } = await queryChangesSince(createdTasks, since, req.query.since, limit);
 
-        const allTasks = createdTasksSnapshot.docs.map(doc => ({
+        const allTasks = docs.map(doc => ({
             id: doc.id,
             ...doc.data(),
             created_at: toISOStringSafe(doc.data().created_at),
             updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
             due_date: toISOStringSafe(doc.data().due_date),
+            deleted_at: toISOStringSafe(doc.data().deleted_at),
+            status_changed_at: toISOStringSafe(doc.data().status_changed_at),
+            status_timestamps: Object.fromEntries(Object.entries(doc.data().status_timestamps ?? {})
+                .map(([status, at]) => [status, toISOStringSafe(at)])),
         }));
 
         return res.status(200).json({
             message: 'Tasks created by user retrieved successfully',
-            tasks: allTasks
+            tasks: allTasks,
+            next_cursor,
+            has_more
         });
     } catch (error) {
         console.error("Error getting tasks created by user:", error);
@@ -111,21 +164,24 @@ export const getAllTasksForUser = async (req, res) => { // Renaming suggested fo
 
 /**
  * @route GET /api/task-assignments/by-user/:userId
- * @desc Get all task assignments and their tasks for a specific user
- * @access Private
+ * @desc Get all task assignments and their tasks for a specific user.
+ * With ?since=<cursor>, only assignments changed after the cursor are returned.
+ * @access Private (the user themselves, admin or coordinator)
  */
 export const getTaskAssignmentsForUser = async (req, res) => {
   const { userId } = req.params;
+  const { since, limit, error } = parseChangesQuery(req.query);
 
-  try {
-    const assignmentsSnapshot = await db
-      .collection('task_assignments')
-      .where('user_id', '==', userId)
-      .get();
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
+  try {
+    const userAssignments = db.collection('task_assignments').where('user_id', '==', userId);
+    const { docs, next_cursor, has_more } = await queryChangesSince(userAssignments, since, req.query.since, limit);
     const assignments = [];
 
-    for (const doc of assignmentsSnapshot.docs) {
+    for (const doc of docs) {
       const assignmentData = doc.data();
 
       // Fetch corresponding task (if it exists)
@@ -139,6 +195,9 @@ export const getTaskAssignmentsForUser = async (req, res) => {
             ...taskData,
             created_at: toISOStringSafe(taskData.created_at),
             updated_at: toISOStringSafe(taskData.updated_at),
+            changed_at: toISOStringSafe(taskData.changed_at),
+            version: currentVersion(taskData),
+            deleted_at: toISOStringSafe(taskData.deleted_at),
           };
         }
       }
@@ -148,8 +207,15 @@ export const getTaskAssignmentsForUser = async (req, res) => {
         assignment_id: doc.id,
         ...assignmentData,
         assigned_at: toISOStringSafe(assignmentData.assigned_at),
+        accepted_at: toISOStringSafe(assignmentData.accepted_at),
+        started_at: toISOStringSafe(assignmentData.started_at),
+        declined_at: toISOStringSafe(assignmentData.declined_at),
+        completed_at: toISOStringSafe(assignmentData.completed_at),
         created_at: toISOStringSafe(assignmentData.created_at),
         updated_at: toISOStringSafe(assignmentData.updated_at),
+        changed_at: toISOStringSafe(assignmentData.changed_at),
+        version: currentVersion(assignmentData),
+        deleted_at: toISOStringSafe(assignmentData.deleted_at),
         task: task || null,
       });
     }
@@ -157,6 +223,8 @@ export const getTaskAssignmentsForUser = async (req, res) => {
     return res.status(200).json({
       message: 'Task assignments retrieved successfully',
       assignments, // ✅ This matches the client's `response.data.assignments`
+      next_cursor,
+      has_more,
     });
   } catch (error) {
     console.error('❌ Error fetching task assignments with tasks:', error);
@@ -167,26 +235,38 @@ export const getTaskAssignmentsForUser = async (req, res) => {
 };
 /**
  * @route GET /api/supplies
- * @desc Get all documents from the 'supplies' collection.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * @desc Get all documents from the 'supplies' collection, or only those changed after ?since=<cursor>.
+ * @access Private (any authenticated role)
  */
 export const getAllSupplies = async (req, res) => { // NEW controller function
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
     try {
-        const snapshot = await suppliesCollection.get(); // Use suppliesCollection defined in this file
+        const { docs, next_cursor, has_more } = await queryChangesSince(suppliesCollection, since, req.query.since, limit);
 
-        const allSupplies = snapshot.docs.map(doc => ({
+        const allSupplies = docs.map(doc => ({
             id: doc.id, // Include the document ID
             ...doc.data(),
             // Ensure timestamps/dates are formatted
             expiry_date: toISOStringSafe(doc.data().expiry_date), // Assuming expiry_date can be a Timestamp
             timestamp: toISOStringSafe(doc.data().timestamp),       // Assuming timestamp can be a Timestamp
+            recalled_at: toISOStringSafe(doc.data().recalled_at),
             created_at: toISOStringSafe(doc.data().created_at),
             updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
+            deleted_at: toISOStringSafe(doc.data().deleted_at),
         }));
 
         return res.status(200).json({
             message: 'Supplies retrieved successfully',
-            supplies: allSupplies
+            supplies: allSupplies,
+            next_cursor,
+            has_more
         });
     } catch (error) {
         console.error("Error getting all supplies:", error);
@@ -194,29 +274,245 @@ export const getAllSupplies = async (req, res) => { // NEW controller function
     }
 };
 
+/**
+ * @route GET /api/supply-movements
+ * @desc Get the stock ledger: every supply movement, or only those recorded after ?since=<cursor>.
+ *       Optional ?supply_id= narrows it to one supply.
+ * @access Private (any authenticated role)
+ */
+export const getSupplyMovements = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const query = req.query.supply_id
+            ? supplyMovementsCollection.where('supply_id', '==', req.query.supply_id)
+            : supplyMovementsCollection;
+        const { docs, next_cursor, has_more } = await queryChangesSince(query, since, req.query.since, limit);
+
+        const movements = docs.map(doc => ({
+            ...doc.data(),
+            occurred_at: toISOStringSafe(doc.data().occurred_at),
+            created_at: toISOStringSafe(doc.data().created_at),
+            updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
+        }));
+
+        return res.status(200).json({
+            message: 'Supply movements retrieved successfully',
+            movements,
+            next_cursor,
+            has_more
+        });
+    } catch (error) {
+        console.error("❌ Error getting supply movements:", error);
+        res.status(500).json({ message: "Failed to retrieve supply movements." });
+    }
+};
+
+/**
+ * @route GET /api/supply-lots
+ * @desc Get supply lots, or only those changed after ?since=<cursor>. Optional ?supply_id= or ?location_id=
+ *       narrows them to one supply or one location.
+ * @access Private (any authenticated role)
+ */
+export const getSupplyLots = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { supply_id, location_id } = req.query;
+        let query = supplyLotsCollection;
+        if (supply_id) query = query.where('supply_id', '==', supply_id);
+        if (location_id) query = query.where('location_id', '==', location_id);
+
+        const { docs, next_cursor, has_more } = await queryChangesSince(query, since, req.query.since, limit);
+
+        const lots = docs.map(doc => ({
+            ...doc.data(),
+            expiry_date: toISOStringSafe(doc.data().expiry_date),
+            recalled_at: toISOStringSafe(doc.data().recalled_at),
+            created_at: toISOStringSafe(doc.data().created_at),
+            updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
+        }));
+
+        return res.status(200).json({
+            message: 'Supply lots retrieved successfully',
+            lots,
+            next_cursor,
+            has_more
+        });
+    } catch (error) {
+        console.error("❌ Error getting supply lots:", error);
+        res.status(500).json({ message: "Failed to retrieve supply lots." });
+    }
+};
+
+/**
+ * @route GET /api/stock-transfers
+ * @desc Get stock transfers, or only those changed after ?since=<cursor>. Optional ?location_id= keeps
+ *       transfers leaving or arriving at that location.
+ * @access Private (any authenticated role)
+ */
+export const getStockTransfers = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { location_id } = req.query;
+        // A transfer can't leave and arrive at the same location, so the two queries don't overlap
+        const queries = location_id
+            ? [
+                stockTransfersCollection.where('source_location_id', '==', location_id),
+                stockTransfersCollection.where('destination_location_id', '==', location_id),
+            ]
+            : stockTransfersCollection;
+
+        const { docs, next_cursor, has_more } = await queryChangesSince(queries, since, req.query.since, limit);
+
+        const transfers = docs.map(doc => ({
+            ...doc.data(),
+            requested_at: toISOStringSafe(doc.data().requested_at),
+            dispatched_at: toISOStringSafe(doc.data().dispatched_at),
+            received_at: toISOStringSafe(doc.data().received_at),
+            cancelled_at: toISOStringSafe(doc.data().cancelled_at),
+            created_at: toISOStringSafe(doc.data().created_at),
+            updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
+        }));
+
+        return res.status(200).json({
+            message: 'Stock transfers retrieved successfully',
+            transfers,
+            next_cursor,
+            has_more
+        });
+    } catch (error) {
+        console.error("❌ Error getting stock transfers:", error);
+        res.status(500).json({ message: "Failed to retrieve stock transfers." });
+    }
+};
+
+/**
+ * @route GET /api/catalog-items
+ * @desc Get the product catalog, or only the items changed after ?since=<cursor> (tombstones included).
+ * @access Private (any authenticated role)
+ */
+export const getCatalogItems = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { docs, next_cursor, has_more } = await queryChangesSince(catalogItemsCollection, since, req.query.since, limit);
+
+        const items = docs.map(doc => ({
+            ...doc.data(),
+            created_at: toISOStringSafe(doc.data().created_at),
+            updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            deleted_at: toISOStringSafe(doc.data().deleted_at),
+            version: currentVersion(doc.data()),
+        }));
+
+        return res.status(200).json({
+            message: 'Catalog items retrieved successfully',
+            items,
+            next_cursor,
+            has_more
+        });
+    } catch (error) {
+        console.error("❌ Error getting catalog items:", error);
+        res.status(500).json({ message: "Failed to retrieve catalog items." });
+    }
+};
+
+/**
+ * @route GET /api/task-templates
+ * @desc Get recurring task templates, or only those changed after ?since=<cursor> (tombstones included).
+ * @access Private (admin, coordinator)
+ */
+export const getTaskTemplates = async (req, res) => {
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { docs, next_cursor, has_more } = await queryChangesSince(taskTemplatesCollection, since, req.query.since, limit);
+
+        const templates = docs.map(doc => ({
+            ...doc.data(),
+            starts_at: toISOStringSafe(doc.data().starts_at),
+            created_at: toISOStringSafe(doc.data().created_at),
+            updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            deleted_at: toISOStringSafe(doc.data().deleted_at),
+            version: currentVersion(doc.data()),
+        }));
+
+        return res.status(200).json({
+            message: 'Task templates retrieved successfully',
+            templates,
+            next_cursor,
+            has_more
+        });
+    } catch (error) {
+        console.error("❌ Error getting task templates:", error);
+        res.status(500).json({ message: "Failed to retrieve task templates." });
+    }
+};
+
 /**
  * @route GET /api/registrations/by-user/:userId
- * @desc Get all registered patients associated with a specific user.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * @desc Get all registered patients associated with a specific user, or only those changed after ?since=<cursor>.
+ * @access Private (the user themselves, admin or coordinator)
  */
 export const getRegisteredPatientsForUser = async (req, res) => { // NEW controller function
     const { userId } = req.params;
+    const { since, limit, error } = parseChangesQuery(req.query);
+
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
     try {
-        const snapshot = await registrationsCollection.where('user_id', '==', userId).get();
+        const userRegistrations = registrationsCollection.where('user_id', '==', userId);
+        const { docs, next_cursor, has_more } = await queryChangesSince(userRegistrations, since, req.query.since, limit);
 
-        const allRegistrations = snapshot.docs.map(doc => ({
+        const allRegistrations = docs.map(doc => ({
             id: doc.id, // Include the document ID
             ...doc.data(),
             // Ensure timestamps/dates are formatted
             timestamp: toISOStringSafe(doc.data().timestamp),
             created_at: toISOStringSafe(doc.data().created_at),
             updated_at: toISOStringSafe(doc.data().updated_at),
+            changed_at: toISOStringSafe(doc.data().changed_at),
+            version: currentVersion(doc.data()),
+            deleted_at: toISOStringSafe(doc.data().deleted_at),
         }));
 
         return res.status(200).json({
             message: 'Registered patients retrieved successfully',
-            patients: allRegistrations // Naming it 'patients' as per your initial request
+            patients: allRegistrations, // Naming it 'patients' as per your initial request
+            next_cursor,
+            has_more
         });
     } catch (error) {
         console.error("Error getting registered patients for user:", error);
@@ -227,22 +523,22 @@ export const getRegisteredPatientsForUser = async (req, res) => { // NEW control
 
 /**
  * @route GET /api/users/fieldworkers
- * @desc Get all users where role is 'fieldworker'.
- * @access Private (You should implement authentication/authorization middleware before this route)
+ * @desc Get all users where role is 'fieldworker', or only those changed after ?since=<cursor>.
+ * @access Private (admin or coordinator)
  */
 export const getAllFieldworkers = async (req, res) => {
+  const { since, limit, error } = parseChangesQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
   try {
     console.log('this method is working? ')
-    const snapshot = await usersCollection.where('role', '==', 'fieldworker').get();
-
-    if (snapshot.empty) {
-      return res.status(200).json({
-        message: 'No fieldworkers found',
-        users: []
-      });
-    }
+    const fieldworkerUsers = usersCollection.where('role', '==', 'fieldworker');
+    const { docs, next_cursor, has_more } = await queryChangesSince(fieldworkerUsers, since, req.query.since, limit);
 
-    const fieldworkers = snapshot.docs.map(doc => {
+    const fieldworkers = docs.map(doc => {
       const data = doc.data();
       if (data.password) {
         delete data.password; // remove sensitive info
@@ -252,12 +548,17 @@ export const getAllFieldworkers = async (req, res) => {
         ...data,
         created_at: toISOStringSafe(data.created_at),
         updated_at: toISOStringSafe(data.updated_at),
+        changed_at: toISOStringSafe(data.changed_at),
+        version: currentVersion(data),
+        deleted_at: toISOStringSafe(data.deleted_at),
       };
     });
 
     return res.status(200).json({
       message: 'Fieldworkers retrieved successfully',
-      users: fieldworkers
+      users: fieldworkers,
+      next_cursor,
+      has_more
     });
   } catch (error) {
     console.error('Error fetching fieldworkers:', error);
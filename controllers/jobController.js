@@ -0,0 +1,84 @@
+// controllers/jobController.js
+// Manual runs of the scheduled jobs in jobs/, for operators who don't want to wait for the next tick.
+import { triggerSupplyMonitor } from '../jobs/supplyMonitor.js';
+import { triggerTaskScheduler } from '../jobs/taskScheduler.js';
+import { triggerTaskEscalation } from '../jobs/taskEscalation.js';
+import { runChangeBackfill } from '../jobs/changeBackfill.js';
+import { runUniqueKeyBackfill } from '../jobs/uniqueKeyBackfill.js';
+
+/**
+ * @route POST /api/admin/jobs/supply-monitor/run
+ * @desc Scan supplies for expiry and low stock now, and report what was raised.
+ * @access Private (admin)
+ */
+export const runSupplyMonitorJob = async (req, res) => {
+  try {
+    const summary = await triggerSupplyMonitor();
+    return res.status(200).json({ message: 'Supply monitor run completed', summary });
+  } catch (err) {
+    console.error('❌ Error running supply monitor:', err);
+    return res.status(500).json({ error: 'Failed to run supply monitor' });
+  }
+};
+
+/**
+ * @route POST /api/admin/jobs/task-scheduler/run
+ * @desc Expand recurring task templates now, and report how many tasks and assignments were created.
+ * @access Private (admin)
+ */
+export const runTaskSchedulerJob = async (req, res) => {
+  try {
+    const summary = await triggerTaskScheduler();
+    return res.status(200).json({ message: 'Task scheduler run completed', summary });
+  } catch (err) {
+    console.error('❌ Error running task scheduler:', err);
+    return res.status(500).json({ error: 'Failed to run task scheduler' });
+  }
+};
+
+/**
+ * @route POST /api/admin/jobs/task-escalation/run
+ * @desc Check open tasks for overdue, unaccepted and unassigned work now, and send the escalations that are due.
+ * @access Private (admin)
+ */
+export const runTaskEscalationJob = async (req, res) => {
+  try {
+    const summary = await triggerTaskEscalation();
+    return res.status(200).json({ message: 'Task escalation run completed', summary });
+  } catch (err) {
+    console.error('❌ Error running task escalation:', err);
+    return res.status(500).json({ error: 'Failed to run task escalation' });
+  }
+};
+
+/**
+ * @route POST /api/admin/jobs/change-backfill/run
+ * @desc Give synced records written before change times existed a changed_at, so down-sync hands them out.
+ *       Run once after upgrading; records already stamped are skipped.
+ * @access Private (admin)
+ */
+export const runChangeBackfillJob = async (req, res) => {
+  try {
+    const summary = await runChangeBackfill();
+    return res.status(200).json({ message: 'Change time backfill completed', summary });
+  } catch (err) {
+    console.error('❌ Error running change time backfill:', err);
+    return res.status(500).json({ error: 'Failed to run change time backfill' });
+  }
+};
+
+/**
+ * @route POST /api/admin/jobs/unique-key-backfill/run
+ * @desc Claim the unique keys of records written before unique keys existed, and list records that share a
+ *       unique value with another one. Run once after upgrading; keys already claimed are skipped.
+ * @access Private (admin)
+ */
+export const runUniqueKeyBackfillJob = async (req, res) => {
+  try {
+    const summary = await runUniqueKeyBackfill();
+    return res.status(200).json({ message: 'Unique key backfill completed', summary });
+  } catch (err) {
+    console.error('❌ Error running unique key backfill:', err);
+    return res.status(500).json({ error: 'Failed to run unique key backfill' });
+  }
+};
@@ -0,0 +1,175 @@
+// controllers/recallController.js
+// Lot recalls. A recall flags every live lot with the lot number, at every location, along with supplies that
+// hold a single lot of that number themselves. Locations holding it get an alert, and everyone who dispensed
+// from it gets a notification to follow up with the people who received it.
+import { createRecallDoc, getRecallById, findRecalls } from '../models/recallModel.js';
+import { findLotsByNumber, recallSupplyLotDoc } from '../models/supplyLotModel.js';
+import { recallSupplyDoc } from '../models/supplyModel.js';
+import { createAlertDoc } from '../models/alertModel.js';
+import { sendNotificationToUsers } from '../models/notificationModel.js';
+import { publishDoc } from '../config/changeFeed.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { db } from '../storage/index.js';
+
+const recalls = db.collection('recalls');
+const supplies = db.collection('supplies');
+const lots = db.collection('supply_lots');
+const movements = db.collection('supply_movements');
+const alerts = db.collection('alerts');
+
+const formatRecall = (recall) => ({
+  ...recall,
+  created_at: toISOStringSafe(recall.created_at),
+  updated_at: toISOStringSafe(recall.updated_at),
+});
+
+/**
+ * Sends the recall notice to users who dispensed from a recalled lot.
+ * @param {Object} recall - Recall document data
+ * @param {string[]} userIds
+ */
+export const notifyRecallDispensers = (recall, userIds) => sendNotificationToUsers(userIds, {
+  title: 'Lot recalled',
+  message: `Lot ${recall.lot_number}${recall.item_name ? ` of ${recall.item_name}` : ''} has been recalled`
+    + `${recall.reason ? `: ${recall.reason}` : ''}. You dispensed from it; please follow up with the recipients.`,
+  type: 'supply_recall',
+  entity_type: 'recall',
+  entity_id: recall.recall_id,
+});
+
+// Users with a dispensed movement against any of the lots or single-lot supplies
+const findDispensers = async (lotIds, supplyIds) => {
+  const snapshots = await Promise.all([
+    ...lotIds.map((id) => movements.where('lot_id', '==', id).get()),
+    ...supplyIds.map((id) => movements.where('supply_id', '==', id).get()),
+  ]);
+  const userIds = snapshots
+    .flatMap((snapshot) => snapshot.docs.map((doc) => doc.data()))
+    .filter((movement) => movement.type === 'dispensed' && movement.user_id)
+    .map((movement) => movement.user_id);
+  return [...new Set(userIds)];
+};
+
+/**
+ * @route POST /api/recalls
+ * @desc Recall a lot number. Body: { lot_number, catalog_item_id?, reason?, recall_id? }. Without catalog_item_id
+ *       every product's lot with that number is recalled. Sending an existing recall_id again returns that recall.
+ * @access Private (admin, coordinator)
+ */
+export const createRecall = async (req, res) => {
+  const { lot_number, catalog_item_id = null, reason = null } = req.body ?? {};
+
+  if (typeof lot_number !== 'string' || !lot_number.trim()) {
+    return res.status(400).json({ error: 'lot_number is required' });
+  }
+
+  try {
+    const recallId = req.body.recall_id || recalls.doc().id;
+    const existing = await getRecallById(recallId);
+    if (existing) {
+      return res.status(200).json({ message: 'Recall already recorded', recall: formatRecall(existing), duplicate: true });
+    }
+
+    const recalledLots = (await findLotsByNumber(lot_number, catalog_item_id)).filter((lot) => lot.status !== 'recalled');
+    const supplySnapshot = await supplies.where('lot_number', '==', lot_number).get();
+    const recalledSupplies = supplySnapshot.docs
+      .map((doc) => doc.data())
+      .filter((supply) => !supply.deleted_at && !supply.recall_id
+        && (!catalog_item_id || supply.catalog_item_id === catalog_item_id));
+
+    if (recalledLots.length === 0 && recalledSupplies.length === 0) {
+      return res.status(404).json({ error: `No stock with lot number ${lot_number} to recall` });
+    }
+
+    const lotIds = recalledLots.map((lot) => lot.lot_id);
+    const supplyIds = recalledSupplies.map((supply) => supply.supply_id);
+    const locationIds = [...new Set([...recalledLots, ...recalledSupplies].map((item) => item.location_id).filter(Boolean))];
+    const dispensers = await findDispensers(lotIds, supplyIds);
+
+    // The lots' supplies give the product name for the notices
+    const firstSupply = recalledSupplies[0] ?? (await supplies.doc(recalledLots[0].supply_id).get()).data();
+    const recall = {
+      recall_id: recallId,
+      lot_number,
+      catalog_item_id,
+      item_name: firstSupply?.item_name ?? null,
+      reason,
+      initiated_by: req.user.uid,
+      lot_ids: lotIds,
+      supply_ids: supplyIds,
+      location_ids: locationIds,
+      notified_user_ids: dispensers,
+    };
+
+    // All flags or none, so a failed recall can simply be sent again
+    const batch = db.batch();
+    await createRecallDoc(recallId, recall, batch);
+    await Promise.all(lotIds.map((id) => recallSupplyLotDoc(id, recall, batch)));
+    await Promise.all(supplyIds.map((id) => recallSupplyDoc(id, recall, batch)));
+    await batch.commit();
+
+    await Promise.all([
+      ...lotIds.map((id) => publishDoc(lots.doc(id))),
+      ...supplyIds.map((id) => publishDoc(supplies.doc(id))),
+    ]);
+
+    for (const locationId of locationIds) {
+      const alertId = alerts.doc().id;
+      await createAlertDoc(alertId, {
+        user_id: null, // Raised by the server, not by a user's device
+        type: 'supply_recall',
+        location_id: locationId,
+        description: `Lot ${lot_number}${recall.item_name ? ` of ${recall.item_name}` : ''} is recalled`
+          + `${reason ? `: ${reason}` : ''}. Stop dispensing it and set it aside.`,
+        priority: 'urgent',
+        sent_via: 'system',
+      });
+      await publishDoc(alerts.doc(alertId));
+    }
+
+    await notifyRecallDispensers(recall, dispensers);
+
+    console.log(`🚫 Recall ${recallId}: lot ${lot_number}, ${lotIds.length + supplyIds.length} flagged, ${dispensers.length} notified`);
+
+    return res.status(201).json({
+      message: 'Recall recorded',
+      recall: formatRecall(await getRecallById(recallId)),
+    });
+  } catch (err) {
+    console.error('❌ Error creating recall:', err);
+    return res.status(500).json({ error: 'Failed to record recall' });
+  }
+};
+
+/**
+ * @route GET /api/recalls
+ * @desc List recalls, optionally for one ?lot_number=.
+ * @access Private (admin, coordinator)
+ */
+export const listRecalls = async (req, res) => {
+  try {
+    const found = await findRecalls({ lot_number: req.query.lot_number });
+    return res.status(200).json({ message: 'Recalls retrieved successfully', recalls: found.map(formatRecall) });
+  } catch (err) {
+    console.error('❌ Error listing recalls:', err);
+    return res.status(500).json({ error: 'Failed to retrieve recalls' });
+  }
+};
+
+/**
+ * @route GET /api/recalls/:recallId
+ * @desc Get a recall and what it flagged.
+ * @access Private (admin, coordinator)
+ */
+export const getRecall = async (req, res) => {
+  try {
+    const recall = await getRecallById(req.params.recallId);
+    if (!recall) {
+      return res.status(404).json({ error: 'Recall not found' });
+    }
+    return res.status(200).json({ recall: formatRecall(recall) });
+  } catch (err) {
+    console.error('❌ Error getting recall:', err);
+    return res.status(500).json({ error: 'Failed to retrieve recall' });
+  }
+};
@@ -0,0 +1,225 @@
+// controllers/streamController.js
+// Server-sent events for connected devices: task assignments, notifications and alerts are pushed as
+// the sync controllers commit them (see config/changeFeed.js), instead of waiting for the next down-sync poll.
+import { db, FieldPath, Timestamp } from '../storage/index.js';
+import { subscribeChanges } from '../config/changeFeed.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+import {
+  CHANGE_FIELD,
+  compareChanges,
+  cursorFromJSON,
+  cursorToJSON,
+  decodeCursor,
+  queryChangesSince,
+} from '../config/syncCursor.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { currentVersion } from './sync/versioning.js';
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing idle connections
+
+/**
+ * What a device can subscribe to. `matches` decides whether a record belongs to the subscriber;
+ * `source` is the query the catch-up reads before `matches` filters it.
+ */
+const STREAM_SCOPES = {
+  assignments: {
+    entity: 'task-assignment',
+    source: (ctx) => db.collection('task_assignments').where('user_id', '==', ctx.uid),
+    matches: (data, ctx) => data.user_id === ctx.uid,
+  },
+  notifications: {
+    entity: 'notification',
+    source: (ctx) => db.collection('notifications').where('user_id', '==', ctx.uid),
+    matches: (data, ctx) => data.user_id === ctx.uid,
+  },
+  alerts: {
+    entity: 'alert',
+    source: () => db.collection('alerts'),
+    matches: (data, ctx) => ctx.allLocations || ctx.locationIds.has(data.location_id),
+  },
+};
+
+const isLive = (doc) => !doc.data().deleted_at;
+
+/**
+ * The locations a field user works at: the ones they added and those of tasks assigned to them.
+ * @param {string} uid
+ * @returns {Promise<Set<string>>}
+ */
+const getUserLocationIds = async (uid) => {
+  const [owned, assignments] = await Promise.all([
+    db.collection('locations').where('user_id', '==', uid).get(),
+    db.collection('task_assignments').where('user_id', '==', uid).get(),
+  ]);
+
+  const locationIds = new Set(owned.docs.filter(isLive).map((doc) => doc.id));
+  const taskIds = [...new Set(assignments.docs.filter(isLive).map((doc) => doc.data().task_id))];
+  const tasks = await Promise.all(taskIds.map((taskId) => db.collection('tasks').doc(taskId).get()));
+
+  tasks.forEach((task) => {
+    if (task.exists && task.data().location_id) locationIds.add(task.data().location_id);
+  });
+  return locationIds;
+};
+
+// One opaque cursor for the whole stream: base64url JSON of { <scope>: <cursor> }, each cursor being the
+// server change time and id of the scope's last record sent, like down-sync cursors (config/syncCursor.js)
+const encodeStreamCursor = (cursors) => Buffer.from(JSON.stringify(
+  Object.fromEntries(Object.entries(cursors).map(([scope, cursor]) => [scope, cursorToJSON(cursor)]))
+)).toString('base64url');
+
+// Cursors from before change times existed ({ updated_at, id } entries) are still read, see cursorFromJSON
+const decodeStreamCursor = (raw) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object') return null;
+
+    const cursors = Object.entries(decoded)
+      .map(([scope, entry]) => [scope, STREAM_SCOPES[scope] ? cursorFromJSON(entry) : null]);
+    return cursors.every(([, cursor]) => cursor) ? Object.fromEntries(cursors) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Where a scope starts when the device sends no cursor: its latest change in storage, so that only later
+ * commits are sent. Taken from storage rather than this server's clock, which commit times aren't set by.
+ * @param {string} scope
+ * @param {Object} ctx
+ * @returns {Promise<{changed_at: Timestamp, id: string}>}
+ */
+const latestChange = async (scope, ctx) => {
+  const snapshot = await STREAM_SCOPES[scope].source(ctx)
+    .orderBy(CHANGE_FIELD, 'desc')
+    .orderBy(FieldPath.documentId(), 'desc')
+    .limit(1)
+    .get();
+  const last = snapshot.docs[0];
+  return last ? { changed_at: last.get(CHANGE_FIELD), id: last.id } : { changed_at: new Timestamp(0, 0), id: '' };
+};
+
+const formatRecord = (data) => ({
+  ...Object.fromEntries(Object.entries(data).map(([field, value]) =>
+    [field, value instanceof Timestamp ? toISOStringSafe(value) : value])),
+  version: currentVersion(data),
+});
+
+/**
+ * @route GET /api/stream?scopes=assignments,notifications,alerts&since=<cursor>
+ * @desc Server-sent event stream of changes in the caller's scopes (all three by default):
+ *       their task assignments, their notifications, and alerts for their locations (every alert for
+ *       admins and coordinators). Each `change` event carries { scope, entity, record } and an id that
+ *       is the stream cursor; reconnecting with it (Last-Event-ID header or ?since=) first replays
+ *       everything changed since, tombstones included. A `ready` event marks the end of the replay.
+ * @access Private
+ */
+export const streamChanges = async (req, res) => {
+  const scopes = req.query.scopes ? String(req.query.scopes).split(',').map((scope) => scope.trim()) : Object.keys(STREAM_SCOPES);
+  const unknown = scopes.filter((scope) => !STREAM_SCOPES[scope]);
+
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}` });
+  }
+
+  const sinceRaw = req.get('Last-Event-ID') || req.query.since;
+  const since = sinceRaw ? decodeStreamCursor(sinceRaw) : {};
+
+  if (!since) {
+    return res.status(400).json({ error: 'Invalid since cursor.' });
+  }
+
+  const ctx = {
+    uid: req.user.uid,
+    allLocations: MANAGER_ROLES.includes(req.user.role),
+    locationIds: new Set(),
+  };
+
+  try {
+    if (scopes.includes('alerts') && !ctx.allLocations) {
+      ctx.locationIds = await getUserLocationIds(ctx.uid);
+    }
+  } catch (err) {
+    console.error('❌ Error opening change stream:', err);
+    return res.status(500).json({ error: 'Failed to open change stream' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const cursors = {};
+  const replayed = new Set(); // entity/id@version sent during catch-up, so buffered live events aren't sent twice
+  const buffered = [];
+  let replaying = true;
+  let closed = false;
+
+  const send = (scope, id, data) => {
+    const key = `${STREAM_SCOPES[scope].entity}/${id}@${currentVersion(data)}`;
+    if (replayed.has(key)) return;
+    if (replaying) replayed.add(key);
+
+    const entry = { changed_at: data[CHANGE_FIELD], id };
+    if (entry.changed_at && compareChanges(entry, cursors[scope]) > 0) cursors[scope] = entry;
+
+    const payload = { scope, entity: STREAM_SCOPES[scope].entity, record: formatRecord(data) };
+    res.write(`id: ${encodeStreamCursor(cursors)}\nevent: change\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const deliver = (event) => {
+    if (closed) return;
+
+    // A new assignment can bring the user to a new location
+    if (event.entity === 'task-assignment' && event.data.user_id === ctx.uid && scopes.includes('alerts') && !ctx.allLocations) {
+      getUserLocationIds(ctx.uid)
+        .then((locationIds) => { ctx.locationIds = locationIds; })
+        .catch((err) => console.error('❌ Failed to refresh stream locations:', err));
+    }
+
+    scopes
+      .filter((scope) => STREAM_SCOPES[scope].entity === event.entity && STREAM_SCOPES[scope].matches(event.data, ctx))
+      .forEach((scope) => send(scope, event.id, event.data));
+  };
+
+  const unsubscribe = subscribeChanges((event) => (replaying ? buffered.push(event) : deliver(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    // Live events are buffered from here on, so nothing committed after these reads is lost
+    for (const scope of scopes) {
+      cursors[scope] = since[scope] ?? await latestChange(scope, ctx);
+    }
+
+    for (const scope of scopes.filter((name) => since[name])) {
+      let cursor = since[scope];
+      let page;
+      do {
+        page = await queryChangesSince(STREAM_SCOPES[scope].source(ctx), cursor);
+        page.docs
+          .filter((doc) => STREAM_SCOPES[scope].matches(doc.data(), ctx))
+          .forEach((doc) => send(scope, doc.id, doc.data()));
+        cursor = decodeCursor(page.next_cursor);
+      } while (page.has_more);
+    }
+
+    replaying = false;
+    buffered.splice(0).forEach(deliver);
+    replayed.clear();
+
+    res.write(`id: ${encodeStreamCursor(cursors)}\nevent: ready\ndata: ${JSON.stringify({ scopes })}\n\n`);
+  } catch (err) {
+    console.error('❌ Change stream catch-up failed:', err);
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to replay missed changes' })}\n\n`);
+    res.end();
+  }
+};
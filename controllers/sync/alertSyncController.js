@@ -1,39 +1,73 @@
-import { createAlertDoc, updateAlertDoc } from '../../models/alertModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createAlertDoc, updateAlertDoc, deleteAlertDoc } from '../../models/alertModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const col = db.collection('alerts');
+const ALERT_STRATEGIES = ['client_wins', 'server_wins', 'merge'];
 
 export const syncAlertFromClient = async (req, res) => {
-  const alert = req.body;
+  let alert = req.body;
 
-  if (!alert.alert_id || !alert.user_id || !alert.updated_at) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (isDeleteOperation(alert)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'alert',
+      idField: 'alert_id',
+      record: alert,
+      deleteDoc: deleteAlertDoc,
+      label: 'Alert',
+    });
+  }
+
+  const validationErrors = validateRecord('alert', alert);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
     const docRef = col.doc(alert.alert_id);
     const doc = await docRef.get();
+    let result;
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(alert.updated_at);
-
-      if (clientUpdated < serverUpdated) {
-        return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'alert_id',
-          latest_data: serverData,
-        });
+
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(alert.alert_id, serverData, 'Alert'));
+      }
+
+      if (isStaleVersion(alert, serverData)) {
+        if (!hasBaseData(alert)) {
+          return res.status(409).json(staleVersionConflict(alert.alert_id, serverData, ALERT_STRATEGIES));
+        }
+
+        const { merged, collisions } = threeWayMerge(alert.base_data, alert, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(alert.alert_id, serverData, collisions));
+        }
+        alert = { ...merged, updated_at: new Date().toISOString() };
       }
 
-      await updateAlertDoc(alert.alert_id, alert);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateAlertDoc(alert.alert_id, alert, tx));
     } else {
-      await createAlertDoc(alert.alert_id, alert);
+      result = await writeIfVersion(docRef, null, (tx) => createAlertDoc(alert.alert_id, alert, tx));
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(staleVersionConflict(alert.alert_id, result.latest_data, ALERT_STRATEGIES));
     }
 
-    return res.status(200).json({ message: 'Alert synced successfully' });
+    return res.status(200).json({ message: 'Alert synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ Alert sync error:', err);
     return res.status(500).json({ error: 'Alert sync failed' });
@@ -45,9 +79,14 @@ export const syncAlertFromClient = async (req, res) => {
  * @param {Object} clientData - The alert data from the client
  * @param {Object} serverData - The alert data from the server
  * @param {string} strategy - The conflict resolution strategy ('client_wins', 'server_wins', 'merge')
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
  * @returns {Object} - Merged alert data
  */
-export const resolveAlertConflict = (clientData, serverData, strategy = 'merge') => {
+export const resolveAlertConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveAlertConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -109,8 +148,33 @@ export const resolveAlertSyncConflict = async (req, res) => {
         status: 'error'
       });
     }
+
+    if (isDeleteOperation(req.body.clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'alert',
+        idField: 'alert_id',
+        record: { ...req.body.clientData, alert_id },
+        deleteDoc: deleteAlertDoc,
+        label: 'Alert',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (req.body.clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('alert', { ...req.body.clientData, alert_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+        });
+      }
+    }
     
-    if (!['client_wins', 'server_wins', 'merge'].includes(resolution_strategy)) {
+    if (!ALERT_STRATEGIES.includes(resolution_strategy)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid resolution strategy. Must be one of: client_wins, server_wins, merge',
@@ -131,6 +195,15 @@ export const resolveAlertSyncConflict = async (req, res) => {
     }
     
     const serverData = doc.data();
+    if (isTombstoned(serverData)) {
+      return resolveTombstoneConflict(res, {
+        idField: 'alert_id',
+        id: alert_id,
+        serverData,
+        label: 'Alert',
+        resolution_strategy,
+      });
+    }
     
     // Get client data from request
     const clientData = req.body.clientData;
@@ -144,17 +217,22 @@ export const resolveAlertSyncConflict = async (req, res) => {
     }
     
     // Apply requested resolution strategy
-    const resolvedData = resolveAlertConflict(clientData, serverData, resolution_strategy);
+    const resolvedData = resolveAlertConflict(clientData, serverData, resolution_strategy, clientData.base_data);
     
-    // Update with resolved data
-    await updateAlertDoc(alert_id, resolvedData);
+    // Update with resolved data, unless the alert changed again since it was read
+    const result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateAlertDoc(alert_id, resolvedData, tx));
+
+    if (!result.committed) {
+      return res.status(409).json(staleResolutionConflict(result.latest_data, ALERT_STRATEGIES));
+    }
     
     return res.status(200).json({
       success: true,
       message: `Conflict resolved using ${resolution_strategy} strategy`,
       status: 'resolved',
       alert_id,
-      resolvedData
+      resolvedData,
+      version: result.version
     });
   } catch (error) {
     console.error('Error resolving alert conflict:', error);
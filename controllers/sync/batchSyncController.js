@@ -0,0 +1,106 @@
+import { checkSyncWriteAccess } from '../../config/accessPolicy.js';
+import { syncEntities } from '../../config/syncEntities.js';
+import { entityHandlers, invokeHandler } from './entityHandlers.js';
+import { logSyncOutcome } from './conflictLog.js';
+import { DEVICE_HEADER } from '../../middleware/deviceTracking.js';
+
+const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * Processes an ordered outbox of sync operations across all entity types in one request.
+ * Each operation is { operation_id?, entity, action: 'sync' | 'delete' | 'resolve-conflict', data }.
+ * Operations run sequentially so later entries can depend on earlier ones (e.g. a task and its assignment).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const syncBatchFromClient = async (req, res) => {
+  const { operations } = req.body;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'operations must be a non-empty array' });
+  }
+
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({
+      error: `Too many operations in one batch (max ${MAX_BATCH_OPERATIONS})`,
+    });
+  }
+
+  const results = [];
+  const summary = { succeeded: 0, conflicts: 0, failed: 0 };
+
+  for (const [index, op] of operations.entries()) {
+    const entity = op?.entity;
+    const action = op?.action || 'sync';
+    const item = {
+      index,
+      operation_id: op?.operation_id ?? null,
+      entity: entity ?? null,
+      action,
+    };
+
+    // Deletes go through the regular sync route with operation: 'delete'
+    const handler = entityHandlers[entity]?.[action === 'delete' ? 'sync' : action];
+
+    if (!handler) {
+      results.push({
+        ...item,
+        status: 400,
+        body: { error: `Unsupported operation: ${entity}/${action}` },
+      });
+      summary.failed++;
+      continue;
+    }
+
+    if (!op.data || typeof op.data !== 'object') {
+      results.push({ ...item, status: 400, body: { error: 'Operation data is required' } });
+      summary.failed++;
+      continue;
+    }
+
+    try {
+      // Same policy the single-entity routes enforce through authorizeSyncWrite
+      const { idField } = syncEntities[entity];
+      const record = action === 'resolve-conflict'
+        ? { ...op.data.clientData, [idField]: op.data[idField] }
+        : op.data;
+      const { allowed, reason } = await checkSyncWriteAccess(req.user, entity, record);
+
+      if (!allowed) {
+        results.push({ ...item, status: 403, body: { error: reason } });
+        summary.failed++;
+        continue;
+      }
+
+      const data = action === 'delete' ? { ...op.data, operation: 'delete' } : op.data;
+      const { status, body } = await invokeHandler(handler, req, data);
+      results.push({ ...item, status, body });
+
+      const logAction = action === 'resolve-conflict' ? action : 'sync';
+      await logSyncOutcome({
+        user: req.user,
+        entity,
+        action: logAction,
+        payload: data,
+        status,
+        body,
+        deviceId: req.get(DEVICE_HEADER) ?? null,
+      })
+        .catch((err) => console.error('❌ Failed to update conflict log:', err));
+
+      if (status >= 200 && status < 300) summary.succeeded++;
+      else if (status === 409) summary.conflicts++;
+      else summary.failed++;
+    } catch (err) {
+      console.error(`❌ Batch sync error (${entity}/${action}):`, err);
+      results.push({ ...item, status: 500, body: { error: 'Operation failed' } });
+      summary.failed++;
+    }
+  }
+
+  return res.status(200).json({
+    message: 'Batch processed',
+    summary,
+    results,
+  });
+};
@@ -0,0 +1,254 @@
+// controllers/sync/catalogItemSyncController.js
+// The product catalog: one entry per product (name, unit, GTIN barcode, SKU, category, default shelf life),
+// shared by every location. Supplies reference it through catalog_item_id.
+import { createCatalogItemDoc, updateCatalogItemDoc, deleteCatalogItemDoc } from '../../models/catalogModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { normalizeGtin } from '../../config/gtin.js';
+import { db } from '../../storage/index.js';
+
+const col = db.collection('catalog_items');
+
+const CATALOG_STRATEGIES = ['client_wins', 'server_wins', 'merge'];
+
+const catalogErrors = (item) => {
+  const errors = validateRecord('catalog-item', item);
+  if (item.barcode && !normalizeGtin(item.barcode)) {
+    errors.push('barcode must be a GTIN-8, -12, -13 or -14 with a valid check digit');
+  }
+  return errors;
+};
+
+// Unique keys are claimed on the normalized GTIN, so a UPC and its EAN-13 form collide
+const withGtin = (item) => ({ ...item, gtin: item.barcode ? normalizeGtin(item.barcode) : null });
+
+/**
+ * @route POST /api/sync/catalog-item
+ * @desc Create, update or delete (operation: 'delete') a catalog item. GTINs and SKUs are unique across the catalog.
+ * @access Private (admin, coordinator)
+ */
+export const syncCatalogItemFromClient = async (req, res) => {
+  let c = req.body;
+
+  if (isDeleteOperation(c)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'catalog-item',
+      idField: 'catalog_item_id',
+      record: c,
+      deleteDoc: deleteCatalogItemDoc,
+      label: 'Catalog item',
+    });
+  }
+
+  const validationErrors = catalogErrors(c);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+  }
+
+  try {
+    const docRef = col.doc(c.catalog_item_id);
+    const doc = await docRef.get();
+    let result;
+
+    if (doc.exists) {
+      const serverData = doc.data();
+
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(c.catalog_item_id, serverData, 'Catalog item'));
+      }
+
+      if (isStaleVersion(c, serverData)) {
+        if (!hasBaseData(c)) {
+          return res.status(409).json(staleVersionConflict(c.catalog_item_id, serverData, CATALOG_STRATEGIES));
+        }
+
+        const { merged, collisions } = threeWayMerge(c.base_data, c, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(c.catalog_item_id, serverData, collisions));
+        }
+        c = { ...merged, updated_at: new Date().toISOString() };
+      }
+
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateCatalogItemDoc(c.catalog_item_id, c, tx), {
+        entity: 'catalog-item',
+        record: withGtin(c),
+      });
+    } else {
+      const item = { ...c, created_by: c.created_by ?? req.user?.uid ?? null };
+      result = await writeIfVersion(docRef, null, (tx) => createCatalogItemDoc(c.catalog_item_id, item, tx), {
+        entity: 'catalog-item',
+        record: withGtin(item),
+      });
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('catalog-item', result.unique_conflict, CATALOG_STRATEGIES)
+        : staleVersionConflict(c.catalog_item_id, result.latest_data, CATALOG_STRATEGIES));
+    }
+
+    return res.status(200).json({ message: 'Catalog item synced successfully', version: result.version });
+  } catch (err) {
+    console.error('❌ Catalog item sync error:', err);
+    return res.status(500).json({ error: 'Catalog item sync failed' });
+  }
+};
+
+/**
+ * Resolves conflicts between client and server catalog items
+ * @param {Object} clientData - The catalog item from the client
+ * @param {Object} serverData - The catalog item on the server
+ * @param {string} strategy - 'client_wins', 'server_wins' or 'merge'
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
+ * @returns {Object} - Resolved catalog item
+ */
+export const resolveCatalogItemConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveCatalogItemConflict(clientData, serverData, 'merge'));
+  }
+
+  switch (strategy) {
+    case 'client_wins':
+      return { ...clientData };
+    case 'server_wins':
+      return { ...serverData };
+    case 'merge':
+    default: {
+      // Without a base, keep the server's identifiers and take the client's descriptive fields it filled in
+      const merged = { ...serverData };
+      ['item_name', 'unit', 'category', 'default_shelf_life_days'].forEach((field) => {
+        if (clientData[field] !== undefined && clientData[field] !== null) merged[field] = clientData[field];
+      });
+      merged.updated_at = new Date().toISOString();
+      return merged;
+    }
+  }
+};
+
+/**
+ * @route POST /api/sync/catalog-item/resolve-conflict
+ * @desc Resolve a catalog item conflict with client_wins, server_wins or merge.
+ * @access Private (admin, coordinator)
+ */
+export const resolveCatalogItemSyncConflict = async (req, res) => {
+  try {
+    const { catalog_item_id, resolution_strategy, clientData } = req.body;
+
+    if (!catalog_item_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catalog item ID is required',
+        status: 'error',
+        allowed_strategies: [],
+      });
+    }
+
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'catalog-item',
+        idField: 'catalog_item_id',
+        record: { ...clientData, catalog_item_id },
+        deleteDoc: deleteCatalogItemDoc,
+        label: 'Catalog item',
+        resolution_strategy,
+      });
+    }
+
+    if (!clientData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client data is required',
+        status: 'error',
+        allowed_strategies: [],
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (resolution_strategy !== 'server_wins') {
+      const validationErrors = catalogErrors({ ...clientData, catalog_item_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
+    const docRef = col.doc(catalog_item_id);
+    const doc = await docRef.get();
+    if (doc.exists && isTombstoned(doc.data())) {
+      return resolveTombstoneConflict(res, {
+        idField: 'catalog_item_id',
+        id: catalog_item_id,
+        serverData: doc.data(),
+        label: 'Catalog item',
+        resolution_strategy,
+      });
+    }
+
+    const isNewItem = !doc.exists;
+    const allowed_strategies = isNewItem ? ['client_wins'] : CATALOG_STRATEGIES;
+
+    if (!allowed_strategies.includes(resolution_strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Strategy "${resolution_strategy}" is not allowed for this conflict.`,
+        status: 'error',
+        allowed_strategies,
+      });
+    }
+
+    const resolvedData = isNewItem
+      ? { ...clientData, created_by: clientData.created_by ?? req.user?.uid ?? null }
+      : resolveCatalogItemConflict(clientData, doc.data(), resolution_strategy, clientData.base_data);
+
+    const result = await writeIfVersion(docRef, isNewItem ? null : currentVersion(doc.data()), (tx) => (isNewItem
+      ? createCatalogItemDoc(catalog_item_id, resolvedData, tx)
+      : updateCatalogItemDoc(catalog_item_id, resolvedData, tx)), {
+      entity: 'catalog-item',
+      record: withGtin(resolvedData),
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('catalog-item', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Conflict resolved using ${resolution_strategy} strategy${isNewItem ? ' (new catalog item created)' : ' (existing catalog item updated)'}`,
+      status: 'resolved',
+      catalog_item_id,
+      resolvedData,
+      version: result.version,
+      resolution_strategy,
+      allowed_strategies,
+      client_id: catalog_item_id,
+      server_id: catalog_item_id,
+    });
+  } catch (error) {
+    console.error('Error resolving catalog item conflict:', error);
+    return res.status(500).json({
+      success: false,
+      message: `Server error: ${error.message}`,
+      status: 'error',
+      allowed_strategies: [],
+    });
+  }
+};
@@ -0,0 +1,50 @@
+// controllers/sync/conflictLog.js
+// Keeps the sync_conflicts review queue in step with what devices are told.
+// Called for every single-entity sync route (middleware/conflictLogMiddleware.js) and every batch operation.
+import { recordConflict, closePendingConflicts } from '../../models/conflictModel.js';
+import { syncEntities } from '../../config/syncEntities.js';
+import { isDeleteOperation } from './deletionSync.js';
+
+/**
+ * Records a 409 from a sync handler, or closes the user's pending conflicts for the record
+ * once a later sync or resolve-conflict request for it succeeds.
+ * @param {Object} options
+ * @param {Object} options.user - Decoded JWT of the caller (req.user)
+ * @param {string} options.entity - Key of syncEntities
+ * @param {string} options.action - 'sync' or 'resolve-conflict'
+ * @param {Object} options.payload - The request body the handler received
+ * @param {number} options.status - HTTP status the handler responded with
+ * @param {Object} options.body - JSON body the handler responded with
+ * @param {string|null} [options.deviceId] - X-Device-Id of the device that made the call
+ */
+export const logSyncOutcome = async ({ user, entity, action, payload, status, body, deviceId = null }) => {
+  const { idField } = syncEntities[entity];
+  const recordId = payload?.[idField];
+  const userId = user?.uid ?? null;
+
+  if (!recordId) return;
+
+  if (status === 409 && action === 'sync') {
+    await recordConflict({
+      entity,
+      record_id: recordId,
+      conflict_type: body.conflict_type || 'stale_update',
+      conflict_field: body.conflict_field ?? null,
+      operation: isDeleteOperation(payload) ? 'delete' : 'sync',
+      message: body.error ?? body.message ?? null,
+      client_data: payload,
+      server_data: body.latest_data ?? null,
+      allowed_strategies: body.allowed_strategies ?? [],
+      client_id: body.client_id ?? recordId,
+      server_id: body.server_id ?? null,
+      reported_by: userId,
+      device_id: deviceId,
+    });
+  } else if (status >= 200 && status < 300) {
+    const resolved = action === 'resolve-conflict';
+    await closePendingConflicts(entity, recordId, userId, {
+      status: resolved ? 'resolved' : 'superseded',
+      resolution_strategy: resolved ? payload.resolution_strategy : null,
+    });
+  }
+};
@@ -0,0 +1,188 @@
+// controllers/sync/deletionSync.js
+// Shared handling for `operation: 'delete'` payloads sent to any /api/sync/* route.
+// Deletes are soft: the document keeps its id and gets deleted_at/deleted_by so that
+// down-sync can hand the tombstone to other devices.
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+
+const DELETE_CONFLICT_STRATEGIES = ['client_wins', 'server_wins'];
+
+// A regular sync never brings a deleted record back, so the device can only drop its copy
+const TOMBSTONE_STRATEGIES = ['server_wins'];
+
+export const isDeleteOperation = (data) => data?.operation === 'delete';
+
+export const isTombstoned = (data) => Boolean(data?.deleted_at);
+
+/**
+ * The 409 body for a regular sync to a record that was deleted on the server. Writing the edit would
+ * leave it on a record no device shows, so it is refused and the tombstone handed back instead.
+ * @param {string} id - Record id
+ * @param {Object} serverData - The tombstoned record
+ * @param {string} [label] - Human readable entity name for messages (e.g. 'Task')
+ */
+export const tombstoneConflict = (id, serverData, label = 'Record') => ({
+  error: `Conflict: ${label} was deleted on the server`,
+  conflict_field: 'deleted_at',
+  conflict_type: 'tombstone',
+  latest_data: serverData,
+  server_version: currentVersion(serverData),
+  allowed_strategies: TOMBSTONE_STRATEGIES,
+  client_id: id,
+  server_id: id,
+});
+
+/**
+ * Answers a resolve-conflict request for a record that was deleted on the server. Only server_wins is
+ * allowed, and it leaves the record deleted.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {string} options.idField - Primary key field (e.g. 'task_id')
+ * @param {string} options.id - Record id
+ * @param {Object} options.serverData - The tombstoned record
+ * @param {string} options.label - Human readable entity name for messages (e.g. 'Task')
+ * @param {string} options.resolution_strategy
+ */
+export const resolveTombstoneConflict = (res, { idField, id, serverData, label, resolution_strategy }) => {
+  if (resolution_strategy !== 'server_wins') {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot resolve conflict: ${label} was deleted on the server`,
+      status: 'error',
+      conflict_type: 'tombstone',
+      latest_data: serverData,
+      server_version: currentVersion(serverData),
+      allowed_strategies: TOMBSTONE_STRATEGIES,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: `Conflict resolved using server_wins strategy (${label.toLowerCase()} stays deleted)`,
+    status: 'resolved',
+    [idField]: id,
+    deleted: true,
+    resolvedData: null,
+    version: currentVersion(serverData),
+    resolution_strategy,
+    allowed_strategies: TOMBSTONE_STRATEGIES,
+    client_id: id,
+    server_id: id,
+  });
+};
+
+/**
+ * Applies a client-side delete to a server document, with the same stale-update check as regular syncs.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {Object} options.collection - Firestore collection reference
+ * @param {string} options.entity - Key of syncEntities; the tombstone releases the record's unique keys
+ * @param {string} options.idField - Primary key field in the payload (e.g. 'task_id')
+ * @param {Object} options.record - The client payload ({ <idField>, updated_at, base_version?, deleted_by?, deleted_at? })
+ * @param {Function} options.deleteDoc - Model function that writes the tombstone, given (id, record, tx)
+ * @param {string} options.label - Human readable entity name for messages (e.g. 'Task')
+ */
+export const syncDeletionFromClient = async (res, { collection, entity, idField, record, deleteDoc, label }) => {
+  const id = record[idField];
+
+  if (!id || !record.updated_at) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const docRef = collection.doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      // Never reached the server, so there is nothing for other devices to purge
+      return res.status(200).json({ message: `${label} not found on server; nothing to delete`, deleted: true });
+    }
+
+    const serverData = doc.data();
+
+    if (isTombstoned(serverData)) {
+      return res.status(200).json({ message: `${label} already deleted`, deleted: true });
+    }
+
+    if (isStaleVersion(record, serverData)) {
+      return res.status(409).json({
+        ...staleVersionConflict(id, serverData, DELETE_CONFLICT_STRATEGIES),
+        operation: 'delete',
+      });
+    }
+
+    const result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => deleteDoc(id, record, tx), {
+      entity,
+      record: null,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json({
+        ...staleVersionConflict(id, result.latest_data, DELETE_CONFLICT_STRATEGIES),
+        operation: 'delete',
+      });
+    }
+
+    return res.status(200).json({ message: `${label} deleted successfully`, deleted: true, version: result.version });
+  } catch (err) {
+    console.error(`❌ ${label} delete sync error:`, err);
+    return res.status(500).json({ error: `${label} delete failed` });
+  }
+};
+
+/**
+ * Resolves a conflict raised by a delete. client_wins writes the tombstone, server_wins keeps the server record.
+ * @param {Object} res - Express response object
+ * @param {Object} options - Same as syncDeletionFromClient, plus resolution_strategy
+ */
+export const resolveDeletionConflict = async (res, { collection, entity, idField, record, deleteDoc, label, resolution_strategy }) => {
+  const id = record[idField];
+
+  try {
+    if (!DELETE_CONFLICT_STRATEGIES.includes(resolution_strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Strategy "${resolution_strategy}" is not allowed for a delete conflict.`,
+        status: 'error',
+        allowed_strategies: DELETE_CONFLICT_STRATEGIES,
+      });
+    }
+
+    const docRef = collection.doc(id);
+    let doc = await docRef.get();
+    const deleted = resolution_strategy === 'client_wins';
+
+    if (deleted && doc.exists && !isTombstoned(doc.data())) {
+      const result = await writeIfVersion(docRef, currentVersion(doc.data()), (tx) => deleteDoc(id, record, tx), {
+        entity,
+        record: null,
+      });
+
+      if (!result.committed) {
+        return res.status(409).json(staleResolutionConflict(result.latest_data, DELETE_CONFLICT_STRATEGIES));
+      }
+      doc = await docRef.get();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Conflict resolved using ${resolution_strategy} strategy (${label.toLowerCase()} ${deleted ? 'deleted' : 'kept'})`,
+      status: 'resolved',
+      [idField]: id,
+      deleted,
+      resolvedData: deleted || !doc.exists ? null : doc.data(),
+      version: doc.exists ? currentVersion(doc.data()) : null,
+      resolution_strategy,
+      allowed_strategies: DELETE_CONFLICT_STRATEGIES,
+      client_id: id,
+      server_id: id,
+    });
+  } catch (error) {
+    console.error(`Error resolving ${label.toLowerCase()} delete conflict:`, error);
+    return res.status(500).json({
+      success: false,
+      message: `Server error: ${error.message}`,
+      status: 'error',
+      allowed_strategies: [],
+    });
+  }
+};
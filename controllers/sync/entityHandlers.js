@@ -0,0 +1,56 @@
+// controllers/sync/entityHandlers.js
+// Lets batch sync and the admin conflict queue run the single-entity handlers without going through HTTP.
+import { syncUserFromClient, resolveUserSyncConflict } from './userSyncController.js';
+import { syncRegistrationFromClient, resolveRegistrationSyncConflict } from './registrationSyncController.js';
+import { syncSupplyFromClient, resolveSupplySyncConflict } from './supplySyncController.js';
+import { syncSupplyMovementFromClient } from './supplyMovementSyncController.js';
+import { syncSupplyLotFromClient } from './supplyLotSyncController.js';
+import { syncStockTransferFromClient } from './stockTransferSyncController.js';
+import { syncCatalogItemFromClient, resolveCatalogItemSyncConflict } from './catalogItemSyncController.js';
+import { syncTaskFromClient, resolveTaskSyncConflict } from './taskSyncController.js';
+import { syncTaskAssignmentFromClient, resolveTaskAssignmentSyncConflict } from './taskAssignmentSyncController.js';
+import { syncTaskTemplateFromClient, resolveTaskTemplateSyncConflict } from './taskTemplateSyncController.js';
+import { syncLocationFromClient, resolveLocationSyncConflict } from './locationSyncController.js';
+import { syncAlertFromClient, resolveAlertSyncConflict } from './alertSyncController.js';
+import { syncNotificationFromClient, resolveNotificationSyncConflict } from './notificationSyncController.js';
+
+// Keys match the route segments in routes/syncRoutes.js so a device can reuse its queue entries as-is
+export const entityHandlers = {
+  user: { sync: syncUserFromClient, 'resolve-conflict': resolveUserSyncConflict },
+  registration: { sync: syncRegistrationFromClient, 'resolve-conflict': resolveRegistrationSyncConflict },
+  supply: { sync: syncSupplyFromClient, 'resolve-conflict': resolveSupplySyncConflict },
+  'supply-movement': { sync: syncSupplyMovementFromClient }, // Append-only, so nothing to resolve
+  'supply-lot': { sync: syncSupplyLotFromClient }, // Stale devices re-pull the lot instead
+  'stock-transfer': { sync: syncStockTransferFromClient }, // Stale devices re-pull the transfer instead
+  'catalog-item': { sync: syncCatalogItemFromClient, 'resolve-conflict': resolveCatalogItemSyncConflict },
+  task: { sync: syncTaskFromClient, 'resolve-conflict': resolveTaskSyncConflict },
+  'task-assignment': { sync: syncTaskAssignmentFromClient, 'resolve-conflict': resolveTaskAssignmentSyncConflict },
+  'task-template': { sync: syncTaskTemplateFromClient, 'resolve-conflict': resolveTaskTemplateSyncConflict },
+  location: { sync: syncLocationFromClient, 'resolve-conflict': resolveLocationSyncConflict },
+  alert: { sync: syncAlertFromClient, 'resolve-conflict': resolveAlertSyncConflict },
+  notification: { sync: syncNotificationFromClient, 'resolve-conflict': resolveNotificationSyncConflict },
+};
+
+/**
+ * Runs a single-entity sync handler against an in-memory response and captures what it sent.
+ * @param {Function} handler - Express handler from one of the entity sync controllers
+ * @param {Object} req - The outer request (headers and auth info are passed through)
+ * @param {Object} body - The operation payload, used as req.body for the handler
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export const invokeHandler = async (handler, req, body) => {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(payload) {
+      result.body = payload;
+      return res;
+    },
+  };
+
+  await handler({ body, headers: req.headers, user: req.user, params: {}, query: {} }, res);
+  return result;
+};
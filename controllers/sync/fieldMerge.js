@@ -0,0 +1,195 @@
+// controllers/sync/fieldMerge.js
+// Three-way merges for records synced with `base_data`: the record as the device last received it
+// from the server. Comparing the client and server copies against that common ancestor tells us
+// which side changed each field, so edits to different fields never conflict.
+import { currentVersion } from './versioning.js';
+
+// Bookkeeping fields that change on every write and say nothing about what the user edited
+const IGNORED_FIELDS = [
+  'created_at',
+  'updated_at',
+  'synced',
+  'sync_status_message',
+  'deleted_at',
+  'deleted_by',
+  'operation',
+  'base_data',
+  'version',
+  'base_version',
+  'password', // Stored hashed, so never comparable with what a device sends
+];
+
+const ISO_DATE_PREFIX = /^\d{4}-\d{2}-\d{2}T/;
+
+// Brings Timestamps, Dates and differently formatted ISO strings to one comparable form
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && ISO_DATE_PREFIX.test(value)) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, normalize(value[key])]));
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+export const hasBaseData = (data) =>
+  Boolean(data?.base_data) && typeof data.base_data === 'object' && !Array.isArray(data.base_data);
+
+const byKey = (list, key) => new Map((Array.isArray(list) ? list : []).map((item) => [item?.[key], item]));
+
+/**
+ * Three-way merge of a list of objects identified by `key` (e.g. a task's checklist), item by item: each side's
+ * additions and removals are kept, and items both sides kept are merged field by field.
+ * @param {Array} base - The list as the device last received it
+ * @param {Array} client - Client copy
+ * @param {Array} server - Server copy
+ * @param {string} key - Field identifying an item
+ * @returns {{merged: Array, collisions: Array<{item_id: string, item_field: string|null, base_value: *, client_value: *, server_value: *}>}}
+ *   merged follows the server's order with the client's new items appended; a colliding item stays as the server
+ *   has it. item_field is null when one side removed an item the other edited.
+ */
+export const mergeKeyedList = (base, client, server, key) => {
+  const baseItems = byKey(base, key);
+  const clientItems = byKey(client, key);
+  const serverItems = byKey(server, key);
+  const merged = [];
+  const collisions = [];
+
+  const ids = [...new Set([...serverItems.keys(), ...clientItems.keys()])];
+  for (const id of ids) {
+    const b = baseItems.get(id);
+    const c = clientItems.get(id);
+    const s = serverItems.get(id);
+
+    if (!c || !s) {
+      // Present on one side only: added there, or removed by the other side (a conflict if the survivor was edited)
+      const kept = c ?? s;
+      if (!b) {
+        merged.push(kept);
+      } else if (!sameValue(kept, b)) {
+        collisions.push({ item_id: id, item_field: null, base_value: b, client_value: c ?? null, server_value: s ?? null });
+        if (s) merged.push(s);
+      }
+      continue;
+    }
+
+    const { merged: item, collisions: itemCollisions } = threeWayMerge(b ?? {}, c, s);
+    merged.push(item);
+    itemCollisions.forEach(({ field, ...values }) => collisions.push({ item_id: id, item_field: field, ...values }));
+  }
+
+  return { merged, collisions };
+};
+
+/**
+ * Merges client and server copies of a record field by field against their common ancestor.
+ * A field the client omits is treated as unchanged, so partial payloads are safe.
+ * @param {Object} base - The record as the device last received it
+ * @param {Object} client - The record the device is sending now
+ * @param {Object} server - The record currently stored
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.lists] - Fields holding lists merged item by item, with the key of
+ *   their items (see mergeKeyedList); their collisions also carry item_id and item_field
+ * @returns {{merged: Object, client_fields: string[], collisions: Array<{field: string, base_value: *, client_value: *, server_value: *}>}}
+ *   merged starts from the server copy with every non-colliding client change applied
+ */
+export const threeWayMerge = (base, client, server, { lists = {} } = {}) => {
+  const merged = { ...server };
+  const client_fields = [];
+  const collisions = [];
+
+  const fields = new Set([...Object.keys(base), ...Object.keys(client), ...Object.keys(server)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field) || !(field in client)) continue;
+
+    if (lists[field]) {
+      const list = mergeKeyedList(base[field], client[field], server[field], lists[field]);
+      if (!sameValue(list.merged, server[field] ?? [])) {
+        merged[field] = list.merged;
+        client_fields.push(field);
+      }
+      list.collisions.forEach((collision) => collisions.push({ field, ...collision }));
+      continue;
+    }
+
+    const clientChanged = !sameValue(client[field], base[field]);
+    const serverChanged = !sameValue(server[field], base[field]);
+
+    if (!clientChanged || sameValue(client[field], server[field])) continue;
+
+    if (!serverChanged) {
+      merged[field] = client[field];
+      client_fields.push(field);
+    } else {
+      collisions.push({
+        field,
+        base_value: base[field] ?? null,
+        client_value: client[field] ?? null,
+        server_value: server[field] ?? null,
+      });
+    }
+  }
+
+  return { merged, client_fields, collisions };
+};
+
+/**
+ * The 409 body for a stale update whose three-way merge found fields both sides edited.
+ * @param {string} id - Record id
+ * @param {Object} serverData - The stored record
+ * @param {Array} collisions - From threeWayMerge
+ */
+export const fieldCollisionConflict = (id, serverData, collisions) => ({
+  error: 'Conflict: The same fields were changed on the server',
+  conflict_field: [...new Set(collisions.map((collision) => collision.field))].join(','),
+  conflict_type: 'field_collision',
+  conflicting_fields: collisions,
+  latest_data: serverData,
+  server_version: currentVersion(serverData),
+  allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
+  client_id: id,
+  server_id: id, // Same ID for stale updates
+});
+
+/**
+ * The `merge` resolution when the client sent base_data: non-colliding changes from both sides are kept,
+ * and only colliding fields (or list items) fall back to the entity's own merge rules.
+ * @param {Object} base - The common ancestor
+ * @param {Object} client - Client copy
+ * @param {Object} server - Server copy
+ * @param {Object} fallback - Result of the entity's whole-record merge for the same inputs
+ * @param {Object} [options] - As for threeWayMerge
+ * @returns {Object} - The resolved record, stamped with a fresh updated_at so down-sync picks it up
+ */
+export const mergeWithBase = (base, client, server, fallback, options = {}) => {
+  const { merged, collisions } = threeWayMerge(base, client, server, options);
+
+  collisions.forEach(({ field, item_id }) => {
+    if (item_id === undefined) {
+      merged[field] = fallback[field];
+      return;
+    }
+    // Only the colliding item takes the fallback's version (or is dropped if the fallback has none)
+    const key = options.lists[field];
+    const fallbackItem = (fallback[field] ?? []).find((item) => item?.[key] === item_id);
+    const list = merged[field] ?? [];
+    const index = list.findIndex((item) => item?.[key] === item_id);
+    if (!fallbackItem) {
+      merged[field] = list.filter((item) => item?.[key] !== item_id);
+    } else if (index === -1) {
+      merged[field] = [...list, fallbackItem];
+    } else {
+      merged[field] = list.map((item, i) => (i === index ? fallbackItem : item));
+    }
+  });
+
+  return { ...merged, updated_at: new Date().toISOString() };
+};
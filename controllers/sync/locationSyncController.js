@@ -1,29 +1,20 @@
-import { createLocationDoc, updateLocationDoc } from '../../models/locationModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createLocationDoc, updateLocationDoc, deleteLocationDoc } from '../../models/locationModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const col = db.collection('locations');
 
-// === Input Validators ===
-function isValidLocationName(name) {
-  return typeof name === 'string' && name.trim().length >= 2 && name.trim().length <= 100;
-}
-
-function isValidCoordinates(latitude, longitude) {
-  if (latitude === undefined && longitude === undefined) return true; // Optional fields
-  if (latitude === undefined || longitude === undefined) return false; // Both required if one is provided
-  
-  return typeof latitude === 'number' && 
-         typeof longitude === 'number' &&
-         latitude >= -90 && latitude <= 90 &&
-         longitude >= -180 && longitude <= 180;
-}
-
-function isValidLocationType(type) {
-  const validTypes = ['hospital', 'clinic', 'pharmacy', 'laboratory', 'emergency', 'other'];
-  return !type || (typeof type === 'string' && validTypes.includes(type.toLowerCase()));
-}
-
 /**
  * Checks if a location with the same name already exists
  * @param {string} name - The location name
@@ -43,7 +34,7 @@ async function checkLocationNameExists(name, currentLocationId = null) {
   }
   
   const firstOtherDoc = snapshot.docs.find(
-    (doc) => !currentLocationId || doc.id !== currentLocationId
+    (doc) => !isTombstoned(doc.data()) && (!currentLocationId || doc.id !== currentLocationId)
   );
   
   if (!firstOtherDoc) return null;
@@ -59,41 +50,46 @@ async function checkLocationNameExists(name, currentLocationId = null) {
 
 // === Main Sync Logic, with allowed_strategies in all 409 responses ===
 export const syncLocationFromClient = async (req, res) => {
-  const l = req.body;
+  let l = req.body;
 
-  if (!l.location_id || !l.user_id || !l.name || !l.updated_at) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (isDeleteOperation(l)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'location',
+      idField: 'location_id',
+      record: l,
+      deleteDoc: deleteLocationDoc,
+      label: 'Location',
+    });
   }
 
-  // Validate input data
-  if (!isValidLocationName(l.name)) {
-    return res.status(400).json({ error: 'Invalid location name format' });
-  }
-  if (!isValidCoordinates(l.latitude, l.longitude)) {
-    return res.status(400).json({ error: 'Invalid coordinates - both latitude and longitude must be provided together' });
-  }
-  if (!isValidLocationType(l.type)) {
-    return res.status(400).json({ error: 'Invalid location type' });
+  const validationErrors = validateRecord('location', l);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
     const docRef = col.doc(l.location_id);
     const doc = await docRef.get();
+    let result;
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(l.updated_at);
 
-      if (clientUpdated < serverUpdated) {
-        return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
-          latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-          client_id: l.location_id,
-          server_id: l.location_id, // Same ID for stale updates
-        });
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(l.location_id, serverData, 'Location'));
+      }
+
+      if (isStaleVersion(l, serverData)) {
+        if (!hasBaseData(l)) {
+          return res.status(409).json(staleVersionConflict(l.location_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(l.base_data, l, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(l.location_id, serverData, collisions));
+        }
+        l = { ...merged, updated_at: new Date().toISOString() };
       }
 
       // Check for location name changes that might conflict
@@ -113,7 +109,10 @@ export const syncLocationFromClient = async (req, res) => {
       }
 
       // ✅ Safe to update
-      await updateLocationDoc(l.location_id, l);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateLocationDoc(l.location_id, l, tx), {
+        entity: 'location',
+        record: l,
+      });
     } else {
       // Create case - check for existing location name
       const nameCheck = await checkLocationNameExists(l.name);
@@ -129,10 +128,19 @@ export const syncLocationFromClient = async (req, res) => {
       }
 
       // ✅ Safe to create new location
-      await createLocationDoc(l.location_id, l);
+      result = await writeIfVersion(docRef, null, (tx) => createLocationDoc(l.location_id, l, tx), {
+        entity: 'location',
+        record: l,
+      });
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('location', result.unique_conflict)
+        : staleVersionConflict(l.location_id, result.latest_data));
     }
 
-    return res.status(200).json({ message: 'Location synced successfully' });
+    return res.status(200).json({ message: 'Location synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ Location sync error:', err);
     return res.status(500).json({ error: 'Location sync failed' });
@@ -143,8 +151,13 @@ export const syncLocationFromClient = async (req, res) => {
 export const resolveLocationConflict = (
   clientData,
   serverData,
-  strategy = 'merge'
+  strategy = 'merge',
+  baseData = null
 ) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveLocationConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -223,6 +236,32 @@ export const resolveLocationSyncConflict = async (req, res) => {
         allowed_strategies: [],
       });
     }
+
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'location',
+        idField: 'location_id',
+        record: { ...clientData, location_id },
+        deleteDoc: deleteLocationDoc,
+        label: 'Location',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('location', { ...clientData, location_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
     
     const allowed_strategies = [];
     const docRef = col.doc(location_id);
@@ -230,6 +269,7 @@ export const resolveLocationSyncConflict = async (req, res) => {
     
     let resolvedData;
     let isNewLocation = false;
+    let expectedVersion = null;
     
     if (!doc.exists) {
       isNewLocation = true;
@@ -262,8 +302,19 @@ export const resolveLocationSyncConflict = async (req, res) => {
       
       resolvedData = { ...clientData };
     } else {
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'location_id',
+          id: location_id,
+          serverData,
+          label: 'Location',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
       
       // For update_data, check constraints
       if (resolution_strategy === 'update_data') {
@@ -283,13 +334,20 @@ export const resolveLocationSyncConflict = async (req, res) => {
         }
       }
       
-      resolvedData = resolveLocationConflict(clientData, serverData, resolution_strategy);
+      resolvedData = resolveLocationConflict(clientData, serverData, resolution_strategy, clientData.base_data);
     }
     
-    if (isNewLocation) {
-      await createLocationDoc(location_id, resolvedData);
-    } else {
-      await updateLocationDoc(location_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewLocation
+      ? createLocationDoc(location_id, resolvedData, tx)
+      : updateLocationDoc(location_id, resolvedData, tx)), {
+      entity: 'location',
+      record: resolvedData,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('location', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
     }
     
     return res.status(200).json({
@@ -298,6 +356,7 @@ export const resolveLocationSyncConflict = async (req, res) => {
       status: 'resolved',
       location_id,
       resolvedData,
+      version: result.version,
       isNewLocation,
       resolution_strategy,
       allowed_strategies,
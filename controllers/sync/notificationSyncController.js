@@ -1,4 +1,19 @@
-import { createNotificationDoc, updateNotificationDoc, getNotificationById } from '../../models/notificationModel.js';
+import { createNotificationDoc, updateNotificationDoc, deleteNotificationDoc, getNotificationById } from '../../models/notificationModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleResolutionConflict } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
+
+const col = db.collection('notifications');
+const NOTIFICATION_STRATEGIES = ['client_wins', 'server_wins', 'merge'];
 
 /**
  * Syncs notification data from client to server
@@ -6,13 +21,34 @@ import { createNotificationDoc, updateNotificationDoc, getNotificationById } fro
  * @param {Object} res - Express response object
  */
 export const syncNotificationFromClient = async (req, res) => {
+  if (isDeleteOperation(req.body)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'notification',
+      idField: 'notification_id',
+      record: req.body,
+      deleteDoc: deleteNotificationDoc,
+      label: 'Notification',
+    });
+  }
+
+  const validationErrors = validateRecord('notification', req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      status: 'error',
+      validation_errors: validationErrors,
+    });
+  }
+
   try {
     const result = await handleNotificationSync(req.body);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(400).json(result);
+      res.status(result.status === 'conflict' ? 409 : 400).json(result);
     }
   } catch (error) {
     console.error('Error in notification sync endpoint:', error);
@@ -43,22 +79,23 @@ export const handleNotificationSync = async (data) => {
     
     // Check if notification exists
     const existingNotification = await getNotificationById(notification_id);
+    const docRef = col.doc(notification_id);
     
     if (existingNotification) {
-      // Handle potential conflicts
-      const clientUpdatedAt = data.updated_at ? new Date(data.updated_at) : null;
-      const serverUpdatedAt = existingNotification.updated_at ? 
-        (existingNotification.updated_at.toDate ? existingNotification.updated_at.toDate() : new Date(existingNotification.updated_at)) : 
-        null;
-      
+      if (isTombstoned(existingNotification)) {
+        const { error, ...conflict } = tombstoneConflict(notification_id, existingNotification, 'Notification');
+        return { success: false, message: error, status: 'conflict', notification_id, ...conflict };
+      }
+
       // Check if we need to handle a conflict
-      if (clientUpdatedAt && serverUpdatedAt && clientUpdatedAt < serverUpdatedAt) {
+      if (isStaleVersion(data, existingNotification)) {
         // Server has newer data, this is a conflict
         // Instead of just rejecting, intelligently merge the data
-        const mergedData = resolveNotificationConflict(data, existingNotification, 'merge');
+        const mergedData = resolveNotificationConflict(data, existingNotification, 'merge', data.base_data);
         
         // Update with the merged data
-        await updateNotificationDoc(notification_id, mergedData);
+        const result = await writeIfVersion(docRef, currentVersion(existingNotification), (tx) => updateNotificationDoc(notification_id, mergedData, tx));
+        if (!result.committed) return notificationChangedConflict(notification_id, result.latest_data);
         
         return {
           success: true,
@@ -68,26 +105,33 @@ export const handleNotificationSync = async (data) => {
           serverData: existingNotification,
           clientData: data,
           mergedData,
-          resolution: 'merge'
+          resolution: 'merge',
+          version: result.version
         };
       }
       
-      // If no conflict or client data is newer, update notification
-      await updateNotificationDoc(notification_id, data);
+      // If no conflict, update notification
+      const result = await writeIfVersion(docRef, currentVersion(existingNotification), (tx) => updateNotificationDoc(notification_id, data, tx));
+      if (!result.committed) return notificationChangedConflict(notification_id, result.latest_data);
+
       return {
         success: true,
         message: 'Notification updated successfully',
         status: 'updated',
-        notification_id
+        notification_id,
+        version: result.version
       };
     } else {
       // Create new notification
-      await createNotificationDoc(notification_id, data);
+      const result = await writeIfVersion(docRef, null, (tx) => createNotificationDoc(notification_id, data, tx));
+      if (!result.committed) return notificationChangedConflict(notification_id, result.latest_data);
+
       return {
         success: true,
         message: 'Notification created successfully',
         status: 'created',
-        notification_id
+        notification_id,
+        version: result.version
       };
     }
   } catch (error) {
@@ -100,14 +144,36 @@ export const handleNotificationSync = async (data) => {
   }
 };
 
+/**
+ * Result for a notification another device wrote between our read and our write
+ * @param {string} notification_id - The notification ID
+ * @param {Object|null} latestData - The notification as it is now
+ * @returns {Object} - Conflict result
+ */
+const notificationChangedConflict = (notification_id, latestData) => ({
+  success: false,
+  message: 'Conflict: Notification changed on the server while syncing',
+  status: 'conflict',
+  notification_id,
+  conflict_field: 'version',
+  latest_data: latestData,
+  server_version: currentVersion(latestData),
+  allowed_strategies: NOTIFICATION_STRATEGIES
+});
+
 /**
  * Resolves conflicts between client and server notification data
  * @param {Object} clientData - The notification data from the client
  * @param {Object} serverData - The notification data from the server
  * @param {string} strategy - The conflict resolution strategy ('client_wins', 'server_wins', 'merge')
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
  * @returns {Object} - Merged notification data
  */
-export const resolveNotificationConflict = (clientData, serverData, strategy = 'merge') => {
+export const resolveNotificationConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveNotificationConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -178,8 +244,33 @@ export const resolveNotificationSyncConflict = async (req, res) => {
         status: 'error'
       });
     }
+
+    if (isDeleteOperation(req.body.clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'notification',
+        idField: 'notification_id',
+        record: { ...req.body.clientData, notification_id },
+        deleteDoc: deleteNotificationDoc,
+        label: 'Notification',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (req.body.clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('notification', { ...req.body.clientData, notification_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+        });
+      }
+    }
     
-    if (!['client_wins', 'server_wins', 'merge'].includes(resolution_strategy)) {
+    if (!NOTIFICATION_STRATEGIES.includes(resolution_strategy)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid resolution strategy. Must be one of: client_wins, server_wins, merge',
@@ -199,6 +290,17 @@ export const resolveNotificationSyncConflict = async (req, res) => {
       });
     }
     
+    const serverData = doc.data();
+    if (isTombstoned(serverData)) {
+      return resolveTombstoneConflict(res, {
+        idField: 'notification_id',
+        id: notification_id,
+        serverData,
+        label: 'Notification',
+        resolution_strategy,
+      });
+    }
+    
     // Get client data from request
     const clientData = req.body.clientData;
     
@@ -211,17 +313,22 @@ export const resolveNotificationSyncConflict = async (req, res) => {
     }
     
     // Apply requested resolution strategy
-    const resolvedData = resolveNotificationConflict(clientData, serverData, resolution_strategy);
+    const resolvedData = resolveNotificationConflict(clientData, serverData, resolution_strategy, clientData.base_data);
     
-    // Update with resolved data
-    await updateNotificationDoc(notification_id, resolvedData);
+    // Update with resolved data, unless the notification changed again since it was read
+    const result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateNotificationDoc(notification_id, resolvedData, tx));
+
+    if (!result.committed) {
+      return res.status(409).json(staleResolutionConflict(result.latest_data, NOTIFICATION_STRATEGIES));
+    }
     
     return res.status(200).json({
       success: true,
       message: `Conflict resolved using ${resolution_strategy} strategy`,
       status: 'resolved',
       notification_id,
-      resolvedData
+      resolvedData,
+      version: result.version
     });
   } catch (error) {
     console.error('Error resolving notification conflict:', error);
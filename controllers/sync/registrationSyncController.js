@@ -1,23 +1,19 @@
-import { createRegistrationDoc, updateRegistrationDoc } from '../../models/registrationModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createRegistrationDoc, updateRegistrationDoc, deleteRegistrationDoc } from '../../models/registrationModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const collection = db.collection('registrations');
 
-// === Input Validators ===
-function isValidAge(age) {
-  return typeof age === 'number' && age >= 0 && age <= 150;
-}
-
-function isValidGender(gender) {
-  const validGenders = ['male', 'female', 'other', 'prefer_not_to_say'];
-  return typeof gender === 'string' && validGenders.includes(gender.toLowerCase());
-}
-
-function isValidPersonName(name) {
-  return typeof name === 'string' && name.trim().length >= 2 && name.trim().length <= 100;
-}
-
 /**
  * Checks if a registration with the same person identity already exists
  * @param {string} personName - The person's name
@@ -44,7 +40,7 @@ async function checkPersonIdentityExists(personName, age, gender, currentRegistr
   }
   
   const firstOtherDoc = snapshot.docs.find(
-    (doc) => !currentRegistrationId || doc.id !== currentRegistrationId
+    (doc) => !isTombstoned(doc.data()) && (!currentRegistrationId || doc.id !== currentRegistrationId)
   );
   
   if (!firstOtherDoc) return null;
@@ -60,43 +56,46 @@ async function checkPersonIdentityExists(personName, age, gender, currentRegistr
 
 // === Main Sync Logic, with allowed_strategies in all 409 responses ===
 export const syncRegistrationFromClient = async (req, res) => {
-  const r = req.body;
+  let r = req.body;
 
-  if (!r.registration_id || !r.user_id || !r.person_name || !r.updated_at) {
-    console.log("some fields are missing")
-    console.log(req.body);
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (isDeleteOperation(r)) {
+    return syncDeletionFromClient(res, {
+      collection: collection,
+      entity: 'registration',
+      idField: 'registration_id',
+      record: r,
+      deleteDoc: deleteRegistrationDoc,
+      label: 'Registration',
+    });
   }
 
-  // Validate input data
-  if (!isValidPersonName(r.person_name)) {
-    return res.status(400).json({ error: 'Invalid person name format' });
-  }
-  if (r.age !== undefined && !isValidAge(r.age)) {
-    return res.status(400).json({ error: 'Invalid age value' });
-  }
-  if (r.gender && !isValidGender(r.gender)) {
-    return res.status(400).json({ error: 'Invalid gender value' });
+  const validationErrors = validateRecord('registration', r);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
     const docRef = collection.doc(r.registration_id);
     const doc = await docRef.get();
+    let result;
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(r.updated_at);
 
-      if (clientUpdated < serverUpdated) {
-        return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
-          latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-          client_id: r.registration_id,
-          server_id: r.registration_id, // Same ID for stale updates
-        });
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(r.registration_id, serverData, 'Registration'));
+      }
+
+      if (isStaleVersion(r, serverData)) {
+        if (!hasBaseData(r)) {
+          return res.status(409).json(staleVersionConflict(r.registration_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(r.base_data, r, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(r.registration_id, serverData, collisions));
+        }
+        r = { ...merged, updated_at: new Date().toISOString() };
       }
 
       // Check for person identity changes that might conflict
@@ -123,7 +122,7 @@ export const syncRegistrationFromClient = async (req, res) => {
       }
 
       // ✅ Safe to update
-      await updateRegistrationDoc(r.registration_id, r);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateRegistrationDoc(r.registration_id, r, tx));
     } else {
       // Create case - check for existing person
       const identityCheck = await checkPersonIdentityExists(r.person_name, r.age, r.gender);
@@ -139,10 +138,14 @@ export const syncRegistrationFromClient = async (req, res) => {
       }
 
       // ✅ Safe to create new registration
-      await createRegistrationDoc(r.registration_id, r);
+      result = await writeIfVersion(docRef, null, (tx) => createRegistrationDoc(r.registration_id, r, tx));
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(staleVersionConflict(r.registration_id, result.latest_data));
     }
 
-    return res.status(200).json({ message: 'Registration synced successfully' });
+    return res.status(200).json({ message: 'Registration synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ Registration sync error:', err);
     return res.status(500).json({ error: 'Registration sync failed' });
@@ -153,8 +156,13 @@ export const syncRegistrationFromClient = async (req, res) => {
 export const resolveRegistrationConflict = (
   clientData,
   serverData,
-  strategy = 'merge'
+  strategy = 'merge',
+  baseData = null
 ) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveRegistrationConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -295,6 +303,32 @@ export const resolveRegistrationSyncConflict = async (req, res) => {
         allowed_strategies: [],
       });
     }
+
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: collection,
+        entity: 'registration',
+        idField: 'registration_id',
+        record: { ...clientData, registration_id },
+        deleteDoc: deleteRegistrationDoc,
+        label: 'Registration',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('registration', { ...clientData, registration_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
     
     const allowed_strategies = [];
     const docRef = collection.doc(registration_id);
@@ -302,6 +336,7 @@ export const resolveRegistrationSyncConflict = async (req, res) => {
     
     let resolvedData;
     let isNewRegistration = false;
+    let expectedVersion = null;
     
     if (!doc.exists) {
       isNewRegistration = true;
@@ -339,8 +374,19 @@ export const resolveRegistrationSyncConflict = async (req, res) => {
       
       resolvedData = { ...clientData };
     } else {
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'registration_id',
+          id: registration_id,
+          serverData,
+          label: 'Registration',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
       
       // For update_data, check constraints
       if (resolution_strategy === 'update_data') {
@@ -367,13 +413,15 @@ export const resolveRegistrationSyncConflict = async (req, res) => {
         }
       }
       
-      resolvedData = resolveRegistrationConflict(clientData, serverData, resolution_strategy);
+      resolvedData = resolveRegistrationConflict(clientData, serverData, resolution_strategy, clientData.base_data);
     }
     
-    if (isNewRegistration) {
-      await createRegistrationDoc(registration_id, resolvedData);
-    } else {
-      await updateRegistrationDoc(registration_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewRegistration
+      ? createRegistrationDoc(registration_id, resolvedData, tx)
+      : updateRegistrationDoc(registration_id, resolvedData, tx)));
+
+    if (!result.committed) {
+      return res.status(409).json(staleResolutionConflict(result.latest_data, allowed_strategies));
     }
     
     return res.status(200).json({
@@ -382,6 +430,7 @@ export const resolveRegistrationSyncConflict = async (req, res) => {
       status: 'resolved',
       registration_id,
       resolvedData,
+      version: result.version,
       isNewRegistration,
       resolution_strategy,
       allowed_strategies,
@@ -0,0 +1,285 @@
+// controllers/sync/stockTransferSyncController.js
+// Stock moving between locations: requested -> dispatched -> partially_received -> received, or cancelled
+// before dispatch. Dispatching debits the source supply and each receipt credits the destination supply,
+// through 'transferred' movements in the stock ledger written in the same transaction as the transfer.
+import { createStockTransferDoc, updateStockTransferDoc } from '../../models/stockTransferModel.js';
+import { createSupplyDoc } from '../../models/supplyModel.js';
+import { createSupplyMovementDoc } from '../../models/supplyMovementModel.js';
+import { recordSupplyMovement } from './supplyMovementSyncController.js';
+import { claimUniqueKeys, uniqueKeyConflict } from './uniqueKeys.js';
+import { isDeleteOperation, isTombstoned } from './deletionSync.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { publishDoc } from '../../config/changeFeed.js';
+import { db, FieldValue } from '../../storage/index.js';
+
+const col = db.collection('stock_transfers');
+const supplies = db.collection('supplies');
+
+// Statuses a transfer may move to from each status (staying put allows editing notes)
+const TRANSFER_TRANSITIONS = {
+  requested: ['requested', 'dispatched', 'cancelled'],
+  dispatched: ['dispatched', 'partially_received', 'received'],
+  partially_received: ['partially_received', 'received'],
+  received: ['received'],
+  cancelled: ['cancelled'],
+};
+const NEW_TRANSFER_STATUSES = ['requested', 'dispatched'];
+
+// Transfers change through their workflow, so a stale device re-pulls instead of picking a strategy
+const TRANSFER_STRATEGIES = [];
+
+// Product fields a destination supply created by a receipt copies from the source supply
+const PRODUCT_FIELDS = ['catalog_item_id', 'barcode', 'sku', 'lot_number', 'unit', 'category'];
+
+/**
+ * The live supply at a location holding the same product and lot as the source, if there is one.
+ * @param {Object} source - Source supply data
+ * @param {string} locationId
+ * @returns {Promise<string|null>} - Supply id
+ */
+const findMatchingSupply = async (source, locationId) => {
+  const snapshot = await supplies.where('location_id', '==', locationId).get();
+  const sameProduct = (data) => (source.catalog_item_id && data.catalog_item_id === source.catalog_item_id)
+    || (source.barcode && data.barcode === source.barcode)
+    || (source.sku && data.sku === source.sku);
+
+  const match = snapshot.docs.find((doc) => {
+    const data = doc.data();
+    return !isTombstoned(data) && sameProduct(data) && (data.lot_number ?? null) === (source.lot_number ?? null);
+  });
+  return match ? match.id : null;
+};
+
+/**
+ * Works out what a sync does to a transfer: the fields to write and how much stock it dispatches and receives.
+ * @param {Object|null} current - The stored transfer, or null for a new one
+ * @param {Object} t - The client payload
+ * @param {string} to - Status the client moves the transfer to
+ * @param {string} uid - The caller
+ * @returns {{error?: string, changes?: Object, dispatched?: number, received?: number}}
+ */
+const planTransfer = (current, t, to, uid) => {
+  const from = current?.status ?? null;
+  const changes = { status: to };
+  let dispatched = 0;
+  let received = 0;
+
+  if (t.notes !== undefined) changes.notes = t.notes;
+  if (t.discrepancy_note !== undefined) changes.discrepancy_note = t.discrepancy_note;
+
+  // What was asked for can change until the stock leaves
+  if (!from || from === 'requested') {
+    changes.quantity_requested = t.quantity_requested;
+    changes.destination_location_id = t.destination_location_id;
+  }
+
+  if (to === 'dispatched' && from !== 'dispatched') {
+    if (!(t.quantity_dispatched > 0)) {
+      return { error: 'quantity_dispatched must be positive to dispatch a transfer' };
+    }
+    changes.quantity_dispatched = t.quantity_dispatched;
+    changes.dispatched_by = uid;
+    changes.dispatched_at = FieldValue.serverTimestamp();
+    dispatched = t.quantity_dispatched;
+  }
+
+  if (to === 'cancelled' && from !== 'cancelled') {
+    changes.cancelled_by = uid;
+    changes.cancelled_at = FieldValue.serverTimestamp();
+  }
+
+  if ((to === 'partially_received' || to === 'received') && from !== 'received') {
+    const total = t.quantity_received ?? current.quantity_received;
+
+    if (total < current.quantity_received) {
+      return { error: 'quantity_received counts everything received so far and cannot decrease' };
+    }
+    if (to === 'partially_received' && total >= current.quantity_dispatched) {
+      return { error: 'A partial receipt must be less than quantity_dispatched; mark the transfer received instead' };
+    }
+    if (to === 'received') {
+      changes.discrepancy = current.quantity_dispatched - total;
+      if (changes.discrepancy !== 0 && !(t.discrepancy_note ?? current.discrepancy_note)) {
+        return { error: 'discrepancy_note is required when the quantity received differs from the quantity dispatched' };
+      }
+      changes.received_by = uid;
+      changes.received_at = FieldValue.serverTimestamp();
+    }
+    changes.quantity_received = total;
+    received = total - current.quantity_received;
+  }
+
+  return { changes, dispatched, received };
+};
+
+/**
+ * @route POST /api/sync/stock-transfer
+ * @desc Create a stock transfer or move it along its workflow. Send the whole transfer with the new status:
+ *       quantity_dispatched when dispatching, the cumulative quantity_received on each receipt, and a
+ *       discrepancy_note when the final quantity received differs from what was dispatched.
+ * @access Private (admin, coordinator, fieldworker)
+ */
+export const syncStockTransferFromClient = async (req, res) => {
+  const t = req.body;
+
+  if (isDeleteOperation(t)) {
+    return res.status(400).json({ error: 'Stock transfers cannot be deleted. Cancel a requested transfer instead.' });
+  }
+
+  const validationErrors = validateRecord('stock-transfer', t);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+  }
+
+  try {
+    const docRef = col.doc(t.transfer_id);
+    const doc = await docRef.get();
+    const current = doc.exists ? doc.data() : null;
+
+    if (current && isStaleVersion(t, current)) {
+      return res.status(409).json(staleVersionConflict(t.transfer_id, current, TRANSFER_STRATEGIES));
+    }
+
+    const to = t.status || current?.status || 'requested';
+
+    if (!current && !NEW_TRANSFER_STATUSES.includes(to)) {
+      return res.status(400).json({ error: `A new transfer must be ${NEW_TRANSFER_STATUSES.join(' or ')}` });
+    }
+    if (current && !TRANSFER_TRANSITIONS[current.status].includes(to)) {
+      return res.status(409).json({
+        error: `Conflict: Cannot move a ${current.status} transfer to ${to}`,
+        conflict_field: 'status',
+        conflict_type: 'invalid_transition',
+        latest_data: current,
+        allowed_strategies: TRANSFER_STRATEGIES,
+        client_id: t.transfer_id,
+        server_id: t.transfer_id,
+      });
+    }
+    if (current && t.source_supply_id !== current.source_supply_id) {
+      return res.status(400).json({ error: 'source_supply_id cannot change once a transfer is created' });
+    }
+
+    const sourceRef = supplies.doc(t.source_supply_id);
+    const source = await sourceRef.get();
+
+    const sourceData = source.exists ? source.data() : {};
+    const sourceLocationId = current?.source_location_id ?? sourceData.location_id ?? null;
+
+    const { error, changes, dispatched, received } = planTransfer(current, t, to, req.user.uid);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if ((!current || dispatched > 0) && (!source.exists || isTombstoned(sourceData))) {
+      return res.status(404).json({ error: 'Source supply not found' });
+    }
+
+    const destinationLocationId = changes.destination_location_id ?? current.destination_location_id;
+    if (destinationLocationId === sourceLocationId) {
+      return res.status(400).json({ error: 'A transfer must go to a different location than its source supply' });
+    }
+
+    const destinationSupplyId = current?.destination_supply_id
+      ?? t.destination_supply_id
+      ?? (received > 0 ? await findMatchingSupply(sourceData, destinationLocationId) : null)
+      ?? `${t.transfer_id}-destination`;
+    const destinationRef = supplies.doc(destinationSupplyId);
+    const product = Object.fromEntries(PRODUCT_FIELDS.map((field) => [field, sourceData[field] ?? null]));
+
+    if (received > 0) {
+      const destination = await destinationRef.get();
+      if (destination.exists && (isTombstoned(destination.data()) || destination.data().location_id !== destinationLocationId)) {
+        return res.status(400).json({ error: 'destination_supply_id must be a supply at the destination location' });
+      }
+      changes.destination_supply_id = destinationSupplyId;
+    }
+
+    const movement = { user_id: req.user.uid, type: 'transferred' };
+    const result = await writeIfVersion(docRef, current ? currentVersion(current) : null, async (tx) => {
+      const destination = received > 0 ? await tx.get(destinationRef) : null;
+      const newSupply = destination && !destination.exists ? {
+        ...product,
+        user_id: req.user.uid,
+        item_name: current.item_name,
+        quantity: received,
+        expiry_date: sourceData.expiry_date ?? null,
+        location_id: destinationLocationId,
+        timestamp: new Date().toISOString(),
+      } : null;
+
+      if (newSupply) {
+        const taken = await claimUniqueKeys(tx, 'supply', destinationSupplyId, null, newSupply);
+        if (taken) throw Object.assign(new Error('Destination supply conflicts with another supply'), { uniqueConflict: taken });
+      }
+
+      if (current) {
+        await updateStockTransferDoc(t.transfer_id, changes, tx);
+      } else {
+        await createStockTransferDoc(t.transfer_id, {
+          ...changes,
+          source_supply_id: t.source_supply_id,
+          source_location_id: sourceLocationId,
+          item_name: sourceData.item_name ?? null,
+          requested_by: req.user.uid,
+          updated_at: t.updated_at,
+        }, tx);
+      }
+
+      if (dispatched > 0) {
+        await recordSupplyMovement(tx, `${t.transfer_id}-dispatch`, {
+          ...movement,
+          supply_id: t.source_supply_id,
+          direction: 'out',
+          quantity: dispatched,
+          reason: `Transfer ${t.transfer_id} to ${destinationLocationId}`,
+          location_id: sourceLocationId,
+        });
+      }
+
+      if (received > 0) {
+        const receipt = {
+          ...movement,
+          supply_id: destinationSupplyId,
+          direction: 'in',
+          quantity: received,
+          reason: `Transfer ${t.transfer_id} from ${sourceLocationId}`,
+          location_id: destinationLocationId,
+        };
+        const receiptId = `${t.transfer_id}-receipt-${currentVersion(current) + 1}`;
+
+        if (newSupply) {
+          // First time this product and lot reach the destination: the receipt is its opening stock
+          await createSupplyDoc(destinationSupplyId, newSupply, tx);
+          await createSupplyMovementDoc(receiptId, receipt, tx);
+        } else {
+          await recordSupplyMovement(tx, receiptId, receipt);
+        }
+      }
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(staleVersionConflict(t.transfer_id, result.latest_data, TRANSFER_STRATEGIES));
+    }
+
+    if (dispatched > 0) await publishDoc(sourceRef);
+    if (received > 0) await publishDoc(destinationRef);
+
+    console.log(`🚚 Transfer ${t.transfer_id} ${current ? `${current.status} -> ${to}` : to}`);
+
+    return res.status(200).json({
+      message: 'Stock transfer synced successfully',
+      version: result.version,
+      status: to,
+      ...(changes.destination_supply_id ? { destination_supply_id: changes.destination_supply_id } : {}),
+      ...(changes.discrepancy !== undefined ? { discrepancy: changes.discrepancy } : {}),
+    });
+  } catch (err) {
+    if (err.uniqueConflict) {
+      return res.status(409).json(await uniqueKeyConflict('supply', err.uniqueConflict, TRANSFER_STRATEGIES));
+    }
+    console.error('❌ Stock transfer sync error:', err);
+    return res.status(500).json({ error: 'Stock transfer sync failed' });
+  }
+};
@@ -0,0 +1,106 @@
+// controllers/sync/supplyLotSyncController.js
+// Lots of a supply: the same product at the same location received in batches with their own lot number and
+// expiry date. A lot's quantity is opening stock plus the movements recorded against it (lot_id on a
+// supply-movement), which also count towards the supply's total.
+import { createSupplyLotDoc, updateSupplyLotDoc } from '../../models/supplyLotModel.js';
+import { applySupplyMovement } from '../../models/supplyModel.js';
+import { createSupplyMovementDoc } from '../../models/supplyMovementModel.js';
+import { isDeleteOperation, isTombstoned } from './deletionSync.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict } from './versioning.js';
+import { uniqueKeyConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { publishDoc } from '../../config/changeFeed.js';
+import { db } from '../../storage/index.js';
+
+const col = db.collection('supply_lots');
+const supplies = db.collection('supplies');
+
+// Lots carry little a device edits, so a stale device re-pulls instead of picking a strategy
+const LOT_STRATEGIES = [];
+
+// The opening stock is received into the lot and the supply together
+const createLotWithOpeningStock = async (id, data, tx) => {
+  await createSupplyLotDoc(id, data, tx);
+  if (data.quantity) {
+    await createSupplyMovementDoc(`${id}-opening`, {
+      supply_id: data.supply_id,
+      lot_id: id,
+      lot_number: data.lot_number,
+      user_id: data.created_by,
+      type: 'received',
+      quantity: data.quantity,
+      reason: 'Opening balance',
+      location_id: data.location_id,
+      occurred_at: data.updated_at,
+    }, tx);
+    await applySupplyMovement(data.supply_id, data.quantity, tx);
+  }
+};
+
+/**
+ * @route POST /api/sync/supply-lot
+ * @desc Create a lot of a supply or edit its lot number and expiry date. The quantity sent on create is stock
+ *       received into the lot; afterwards it changes through supply movements that name the lot.
+ * @access Private (admin, coordinator, fieldworker)
+ */
+export const syncSupplyLotFromClient = async (req, res) => {
+  const l = req.body;
+
+  if (isDeleteOperation(l)) {
+    return res.status(400).json({ error: 'Supply lots cannot be deleted. Record an adjusted movement to empty one.' });
+  }
+
+  const validationErrors = validateRecord('supply-lot', l);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+  }
+
+  try {
+    const docRef = col.doc(l.lot_id);
+    const supplyRef = supplies.doc(l.supply_id);
+    const [doc, supply] = await Promise.all([docRef.get(), supplyRef.get()]);
+    const current = doc.exists ? doc.data() : null;
+
+    if (current && l.supply_id !== current.supply_id) {
+      return res.status(400).json({ error: 'supply_id cannot change once a lot is created' });
+    }
+    if (current && isStaleVersion(l, current)) {
+      return res.status(409).json(staleVersionConflict(l.lot_id, current, LOT_STRATEGIES));
+    }
+    if (!current && (!supply.exists || isTombstoned(supply.data()))) {
+      return res.status(404).json({ error: 'Supply not found' });
+    }
+
+    let result;
+    if (current) {
+      result = await writeIfVersion(docRef, currentVersion(current), (tx) => updateSupplyLotDoc(l.lot_id, l, tx), {
+        entity: 'supply-lot',
+        record: { ...current, lot_number: l.lot_number },
+      });
+    } else {
+      const lot = {
+        ...l,
+        catalog_item_id: supply.data().catalog_item_id ?? null,
+        location_id: supply.data().location_id ?? null,
+        created_by: l.created_by ?? req.user.uid,
+      };
+      result = await writeIfVersion(docRef, null, (tx) => createLotWithOpeningStock(l.lot_id, lot, tx), {
+        entity: 'supply-lot',
+        record: lot,
+      });
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('supply-lot', result.unique_conflict, LOT_STRATEGIES)
+        : staleVersionConflict(l.lot_id, result.latest_data, LOT_STRATEGIES));
+    }
+
+    if (!current && l.quantity) await publishDoc(supplyRef);
+
+    return res.status(200).json({ message: 'Supply lot synced successfully', version: result.version });
+  } catch (err) {
+    console.error('❌ Supply lot sync error:', err);
+    return res.status(500).json({ error: 'Supply lot sync failed' });
+  }
+};
@@ -0,0 +1,156 @@
+// controllers/sync/supplyMovementSyncController.js
+// Stock movements (received, dispensed, wasted, adjusted, transferred) are an append-only ledger.
+// Each one is recorded once, under the id the device generated, and applied to the supply's quantity as an
+// increment in the same transaction. Movements never conflict with each other, so two devices dispensing
+// from the same stock offline both count once they sync. A movement naming a lot_id also moves that lot.
+import { createSupplyMovementDoc, quantityChangeFor } from '../../models/supplyMovementModel.js';
+import { applySupplyMovement } from '../../models/supplyModel.js';
+import { applySupplyLotMovement } from '../../models/supplyLotModel.js';
+import { getRecallById } from '../../models/recallModel.js';
+import { notifyRecallDispensers } from '../recallController.js';
+import { isDeleteOperation, isTombstoned } from './deletionSync.js';
+import { writeIfVersion, currentVersion } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { publishDoc } from '../../config/changeFeed.js';
+import { db } from '../../storage/index.js';
+
+const col = db.collection('supply_movements');
+const supplies = db.collection('supplies');
+const lots = db.collection('supply_lots');
+
+// Fields that define a movement; a retry must repeat them exactly
+const MOVEMENT_FIELDS = ['supply_id', 'lot_id', 'type', 'quantity', 'direction'];
+
+const sameMovement = (record, stored) => MOVEMENT_FIELDS.every((field) =>
+  (field === 'direction' && record.type !== 'transferred') || (record[field] ?? null) === (stored[field] ?? null));
+
+/**
+ * Queues a movement and its quantity change on a transaction. Movements the server derives itself
+ * (e.g. for stock transfers) use deterministic ids, so they too can only be recorded once.
+ * @param {Object} tx - Firestore transaction
+ * @param {string} id - Movement id
+ * @param {Object} data - Movement fields (see createSupplyMovementDoc)
+ */
+export const recordSupplyMovement = async (tx, id, data) => {
+  await createSupplyMovementDoc(id, data, tx);
+  await applySupplyMovement(data.supply_id, quantityChangeFor(data), tx);
+  if (data.lot_id) await applySupplyLotMovement(data.lot_id, quantityChangeFor(data), tx);
+};
+
+const quantityError = ({ type, quantity, direction }) => {
+  if (type === 'adjusted') return quantity === 0 ? 'An adjusted movement must change the quantity' : null;
+  if (quantity <= 0) return `quantity must be positive for ${type} movements`;
+  if (type === 'transferred' && !direction) return 'direction (in or out) is required for transferred movements';
+  return null;
+};
+
+/**
+ * @route POST /api/sync/supply-movement
+ * @desc Record a stock movement and apply it to the supply's quantity. Resending a movement that was already
+ *       recorded is acknowledged without applying it again. Stock may go negative (the dispensing happened
+ *       offline either way); the response flags it so the device can prompt for a recount. Dispensing from a
+ *       recalled lot is recorded too, with a warning, and the dispenser gets the recall notice.
+ * @access Private (admin, coordinator, fieldworker — field workers record their own movements)
+ */
+export const syncSupplyMovementFromClient = async (req, res) => {
+  const m = req.body;
+
+  if (isDeleteOperation(m)) {
+    return res.status(400).json({
+      error: 'Supply movements cannot be deleted. Record an adjusted movement to correct one.',
+    });
+  }
+
+  const validationErrors = validateRecord('supply-movement', m);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+  }
+
+  const invalidQuantity = quantityError(m);
+  if (invalidQuantity) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: [invalidQuantity] });
+  }
+
+  try {
+    const docRef = col.doc(m.movement_id);
+    const supplyRef = supplies.doc(m.supply_id);
+    const lotRef = m.lot_id ? lots.doc(m.lot_id) : null;
+    const [doc, supply, lot] = await Promise.all([docRef.get(), supplyRef.get(), lotRef?.get()]);
+
+    if (doc.exists) {
+      const stored = doc.data();
+
+      if (!sameMovement(m, stored)) {
+        return res.status(409).json({
+          error: 'Conflict: Supply movements cannot be changed once recorded',
+          conflict_field: 'movement_id',
+          conflict_type: 'immutable_record',
+          latest_data: stored,
+          allowed_strategies: [],
+          client_id: m.movement_id,
+          server_id: m.movement_id,
+        });
+      }
+
+      return res.status(200).json({
+        message: 'Supply movement already recorded',
+        version: currentVersion(stored),
+        duplicate: true,
+      });
+    }
+
+    if (!supply.exists || isTombstoned(supply.data())) {
+      return res.status(404).json({ error: 'Supply not found' });
+    }
+
+    if (lot && (!lot.exists || lot.data().supply_id !== m.supply_id)) {
+      return res.status(400).json({ error: 'lot_id must be a lot of the movement\'s supply' });
+    }
+
+    const record = {
+      ...m,
+      lot_number: lot ? lot.data().lot_number : supply.data().lot_number ?? null,
+      location_id: supply.data().location_id ?? null,
+    };
+    const result = await writeIfVersion(docRef, null, (tx) => recordSupplyMovement(tx, m.movement_id, record));
+
+    if (!result.committed) {
+      // Another request recorded the same movement id first; it has been applied once
+      return res.status(200).json({
+        message: 'Supply movement already recorded',
+        version: currentVersion(result.latest_data),
+        duplicate: true,
+      });
+    }
+
+    await publishDoc(supplyRef);
+    if (lotRef) await publishDoc(lotRef);
+    const updated = (await supplyRef.get()).data();
+    const updatedLot = lotRef ? (await lotRef.get()).data() : null;
+
+    // A single-lot supply carries its recall itself; otherwise it's on the lot
+    const recallId = lotRef ? updatedLot.recall_id : updated.recall_id;
+    const recall = recallId ? await getRecallById(recallId) : null;
+    if (recall && m.type === 'dispensed') await notifyRecallDispensers(recall, [m.user_id]);
+
+    const warnings = [
+      ...(updated.quantity < 0 ? ['Recorded stock is negative; a recount is needed'] : []),
+      ...(recall ? [`Lot ${recall.lot_number} is under recall`] : []),
+    ];
+
+    return res.status(200).json({
+      message: 'Supply movement recorded successfully',
+      version: result.version,
+      supply: {
+        supply_id: m.supply_id,
+        quantity: updated.quantity,
+        version: currentVersion(updated),
+      },
+      ...(updatedLot ? { lot: { lot_id: m.lot_id, quantity: updatedLot.quantity, version: currentVersion(updatedLot) } } : {}),
+      ...(warnings.length > 0 ? { warning: warnings.join('. ') } : {}),
+    });
+  } catch (err) {
+    console.error('❌ Supply movement sync error:', err);
+    return res.status(500).json({ error: 'Supply movement sync failed' });
+  }
+};
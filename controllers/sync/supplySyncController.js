@@ -1,78 +1,156 @@
-import { createSupplyDoc, updateSupplyDoc } from '../../models/supplyModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createSupplyDoc, updateSupplyDoc, deleteSupplyDoc } from '../../models/supplyModel.js';
+import { createSupplyMovementDoc } from '../../models/supplyMovementModel.js';
+import { getCatalogItemById, findCatalogItemByCode } from '../../models/catalogModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const col = db.collection('supplies');
 
+// quantity is only taken from the client when a supply is created; after that it is the sum of its
+// movements (see supplyMovementSyncController.js), so edits to it are dropped instead of merged
+const withoutQuantity = ({ quantity, ...rest }) => rest;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fills a new supply's blanks from its catalog item: the one it references, or the one its barcode or SKU
+ * matches. Without an expiry date, the item's default shelf life counts from the supply's timestamp.
+ * @param {Object} s - The client payload
+ * @returns {Promise<{supply?: Object, error?: string}>}
+ */
+const fillFromCatalog = async (s) => {
+  const item = s.catalog_item_id
+    ? await getCatalogItemById(s.catalog_item_id)
+    : await findCatalogItemByCode(s.barcode ? { barcode: s.barcode } : { sku: s.sku });
+
+  if (s.catalog_item_id && !item) return { error: `Unknown catalog_item_id: ${s.catalog_item_id}` };
+  if (!item) return { supply: s };
+
+  const receivedAt = s.timestamp ? new Date(s.timestamp) : new Date();
+  const expiry = item.default_shelf_life_days && !Number.isNaN(receivedAt.getTime())
+    ? new Date(receivedAt.getTime() + item.default_shelf_life_days * DAY_MS).toISOString()
+    : null;
+
+  return {
+    supply: {
+      ...s,
+      catalog_item_id: item.catalog_item_id,
+      item_name: s.item_name ?? item.item_name,
+      unit: s.unit ?? item.unit,
+      category: s.category ?? item.category,
+      barcode: s.barcode ?? item.barcode,
+      sku: s.sku ?? item.sku,
+      expiry_date: s.expiry_date ?? expiry,
+    },
+  };
+};
+
+// The opening stock is the first entry of the supply's ledger
+const createSupplyWithOpeningStock = async (id, data, tx) => {
+  await createSupplyDoc(id, data, tx);
+  if (data.quantity) {
+    await createSupplyMovementDoc(`${id}-opening`, {
+      supply_id: id,
+      user_id: data.user_id,
+      type: 'adjusted',
+      quantity: data.quantity,
+      reason: 'Opening balance',
+      location_id: data.location_id ?? null,
+      occurred_at: data.timestamp,
+    }, tx);
+  }
+};
 
 export const syncSupplyFromClient = async (req, res) => {
-  const s = req.body;
+  let s = req.body;
 
-  if (!s.supply_id || !s.user_id || !s.item_name || !s.updated_at) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (isDeleteOperation(s)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'supply',
+      idField: 'supply_id',
+      record: s,
+      deleteDoc: deleteSupplyDoc,
+      label: 'Supply',
+    });
+  }
+
+  const validationErrors = validateRecord('supply', s);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
-    // Check for barcode uniqueness if provided
-    if (s.barcode) {
-      const barcodeQuery = col.where('barcode', '==', s.barcode);
-      const existingBarcode = await barcodeQuery.get();
-      
-      if (!existingBarcode.empty && existingBarcode.docs[0].id !== s.supply_id) {
-        // Different supply with same barcode - show conflict
-        return res.status(409).json({
-          error: 'Conflict: Supply with this barcode already exists',
-          conflict_field: 'barcode',
-          conflict_type: 'unique_constraint',
-          latest_data: existingBarcode.docs[0].data(),
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-        });
+    const docRef = col.doc(s.supply_id);
+    const doc = await docRef.get();
+    let result;
+
+    if (!doc.exists) {
+      const { supply, error } = await fillFromCatalog(s);
+      if (error) {
+        return res.status(400).json({ error: 'Validation failed', validation_errors: [error] });
       }
+      s = supply;
     }
-    
-    // Check for SKU uniqueness if provided
-    if (s.sku) {
-      const skuQuery = col.where('sku', '==', s.sku);
-      const existingSku = await skuQuery.get();
-      
-      if (!existingSku.empty && existingSku.docs[0].id !== s.supply_id) {
-        // Different supply with same SKU - show conflict
-        return res.status(409).json({
-          error: 'Conflict: Supply with this SKU already exists',
-          conflict_field: 'sku',
-          conflict_type: 'unique_constraint',
-          latest_data: existingSku.docs[0].data(),
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-        });
-      }
+
+    if (!s.item_name) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        validation_errors: ['item_name is required unless catalog_item_id or barcode matches a catalog item'],
+      });
     }
-    
-    const docRef = col.doc(s.supply_id);
-    const doc = await docRef.get();
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(s.updated_at);
-
-      if (clientUpdated < serverUpdated) {
-        return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
-          latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-          client_id: s.supply_id,
-          server_id: s.supply_id, // Same ID for stale updates
-        });
+
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(s.supply_id, serverData, 'Supply'));
+      }
+
+      s = withoutQuantity(s);
+      if (hasBaseData(s)) s.base_data = withoutQuantity(s.base_data);
+
+      if (isStaleVersion(s, serverData)) {
+        if (!hasBaseData(s)) {
+          return res.status(409).json(staleVersionConflict(s.supply_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(s.base_data, s, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(s.supply_id, serverData, collisions));
+        }
+        s = { ...merged, updated_at: new Date().toISOString() };
       }
 
-      await updateSupplyDoc(s.supply_id, s);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateSupplyDoc(s.supply_id, s, tx), {
+        entity: 'supply',
+        record: s,
+      });
     } else {
-      await createSupplyDoc(s.supply_id, s);
+      result = await writeIfVersion(docRef, null, (tx) => createSupplyWithOpeningStock(s.supply_id, s, tx), {
+        entity: 'supply',
+        record: s,
+      });
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('supply', result.unique_conflict)
+        : staleVersionConflict(s.supply_id, result.latest_data));
     }
 
-    return res.status(200).json({ message: 'Supply synced successfully' });
+    return res.status(200).json({ message: 'Supply synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ Supply sync error:', err);
     return res.status(500).json({ error: 'Supply sync failed' });
@@ -84,9 +162,14 @@ export const syncSupplyFromClient = async (req, res) => {
  * @param {Object} clientData - The supply data from the client
  * @param {Object} serverData - The supply data from the server
  * @param {string} strategy - The conflict resolution strategy ('client_wins', 'server_wins', 'merge')
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
  * @returns {Object} - Merged supply data
  */
-export const resolveSupplyConflict = (clientData, serverData, strategy = 'merge') => {
+export const resolveSupplyConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveSupplyConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -104,29 +187,6 @@ export const resolveSupplyConflict = (clientData, serverData, strategy = 'merge'
         (serverData.updated_at.toDate ? serverData.updated_at.toDate() : new Date(serverData.updated_at)) : 
         null;
         
-      // Add special strategies
-      if (strategy === 'sum_quantities') {
-        // Sum the quantities from both client and server
-        const clientQuantity = clientData.quantity || 0;
-        const serverQuantity = serverData.quantity || 0;
-        return {
-          ...serverData,
-          ...clientData,
-          quantity: clientQuantity + serverQuantity,
-          updated_at: new Date().toISOString()
-        };
-      } else if (strategy === 'average_quantities') {
-        // Average the quantities (useful for stock counts)
-        const clientQuantity = clientData.quantity || 0;
-        const serverQuantity = serverData.quantity || 0;
-        return {
-          ...serverData,
-          ...clientData,
-          quantity: Math.round((clientQuantity + serverQuantity) / 2),
-          updated_at: new Date().toISOString()
-        };
-      }
-      
       // If client data is newer, respect client's intentional field changes
       if (clientUpdatedAt && serverUpdatedAt && clientUpdatedAt > serverUpdatedAt) {
         return {
@@ -134,7 +194,6 @@ export const resolveSupplyConflict = (clientData, serverData, strategy = 'merge'
           // Always use client values for these fields even if null/empty
           item_name: clientData.item_name !== undefined ? clientData.item_name : serverData.item_name,
           category: clientData.category !== undefined ? clientData.category : serverData.category,
-          quantity: clientData.quantity !== undefined ? clientData.quantity : serverData.quantity,
           unit: clientData.unit !== undefined ? clientData.unit : serverData.unit,
           location_id: clientData.location_id !== undefined ? clientData.location_id : serverData.location_id,
           expiry_date: clientData.expiry_date !== undefined ? clientData.expiry_date : serverData.expiry_date,
@@ -149,11 +208,6 @@ export const resolveSupplyConflict = (clientData, serverData, strategy = 'merge'
           // For content fields, only use client values if they've been explicitly changed
           notes: clientData.notes !== undefined && clientData.notes !== serverData.notes ? 
                 clientData.notes : serverData.notes,
-          // For quantity, special handling - take the lower value to prevent over-allocation
-          quantity: Math.min(
-            clientData.quantity !== undefined ? clientData.quantity : Number.MAX_SAFE_INTEGER, 
-            serverData.quantity !== undefined ? serverData.quantity : Number.MAX_SAFE_INTEGER
-          ),
           // Keep server's updated_at as it's newer
           updated_at: serverData.updated_at
         };
@@ -179,12 +233,39 @@ export const resolveSupplySyncConflict = async (req, res) => {
       });
     }
 
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'supply',
+        idField: 'supply_id',
+        record: { ...clientData, supply_id },
+        deleteDoc: deleteSupplyDoc,
+        label: 'Supply',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('supply', { ...clientData, supply_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
     const allowed_strategies = [];
     const docRef = col.doc(supply_id);
     const doc = await docRef.get();
 
     let resolvedData;
     let isNewSupply = false;
+    let expectedVersion = null;
 
     if (!doc.exists) {
       isNewSupply = true;
@@ -199,10 +280,30 @@ export const resolveSupplySyncConflict = async (req, res) => {
         });
       }
 
-      resolvedData = { ...clientData };
+      const { supply, error } = await fillFromCatalog({ ...clientData, supply_id });
+      if (error || !supply.item_name) {
+        return res.status(400).json({
+          success: false,
+          message: error ?? 'item_name is required unless catalog_item_id or barcode matches a catalog item',
+          status: 'error',
+          allowed_strategies,
+        });
+      }
+      resolvedData = supply;
     } else {
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data', 'sum_quantities', 'average_quantities');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'supply_id',
+          id: supply_id,
+          serverData,
+          label: 'Supply',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
 
       if (!clientData) {
         return res.status(400).json({
@@ -222,13 +323,24 @@ export const resolveSupplySyncConflict = async (req, res) => {
         });
       }
 
-      resolvedData = resolveSupplyConflict(clientData, serverData, resolution_strategy);
+      const baseData = hasBaseData(clientData) ? withoutQuantity(clientData.base_data) : null;
+      resolvedData = {
+        ...resolveSupplyConflict(withoutQuantity(clientData), serverData, resolution_strategy, baseData),
+        quantity: serverData.quantity, // Only movements change it
+      };
     }
 
-    if (isNewSupply) {
-      await createSupplyDoc(supply_id, resolvedData);
-    } else {
-      await updateSupplyDoc(supply_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewSupply
+      ? createSupplyWithOpeningStock(supply_id, resolvedData, tx)
+      : updateSupplyDoc(supply_id, resolvedData, tx)), {
+      entity: 'supply',
+      record: resolvedData,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('supply', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
     }
 
     return res.status(200).json({
@@ -237,6 +349,7 @@ export const resolveSupplySyncConflict = async (req, res) => {
       status: 'resolved',
       supply_id,
       resolvedData,
+      version: result.version,
       isNewSupply,
       resolution_strategy,
       allowed_strategies,
@@ -3,13 +3,19 @@
 export { syncUserFromClient, resolveUserSyncConflict, getUserDataById } from './userSyncController.js';
 export { syncRegistrationFromClient, resolveRegistrationSyncConflict } from './registrationSyncController.js';
 export { syncSupplyFromClient, resolveSupplySyncConflict } from './supplySyncController.js';
+export { syncSupplyMovementFromClient } from './supplyMovementSyncController.js';
+export { syncSupplyLotFromClient } from './supplyLotSyncController.js';
+export { syncStockTransferFromClient } from './stockTransferSyncController.js';
+export { syncCatalogItemFromClient, resolveCatalogItemSyncConflict } from './catalogItemSyncController.js';
 export { syncTaskFromClient, resolveTaskSyncConflict } from './taskSyncController.js';
 export { syncTaskAssignmentFromClient, resolveTaskAssignmentSyncConflict } from './taskAssignmentSyncController.js';
+export { syncTaskTemplateFromClient, resolveTaskTemplateSyncConflict } from './taskTemplateSyncController.js';
 export { syncLocationFromClient, resolveLocationSyncConflict } from './locationSyncController.js';
 export { syncAlertFromClient, resolveAlertSyncConflict } from './alertSyncController.js';
 export { 
   syncNotificationFromClient,
   resolveNotificationSyncConflict
 } from './notificationSyncController.js';
+export { syncBatchFromClient } from './batchSyncController.js';
 
 
@@ -1,14 +1,42 @@
-import { createTaskAssignmentDoc, updateTaskAssignmentDoc } from '../../models/taskAssignmentModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createTaskAssignmentDoc, updateTaskAssignmentDoc, deleteTaskAssignmentDoc } from '../../models/taskAssignmentModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { MANAGER_ROLES } from '../../config/accessPolicy.js';
+import { onAssignmentStatusChange, checkAssignmentChange, nextAssignmentStatuses } from '../assignmentController.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const col = db.collection('task_assignments');
 
+// A device whose queued status change is no longer legal can only take the server's assignment
+const INVALID_TRANSITION_STRATEGIES = ['server_wins'];
+
 export const syncTaskAssignmentFromClient = async (req, res) => {
-  const a = req.body;
+  let a = req.body;
+
+  if (isDeleteOperation(a)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'task-assignment',
+      idField: 'assignment_id',
+      record: a,
+      deleteDoc: deleteTaskAssignmentDoc,
+      label: 'Task Assignment',
+    });
+  }
 
-  if (!a.assignment_id || !a.task_id || !a.user_id) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const validationErrors = validateRecord('task-assignment', a);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
@@ -18,42 +46,99 @@ export const syncTaskAssignmentFromClient = async (req, res) => {
       .where('user_id', '==', a.user_id);
     
     const duplicateAssignments = await duplicateQuery.get();
+    const existingAssignment = duplicateAssignments.docs.find((doc) => !isTombstoned(doc.data()));
     
-    if (!duplicateAssignments.empty && duplicateAssignments.docs[0].id !== a.assignment_id) {
+    if (existingAssignment && existingAssignment.id !== a.assignment_id) {
       return res.status(409).json({
         error: 'Conflict: User is already assigned to this task',
         conflict_field: 'task_id_user_id',
         conflict_type: 'unique_constraint',
-        latest_data: duplicateAssignments.docs[0].data(),
+        latest_data: existingAssignment.data(),
         allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
       });
     }
     
     const docRef = col.doc(a.assignment_id);
     const doc = await docRef.get();
+    let result;
+    let statusChanged = false;
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(a.updated_at);
 
-      if (clientUpdated < serverUpdated) {
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(a.assignment_id, serverData, 'Task Assignment'));
+      }
+
+      if (isStaleVersion(a, serverData)) {
+        if (!hasBaseData(a)) {
+          return res.status(409).json(staleVersionConflict(a.assignment_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(a.base_data, a, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(a.assignment_id, serverData, collisions));
+        }
+        a = { ...merged, updated_at: new Date().toISOString() };
+      }
+
+      // A payload without a status keeps the stored one
+      a = { ...a, status: a.status || serverData.status };
+
+      const rejected = checkAssignmentChange(serverData, a);
+      if (rejected?.invalid_transition) {
         return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
+          error: `Conflict: ${rejected.error}`,
+          conflict_field: 'status',
+          conflict_type: 'invalid_transition',
           latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
+          allowed_transitions: nextAssignmentStatuses(serverData.status),
+          allowed_strategies: INVALID_TRANSITION_STRATEGIES,
           client_id: a.assignment_id,
-          server_id: a.assignment_id, // Same ID for stale updates
+          server_id: a.assignment_id,
         });
       }
+      if (rejected) {
+        return res.status(rejected.status).json({ error: rejected.error });
+      }
+
+      statusChanged = a.status !== serverData.status;
+      if (statusChanged) a = { ...a, status_changed_by: req.user.uid };
 
-      await updateTaskAssignmentDoc(a.assignment_id, a);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateTaskAssignmentDoc(a.assignment_id, a, tx), {
+        entity: 'task-assignment',
+        record: a,
+      });
     } else {
-      await createTaskAssignmentDoc(a.assignment_id, a);
+      // Whoever hands out the assignment hears how it goes; self-assignments fall back to the coordinators
+      a = { ...a, assigned_by: MANAGER_ROLES.includes(req.user.role) ? req.user.uid : null };
+      result = await writeIfVersion(docRef, null, (tx) => createTaskAssignmentDoc(a.assignment_id, a, tx), {
+        entity: 'task-assignment',
+        record: a,
+      });
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('task-assignment', result.unique_conflict)
+        : staleVersionConflict(a.assignment_id, result.latest_data));
+    }
+
+    // Same follow-up as the accept/decline/complete actions (controllers/assignmentController.js)
+    let reassignedTo = null;
+    if (statusChanged) {
+      try {
+        ({ reassigned_to: reassignedTo } = await onAssignmentStatusChange((await docRef.get()).data(), req.user));
+      } catch (err) {
+        console.error(`❌ Follow-up failed for assignment ${a.assignment_id}:`, err);
+      }
     }
 
-    return res.status(200).json({ message: 'Task Assignment synced successfully' });
+    return res.status(200).json({
+      message: 'Task Assignment synced successfully',
+      version: result.version,
+      ...(reassignedTo ? { reassigned_to: reassignedTo } : {}),
+    });
   } catch (err) {
     console.error('❌ Task Assignment sync error:', err);
     return res.status(500).json({ error: 'Task Assignment sync failed' });
@@ -65,9 +150,14 @@ export const syncTaskAssignmentFromClient = async (req, res) => {
  * @param {Object} clientData - The task assignment data from the client
  * @param {Object} serverData - The task assignment data from the server
  * @param {string} strategy - The conflict resolution strategy ('client_wins', 'server_wins', 'merge')
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
  * @returns {Object} - Merged task assignment data
  */
-export const resolveTaskAssignmentConflict = (clientData, serverData, strategy = 'merge') => {
+export const resolveTaskAssignmentConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveTaskAssignmentConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -153,12 +243,40 @@ export const resolveTaskAssignmentSyncConflict = async (req, res) => {
       });
     }
 
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'task-assignment',
+        idField: 'assignment_id',
+        record: { ...clientData, assignment_id },
+        deleteDoc: deleteTaskAssignmentDoc,
+        label: 'Task Assignment',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('task-assignment', { ...clientData, assignment_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
     const allowed_strategies = [];
     const docRef = col.doc(assignment_id);
     const doc = await docRef.get();
 
     let resolvedData;
     let isNewAssignment = false;
+    let expectedVersion = null;
+    let statusChanged = false;
 
     if (!doc.exists) {
       isNewAssignment = true;
@@ -173,10 +291,22 @@ export const resolveTaskAssignmentSyncConflict = async (req, res) => {
         });
       }
 
-      resolvedData = { ...clientData };
+      // As on sync: whoever hands out the assignment hears how it goes
+      resolvedData = { ...clientData, assigned_by: MANAGER_ROLES.includes(req.user.role) ? req.user.uid : null };
     } else {
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'assignment_id',
+          id: assignment_id,
+          serverData,
+          label: 'Task Assignment',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
 
       if (!clientData) {
         return res.status(400).json({
@@ -196,13 +326,49 @@ export const resolveTaskAssignmentSyncConflict = async (req, res) => {
         });
       }
 
-      resolvedData = resolveTaskAssignmentConflict(clientData, serverData, resolution_strategy);
+      resolvedData = resolveTaskAssignmentConflict(clientData, serverData, resolution_strategy, clientData.base_data);
+      resolvedData = { ...resolvedData, status: resolvedData.status || serverData.status };
+
+      const rejected = checkAssignmentChange(serverData, resolvedData);
+      if (rejected) {
+        return res.status(rejected.status).json({
+          success: false,
+          message: `Cannot resolve conflict: ${rejected.error}`,
+          status: 'error',
+          ...(rejected.invalid_transition ? {
+            conflict_type: 'invalid_transition',
+            latest_data: serverData,
+            allowed_transitions: nextAssignmentStatuses(serverData.status),
+          } : {}),
+          allowed_strategies: rejected.invalid_transition ? INVALID_TRANSITION_STRATEGIES : allowed_strategies,
+        });
+      }
+
+      statusChanged = resolvedData.status !== serverData.status;
+      if (statusChanged) resolvedData = { ...resolvedData, status_changed_by: req.user.uid };
     }
 
-    if (isNewAssignment) {
-      await createTaskAssignmentDoc(assignment_id, resolvedData);
-    } else {
-      await updateTaskAssignmentDoc(assignment_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewAssignment
+      ? createTaskAssignmentDoc(assignment_id, resolvedData, tx)
+      : updateTaskAssignmentDoc(assignment_id, resolvedData, tx)), {
+      entity: 'task-assignment',
+      record: resolvedData,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('task-assignment', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
+    }
+
+    // Same follow-up as a synced status change
+    let reassignedTo = null;
+    if (statusChanged) {
+      try {
+        ({ reassigned_to: reassignedTo } = await onAssignmentStatusChange((await docRef.get()).data(), req.user));
+      } catch (err) {
+        console.error(`❌ Follow-up failed for assignment ${assignment_id}:`, err);
+      }
     }
 
     return res.status(200).json({
@@ -211,9 +377,11 @@ export const resolveTaskAssignmentSyncConflict = async (req, res) => {
       status: 'resolved',
       assignment_id,
       resolvedData,
+      version: result.version,
       isNewAssignment,
       resolution_strategy,
       allowed_strategies,
+      ...(reassignedTo ? { reassigned_to: reassignedTo } : {}),
       client_id: assignment_id,
       server_id: assignment_id, // For assignments, IDs should match after resolution
     });
@@ -1,14 +1,184 @@
-import { createTaskDoc, updateTaskDoc } from '../../models/taskModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createTaskDoc, updateTaskDoc, deleteTaskDoc } from '../../models/taskModel.js';
+import { isActiveAssignee } from '../../models/taskAssignmentModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import {
+  INITIAL_TASK_STATUSES,
+  canTransitionTask,
+  nextTaskStatuses,
+  transitionActors,
+} from '../../config/taskLifecycle.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const col = db.collection('tasks');
 
+// A device whose queued status change is no longer legal can only take the server's task
+const INVALID_TRANSITION_STRATEGIES = ['server_wins'];
+
+// Checklists merge item by item, so ticking off different items on two devices never conflicts
+const MERGE_OPTIONS = { lists: { checklist: 'item_id' } };
+
+const sameList = (a, b) => JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+
+const describeActors = (actors) => actors
+  .map((actor) => (actor === 'creator' ? 'the task creator' : `${/^[aeiou]/.test(actor) ? 'an' : 'a'} ${actor}`))
+  .join(' or ');
+
+/**
+ * Checks a status change against the task lifecycle (config/taskLifecycle.js).
+ * @param {Object} user - Decoded JWT ({ uid, role })
+ * @param {Object|null} current - The stored task, or null for a new one
+ * @param {string} to - Status the write leaves the task in
+ * @returns {Promise<{status: number, error: string, invalid_transition?: boolean}|null>} - null when allowed
+ */
+const checkTransition = async (user, current, to) => {
+  if (!current) {
+    return INITIAL_TASK_STATUSES.includes(to)
+      ? null
+      : { status: 400, error: `A new task must be ${INITIAL_TASK_STATUSES.join(' or ')}` };
+  }
+
+  const from = current.status;
+  if (from === to) return null;
+
+  if (!canTransitionTask(from, to)) {
+    return { status: 409, error: `Cannot move a task from ${from} to ${to}`, invalid_transition: true };
+  }
+
+  const actors = transitionActors(from, to);
+  const allowed = actors.includes(user.role)
+    || (actors.includes('creator') && current.created_by === user.uid)
+    || (actors.includes('assignee') && await isActiveAssignee(current.task_id, user.uid));
+
+  return allowed ? null : { status: 403, error: `Only ${describeActors(actors)} may move a task from ${from} to ${to}` };
+};
+
+/**
+ * Checks a task's blocked_by list when it changes: every entry must be another existing task, and following
+ * the dependencies must never lead back to the task.
+ * @param {string} taskId
+ * @param {string[]|undefined} blockedBy - The list being written
+ * @param {Object|null} current - The stored task, or null for a new one
+ * @returns {Promise<string|null>} - Why the list is rejected, or null
+ */
+const checkDependencies = async (taskId, blockedBy, current) => {
+  if (!blockedBy?.length || sameList(blockedBy, current?.blocked_by)) return null;
+  if (blockedBy.includes(taskId)) return 'A task cannot be blocked by itself';
+
+  const seen = new Set([taskId]);
+  let frontier = [...new Set(blockedBy)];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    const docs = await Promise.all(frontier.map((id) => col.doc(id).get()));
+    const next = [];
+
+    for (const [index, doc] of docs.entries()) {
+      if (depth === 0 && (!doc.exists || isTombstoned(doc.data()))) return `Blocking task ${frontier[index]} not found`;
+      if (!doc.exists) continue;
+      seen.add(frontier[index]);
+      for (const id of doc.data().blocked_by ?? []) {
+        if (id === taskId) return `Blocking task ${frontier[index]} already depends on this task`;
+        if (!seen.has(id)) next.push(id);
+      }
+    }
+
+    frontier = [...new Set(next)];
+    depth++;
+  }
+
+  return null;
+};
+
+/**
+ * Tasks from blocked_by that are not completed yet. Deleted ones no longer block.
+ * @param {string[]} blockedBy
+ * @returns {Promise<Array<{task_id: string, title: string, status: string}>>}
+ */
+const findOpenBlockers = async (blockedBy = []) => {
+  const docs = await Promise.all(blockedBy.map((id) => col.doc(id).get()));
+  return docs
+    .filter((doc) => doc.exists && !isTombstoned(doc.data()) && doc.data().status !== 'completed')
+    .map((doc) => ({ task_id: doc.id, title: doc.data().title, status: doc.data().status }));
+};
+
+// A task only starts once everything it is blocked by is completed
+const checkBlockers = async (task, current) => {
+  if (task.status !== 'in_progress' || current.status === 'in_progress') return [];
+  return findOpenBlockers(task.blocked_by ?? current.blocked_by);
+};
+
+const blockedConflict = (task, serverData, blockers) => ({
+  error: `Conflict: Task is blocked by ${blockers.length} task(s) that are not completed`,
+  conflict_field: 'status',
+  conflict_type: 'blocked_by_dependency',
+  latest_data: serverData,
+  blocking_tasks: blockers,
+  allowed_strategies: INVALID_TRANSITION_STRATEGIES,
+  client_id: task.task_id,
+  server_id: task.task_id,
+});
+
+/**
+ * Records who ticked each checklist item off and when; unticking clears it. Items are kept to their known fields.
+ * @param {Array|undefined} checklist - The checklist being written
+ * @param {Array} [currentChecklist] - The stored checklist
+ * @param {Object} user - Decoded JWT ({ uid, role })
+ * @returns {Array|undefined}
+ */
+const stampChecklist = (checklist, currentChecklist = [], user) => {
+  if (!Array.isArray(checklist)) return checklist;
+  const previous = new Map(currentChecklist.map((item) => [item.item_id, item]));
+  const now = new Date().toISOString();
+
+  return checklist.map((item) => {
+    const before = previous.get(item.item_id);
+    const done = Boolean(item.done);
+    return {
+      item_id: item.item_id,
+      text: item.text,
+      done,
+      done_by: done ? (before?.done ? before.done_by : user.uid) : null,
+      done_at: done ? (before?.done ? before.done_at : now) : null,
+    };
+  });
+};
+
+// What updateTaskDoc needs to stamp a status change and checklist ticks
+const withTransition = (task, current, user) => ({
+  ...task,
+  status: task.status || current.status,
+  status_changed_by: (task.status || current.status) !== current.status ? user.uid : undefined,
+  checklist: stampChecklist(task.checklist, current.checklist, user),
+});
+
 export const syncTaskFromClient = async (req, res) => {
-  const t = req.body;
+  let t = req.body;
+
+  if (isDeleteOperation(t)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'task',
+      idField: 'task_id',
+      record: t,
+      deleteDoc: deleteTaskDoc,
+      label: 'Task',
+    });
+  }
 
-  if (!t.task_id || !t.title || !t.created_by || !t.updated_at) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const validationErrors = validateRecord('task', t);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
@@ -19,13 +189,14 @@ export const syncTaskFromClient = async (req, res) => {
         .where('location_id', '==', t.location_id);
       
       const existingTitle = await titleQuery.get();
+      const titleOwner = existingTitle.docs.find((doc) => !isTombstoned(doc.data()));
       
-      if (!existingTitle.empty && existingTitle.docs[0].id !== t.task_id) {
+      if (titleOwner && titleOwner.id !== t.task_id) {
         return res.status(409).json({
           error: 'Conflict: Task with this title already exists at the same location',
           conflict_field: 'title',
           conflict_type: 'unique_constraint',
-          latest_data: existingTitle.docs[0].data(),
+          latest_data: titleOwner.data(),
           allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
         });
       }
@@ -33,43 +204,116 @@ export const syncTaskFromClient = async (req, res) => {
     
     const docRef = col.doc(t.task_id);
     const doc = await docRef.get();
+    let result;
 
     if (doc.exists) {
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(t.updated_at);
 
-      if (clientUpdated < serverUpdated) {
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(t.task_id, serverData, 'Task'));
+      }
+
+      if (isStaleVersion(t, serverData)) {
+        if (!hasBaseData(t)) {
+          return res.status(409).json(staleVersionConflict(t.task_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(t.base_data, t, serverData, MERGE_OPTIONS);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(t.task_id, serverData, collisions));
+        }
+        t = { ...merged, updated_at: new Date().toISOString() };
+      }
+
+      const dependencyError = await checkDependencies(t.task_id, t.blocked_by, serverData);
+      if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+      }
+
+      const rejected = await checkTransition(req.user, serverData, t.status || serverData.status);
+      if (rejected?.invalid_transition) {
         return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
+          error: `Conflict: ${rejected.error}`,
+          conflict_field: 'status',
+          conflict_type: 'invalid_transition',
           latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
+          allowed_transitions: nextTaskStatuses(serverData.status),
+          allowed_strategies: INVALID_TRANSITION_STRATEGIES,
           client_id: t.task_id,
-          server_id: t.task_id, // Same ID for stale updates
+          server_id: t.task_id,
         });
       }
+      if (rejected) {
+        return res.status(rejected.status).json({ error: rejected.error });
+      }
+
+      const blockers = await checkBlockers({ ...t, status: t.status || serverData.status }, serverData);
+      if (blockers.length > 0) {
+        return res.status(409).json(blockedConflict(t, serverData, blockers));
+      }
 
-      await updateTaskDoc(t.task_id, t);
+      t = withTransition(t, serverData, req.user);
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateTaskDoc(t.task_id, t, tx), {
+        entity: 'task',
+        record: t,
+      });
     } else {
-      await createTaskDoc(t.task_id, t);
+      const rejected = await checkTransition(req.user, null, t.status || 'pending');
+      if (rejected) {
+        return res.status(rejected.status).json({ error: rejected.error });
+      }
+
+      const dependencyError = await checkDependencies(t.task_id, t.blocked_by, null);
+      if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+      }
+
+      t = { ...t, checklist: stampChecklist(t.checklist, [], req.user) };
+      result = await writeIfVersion(docRef, null, (tx) => createTaskDoc(t.task_id, t, tx), {
+        entity: 'task',
+        record: t,
+      });
     }
 
-    return res.status(200).json({ message: 'Task synced successfully' });
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('task', result.unique_conflict)
+        : staleVersionConflict(t.task_id, result.latest_data));
+    }
+
+    return res.status(200).json({ message: 'Task synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ Task sync error:', err);
     return res.status(500).json({ error: 'Task sync failed' });
   }
 };
 
+// Without a common ancestor removals can't be told from additions, so every item from either side is kept;
+// an item is done if either side ticked it off, and the client's wording wins
+const unionChecklists = (clientList, serverList) => {
+  if (!Array.isArray(clientList)) return serverList;
+  const clientItems = new Map(clientList.map((item) => [item.item_id, item]));
+  const merged = (serverList ?? []).map((item) => {
+    const clientItem = clientItems.get(item.item_id);
+    clientItems.delete(item.item_id);
+    return clientItem ? { ...item, ...clientItem, done: Boolean(item.done || clientItem.done) } : item;
+  });
+  return [...merged, ...clientItems.values()];
+};
+
 /**
  * Resolves conflicts between client and server task data
  * @param {Object} clientData - The task data from the client
  * @param {Object} serverData - The task data from the server
  * @param {string} strategy - The conflict resolution strategy ('client_wins', 'server_wins', 'merge')
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
  * @returns {Object} - Merged task data
  */
-export const resolveTaskConflict = (clientData, serverData, strategy = 'merge') => {
+export const resolveTaskConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveTaskConflict(clientData, serverData, 'merge'), MERGE_OPTIONS);
+  }
+
   switch (strategy) {
     case 'client_wins':
       // Client data takes precedence
@@ -98,6 +342,8 @@ export const resolveTaskConflict = (clientData, serverData, strategy = 'merge')
           due_date: clientData.due_date !== undefined ? clientData.due_date : serverData.due_date,
           status: clientData.status !== undefined ? clientData.status : serverData.status,
           location_id: clientData.location_id !== undefined ? clientData.location_id : serverData.location_id,
+          blocked_by: clientData.blocked_by !== undefined ? clientData.blocked_by : serverData.blocked_by,
+          checklist: unionChecklists(clientData.checklist, serverData.checklist),
           // Use client's updated_at since it's newer
           updated_at: clientData.updated_at
         };
@@ -110,8 +356,10 @@ export const resolveTaskConflict = (clientData, serverData, strategy = 'merge')
                 clientData.title : serverData.title,
           description: clientData.description !== undefined && clientData.description !== serverData.description ? 
                 clientData.description : serverData.description,
-          // Status field typically progresses forward (not backwards), so take the most advanced state
-          status: calculateMostAdvancedStatus(clientData.status, serverData.status),
+          // The client's status only if the lifecycle allows moving there from the server's
+          status: clientData.status && canTransitionTask(serverData.status, clientData.status)
+            ? clientData.status : serverData.status,
+          checklist: unionChecklists(clientData.checklist, serverData.checklist),
           // Keep server's updated_at as it's newer
           updated_at: serverData.updated_at
         };
@@ -119,29 +367,6 @@ export const resolveTaskConflict = (clientData, serverData, strategy = 'merge')
   }
 };
 
-/**
- * Calculate most advanced status between client and server
- * @param {string} clientStatus - Status from client
- * @param {string} serverStatus - Status from server
- * @returns {string} - The most advanced status
- */
-const calculateMostAdvancedStatus = (clientStatus, serverStatus) => {
-  const statusRank = {
-    'todo': 1,
-    'in_progress': 2,
-    'review': 3,
-    'completed': 4,
-    'cancelled': 5
-  };
-  
-  // If either status is missing, return the other
-  if (!clientStatus) return serverStatus;
-  if (!serverStatus) return clientStatus;
-  
-  // Return the status with higher rank
-  return statusRank[clientStatus] > statusRank[serverStatus] ? clientStatus : serverStatus;
-};
-
 /**
  * Handles explicit conflict resolution requests from client, with allowed_strategies and resolution_strategy echoed.
  * @param {Object} req - Express request object
@@ -160,12 +385,39 @@ export const resolveTaskSyncConflict = async (req, res) => {
       });
     }
 
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'task',
+        idField: 'task_id',
+        record: { ...clientData, task_id },
+        deleteDoc: deleteTaskDoc,
+        label: 'Task',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('task', { ...clientData, task_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
     const allowed_strategies = [];
     const docRef = col.doc(task_id);
     const doc = await docRef.get();
 
     let resolvedData;
     let isNewTask = false;
+    let expectedVersion = null;
 
     if (!doc.exists) {
       isNewTask = true;
@@ -181,9 +433,36 @@ export const resolveTaskSyncConflict = async (req, res) => {
       }
 
       resolvedData = { ...clientData };
+
+      const rejected = await checkTransition(req.user, null, resolvedData.status || 'pending');
+      if (rejected) {
+        return res.status(rejected.status).json({
+          success: false,
+          message: rejected.error,
+          status: 'error',
+          allowed_strategies,
+        });
+      }
+
+      const dependencyError = await checkDependencies(task_id, resolvedData.blocked_by, null);
+      if (dependencyError) {
+        return res.status(400).json({ success: false, message: dependencyError, status: 'error', allowed_strategies });
+      }
+      resolvedData.checklist = stampChecklist(resolvedData.checklist, [], req.user);
     } else {
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'task_id',
+          id: task_id,
+          serverData,
+          label: 'Task',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
 
       if (!clientData) {
         return res.status(400).json({
@@ -203,13 +482,54 @@ export const resolveTaskSyncConflict = async (req, res) => {
         });
       }
 
-      resolvedData = resolveTaskConflict(clientData, serverData, resolution_strategy);
+      resolvedData = resolveTaskConflict(clientData, serverData, resolution_strategy, clientData.base_data);
+
+      const rejected = await checkTransition(req.user, serverData, resolvedData.status || serverData.status);
+      if (rejected) {
+        return res.status(rejected.status).json({
+          success: false,
+          message: `Cannot resolve conflict: ${rejected.error}`,
+          status: 'error',
+          ...(rejected.invalid_transition ? {
+            conflict_type: 'invalid_transition',
+            latest_data: serverData,
+            allowed_transitions: nextTaskStatuses(serverData.status),
+          } : {}),
+          allowed_strategies: rejected.invalid_transition ? INVALID_TRANSITION_STRATEGIES : allowed_strategies,
+        });
+      }
+
+      const dependencyError = await checkDependencies(task_id, resolvedData.blocked_by, serverData);
+      if (dependencyError) {
+        return res.status(400).json({ success: false, message: dependencyError, status: 'error', allowed_strategies });
+      }
+
+      const blockers = await checkBlockers({ ...resolvedData, status: resolvedData.status || serverData.status }, serverData);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot resolve conflict: Task is blocked by ${blockers.length} task(s) that are not completed`,
+          status: 'error',
+          conflict_type: 'blocked_by_dependency',
+          latest_data: serverData,
+          blocking_tasks: blockers,
+          allowed_strategies: INVALID_TRANSITION_STRATEGIES,
+        });
+      }
+      resolvedData = withTransition(resolvedData, serverData, req.user);
     }
 
-    if (isNewTask) {
-      await createTaskDoc(task_id, resolvedData);
-    } else {
-      await updateTaskDoc(task_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewTask
+      ? createTaskDoc(task_id, resolvedData, tx)
+      : updateTaskDoc(task_id, resolvedData, tx)), {
+      entity: 'task',
+      record: resolvedData,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('task', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
     }
 
     return res.status(200).json({
@@ -218,6 +538,7 @@ export const resolveTaskSyncConflict = async (req, res) => {
       status: 'resolved',
       task_id,
       resolvedData,
+      version: result.version,
       isNewTask,
       resolution_strategy,
       allowed_strategies,
@@ -0,0 +1,257 @@
+// controllers/sync/taskTemplateSyncController.js
+// Recurring task templates. The scheduler (jobs/taskScheduler.js) turns each occurrence into a task and
+// assignments; a template synced here is expanded straight away so its first tasks don't wait for the next run.
+import { createTaskTemplateDoc, updateTaskTemplateDoc, deleteTaskTemplateDoc } from '../../models/taskTemplateModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { parseRecurrence } from '../../config/recurrence.js';
+import { expandTaskTemplate } from '../../jobs/taskScheduler.js';
+import { db } from '../../storage/index.js';
+
+const col = db.collection('task_templates');
+
+const TEMPLATE_STRATEGIES = ['client_wins', 'server_wins', 'merge'];
+
+const templateErrors = (template) => {
+  const errors = validateRecord('task-template', template);
+  const { error } = template.recurrence ? parseRecurrence(template.recurrence) : {};
+  if (error) errors.push({ field: 'recurrence', code: 'invalid_format', message: error });
+  return errors;
+};
+
+// Expands the template as stored now; a failure only delays its tasks until the next scheduler run
+const expandNow = async (templateId) => {
+  try {
+    const template = (await col.doc(templateId).get()).data();
+    if (template.deleted_at || template.active === false) return 0;
+    return (await expandTaskTemplate(template)).tasks_created;
+  } catch (err) {
+    console.error(`❌ Could not expand template ${templateId}:`, err);
+    return 0;
+  }
+};
+
+/**
+ * @route POST /api/sync/task-template
+ * @desc Create, update or delete (operation: 'delete') a recurring task template. Edits apply to occurrences
+ *       not generated yet; tasks already created stay as they are.
+ * @access Private (admin, coordinator)
+ */
+export const syncTaskTemplateFromClient = async (req, res) => {
+  let t = req.body;
+
+  if (isDeleteOperation(t)) {
+    return syncDeletionFromClient(res, {
+      collection: col,
+      entity: 'task-template',
+      idField: 'template_id',
+      record: t,
+      deleteDoc: deleteTaskTemplateDoc,
+      label: 'Task template',
+    });
+  }
+
+  const validationErrors = templateErrors(t);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
+  }
+
+  try {
+    const docRef = col.doc(t.template_id);
+    const doc = await docRef.get();
+    let result;
+
+    if (doc.exists) {
+      const serverData = doc.data();
+
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(t.template_id, serverData, 'Task template'));
+      }
+
+      if (isStaleVersion(t, serverData)) {
+        if (!hasBaseData(t)) {
+          return res.status(409).json(staleVersionConflict(t.template_id, serverData, TEMPLATE_STRATEGIES));
+        }
+
+        const { merged, collisions } = threeWayMerge(t.base_data, t, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(t.template_id, serverData, collisions));
+        }
+        t = { ...merged, updated_at: new Date().toISOString() };
+      }
+
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateTaskTemplateDoc(t.template_id, t, tx));
+    } else {
+      result = await writeIfVersion(docRef, null, (tx) => createTaskTemplateDoc(t.template_id, t, tx));
+    }
+
+    if (!result.committed) {
+      return res.status(409).json(staleVersionConflict(t.template_id, result.latest_data, TEMPLATE_STRATEGIES));
+    }
+
+    const tasksCreated = await expandNow(t.template_id);
+
+    return res.status(200).json({
+      message: 'Task template synced successfully',
+      version: result.version,
+      tasks_created: tasksCreated,
+    });
+  } catch (err) {
+    console.error('❌ Task template sync error:', err);
+    return res.status(500).json({ error: 'Task template sync failed' });
+  }
+};
+
+/**
+ * Resolves conflicts between client and server task templates
+ * @param {Object} clientData - The template from the client
+ * @param {Object} serverData - The template on the server
+ * @param {string} strategy - 'client_wins', 'server_wins' or 'merge'
+ * @param {Object} [baseData] - Common ancestor sent by the client; makes 'merge' a field-level three-way merge
+ * @returns {Object} - Resolved template
+ */
+export const resolveTaskTemplateConflict = (clientData, serverData, strategy = 'merge', baseData = null) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveTaskTemplateConflict(clientData, serverData, 'merge'));
+  }
+
+  switch (strategy) {
+    case 'client_wins':
+      return { ...clientData };
+    case 'server_wins':
+      return { ...serverData };
+    case 'merge':
+    default: {
+      // Without a base, the schedule stays the server's and the client's wording and assignees are kept
+      const merged = { ...serverData };
+      ['title', 'description', 'priority', 'assignee_ids'].forEach((field) => {
+        if (clientData[field] !== undefined && clientData[field] !== null) merged[field] = clientData[field];
+      });
+      merged.updated_at = new Date().toISOString();
+      return merged;
+    }
+  }
+};
+
+/**
+ * @route POST /api/sync/task-template/resolve-conflict
+ * @desc Resolve a task template conflict with client_wins, server_wins or merge.
+ * @access Private (admin, coordinator)
+ */
+export const resolveTaskTemplateSyncConflict = async (req, res) => {
+  try {
+    const { template_id, resolution_strategy, clientData } = req.body;
+
+    if (!template_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template ID is required',
+        status: 'error',
+        allowed_strategies: [],
+      });
+    }
+
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: col,
+        entity: 'task-template',
+        idField: 'template_id',
+        record: { ...clientData, template_id },
+        deleteDoc: deleteTaskTemplateDoc,
+        label: 'Task template',
+        resolution_strategy,
+      });
+    }
+
+    if (!clientData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client data is required',
+        status: 'error',
+        allowed_strategies: [],
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (resolution_strategy !== 'server_wins') {
+      const validationErrors = templateErrors({ ...clientData, template_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
+    const docRef = col.doc(template_id);
+    const doc = await docRef.get();
+    if (doc.exists && isTombstoned(doc.data())) {
+      return resolveTombstoneConflict(res, {
+        idField: 'template_id',
+        id: template_id,
+        serverData: doc.data(),
+        label: 'Task template',
+        resolution_strategy,
+      });
+    }
+
+    const isNewTemplate = !doc.exists;
+    const allowed_strategies = isNewTemplate ? ['client_wins'] : TEMPLATE_STRATEGIES;
+
+    if (!allowed_strategies.includes(resolution_strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Strategy "${resolution_strategy}" is not allowed for this conflict.`,
+        status: 'error',
+        allowed_strategies,
+      });
+    }
+
+    const resolvedData = isNewTemplate
+      ? { ...clientData }
+      : resolveTaskTemplateConflict(clientData, doc.data(), resolution_strategy, clientData.base_data);
+
+    const result = await writeIfVersion(docRef, isNewTemplate ? null : currentVersion(doc.data()), (tx) => (isNewTemplate
+      ? createTaskTemplateDoc(template_id, resolvedData, tx)
+      : updateTaskTemplateDoc(template_id, resolvedData, tx)));
+
+    if (!result.committed) {
+      return res.status(409).json(staleResolutionConflict(result.latest_data, allowed_strategies));
+    }
+
+    await expandNow(template_id);
+
+    return res.status(200).json({
+      success: true,
+      message: `Conflict resolved using ${resolution_strategy} strategy${isNewTemplate ? ' (new template created)' : ' (existing template updated)'}`,
+      status: 'resolved',
+      template_id,
+      resolvedData,
+      version: result.version,
+      resolution_strategy,
+      allowed_strategies,
+      client_id: template_id,
+      server_id: template_id,
+    });
+  } catch (error) {
+    console.error('Error resolving task template conflict:', error);
+    return res.status(500).json({
+      success: false,
+      message: `Server error: ${error.message}`,
+      status: 'error',
+      allowed_strategies: [],
+    });
+  }
+};
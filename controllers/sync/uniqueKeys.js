@@ -0,0 +1,127 @@
+// controllers/sync/uniqueKeys.js
+// Reserved unique-key documents. Every unique value (or combination, see `unique` in config/syncEntities.js)
+// a live record holds is claimed by a document in `unique_keys` whose id is derived from the value.
+// Claiming keys in the same transaction as the record write makes check-then-write atomic: two devices
+// syncing the same email at once both touch the same key document, so only one transaction commits.
+import crypto from 'crypto';
+import { syncEntities } from '../../config/syncEntities.js';
+import { db, FieldValue } from '../../storage/index.js';
+
+const uniqueKeys = db.collection('unique_keys');
+
+const UNIQUE_CONFLICT_STRATEGIES = ['client_wins', 'server_wins', 'merge', 'update_data'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// A `unique` entry is either a list of fields that must all be set, or { fields, optional } where an
+// optional field left blank counts as the value null (e.g. supplies without a lot number)
+const keySpec = (entry) => (Array.isArray(entry) ? { fields: entry, optional: [] } : entry);
+
+// The keys a record holds; tombstoned records hold none, so deleting a record frees its values
+const keysFor = (entity, data) => {
+  if (!data || data.deleted_at) return [];
+
+  return (syncEntities[entity].unique ?? [])
+    .map(keySpec)
+    .filter(({ fields, optional }) => fields.every((field) => optional.includes(field) || !isBlank(data[field])))
+    .map(({ fields }) => {
+      const values = fields.map((field) => (isBlank(data[field]) ? null : data[field]));
+      const id = crypto.createHash('sha256').update(JSON.stringify([entity, fields, values])).digest('hex');
+      return { id, fields, values };
+    });
+};
+
+const holdsKey = (snapshot, key) => {
+  if (!snapshot.exists) return false;
+  const data = snapshot.data();
+  return !data.deleted_at && key.fields.every((field, i) => (isBlank(data[field]) ? null : data[field]) === key.values[i]);
+};
+
+/**
+ * Claims the unique keys `after` holds for a record and releases those only `before` held.
+ * Reads every key document first, so it must run inside the transaction before any write is queued.
+ * A key whose owner no longer holds the value (changed or deleted outside sync) is taken over.
+ * @param {Object} tx - Firestore transaction
+ * @param {string} entity - Key of syncEntities
+ * @param {string} recordId - Id of the record being written
+ * @param {Object|null} before - The record as stored now, or null if it doesn't exist
+ * @param {Object|null} after - The record about to be written, or null when it is being deleted. Fields it
+ *   leaves out keep their stored values, as the models' updates do
+ * @returns {Promise<{fields: string[], values: Array, record_id: string}|null>} - The first key another live
+ *   record holds (nothing is queued then), or null once the claims are queued on the transaction
+ */
+export const claimUniqueKeys = async (tx, entity, recordId, before, after) => {
+  const wanted = keysFor(entity, before && after ? { ...before, ...after } : after);
+  const released = keysFor(entity, before).filter((key) => !wanted.some((w) => w.id === key.id));
+
+  const [wantedDocs, releasedDocs] = await Promise.all([
+    Promise.all(wanted.map((key) => tx.get(uniqueKeys.doc(key.id)))),
+    Promise.all(released.map((key) => tx.get(uniqueKeys.doc(key.id)))),
+  ]);
+
+  const recordsRef = db.collection(syncEntities[entity].collection);
+  for (const [i, keyDoc] of wantedDocs.entries()) {
+    const ownerId = keyDoc.exists ? keyDoc.data().record_id : null;
+    if (!ownerId || ownerId === recordId) continue;
+
+    const owner = await tx.get(recordsRef.doc(ownerId));
+    if (holdsKey(owner, wanted[i])) {
+      return { fields: wanted[i].fields, values: wanted[i].values, record_id: ownerId };
+    }
+  }
+
+  wanted.forEach((key, i) => {
+    if (wantedDocs[i].exists && wantedDocs[i].data().record_id === recordId) return;
+    tx.set(uniqueKeys.doc(key.id), {
+      entity,
+      fields: key.fields,
+      values: key.values,
+      record_id: recordId,
+      claimed_at: FieldValue.serverTimestamp(),
+    });
+  });
+
+  // Only release keys still registered to this record
+  released.forEach((key, i) => {
+    if (releasedDocs[i].exists && releasedDocs[i].data().record_id === recordId) {
+      tx.delete(uniqueKeys.doc(key.id));
+    }
+  });
+
+  return null;
+};
+
+/**
+ * The 409 body for a sync write that lost a unique value to another record.
+ * @param {string} entity - Key of syncEntities
+ * @param {Object} conflict - unique_conflict from writeIfVersion
+ * @param {string[]} [allowedStrategies]
+ */
+export const uniqueKeyConflict = async (entity, conflict, allowedStrategies = UNIQUE_CONFLICT_STRATEGIES) => {
+  const owner = await db.collection(syncEntities[entity].collection).doc(conflict.record_id).get();
+
+  return {
+    error: `Conflict: Another ${entity} already uses this ${conflict.fields.join(' and ')}`,
+    conflict_field: conflict.fields.join('_'),
+    conflict_type: 'unique_constraint',
+    latest_data: owner.exists ? owner.data() : null,
+    allowed_strategies: allowedStrategies,
+  };
+};
+
+/**
+ * The same conflict shaped like the other resolve-conflict responses.
+ * @param {string} entity - Key of syncEntities
+ * @param {Object} conflict - unique_conflict from writeIfVersion
+ * @param {string[]} allowedStrategies
+ */
+export const uniqueKeyResolutionConflict = async (entity, conflict, allowedStrategies) => {
+  const { error, ...body } = await uniqueKeyConflict(entity, conflict, allowedStrategies);
+
+  return {
+    success: false,
+    message: error.replace('Conflict:', 'Cannot resolve conflict:'),
+    status: 'error',
+    ...body,
+  };
+};
@@ -1,25 +1,25 @@
 
 // userController.js (or wherever your main sync logic is)
 
-import { createUserDoc, updateUserDoc } from '../../models/userModel.js';
-import admin from '../../config/firebaseAdmin.js';
+import { createUserDoc, updateUserDoc, deleteUserDoc } from '../../models/userModel.js';
+import {
+  isDeleteOperation,
+  isTombstoned,
+  tombstoneConflict,
+  syncDeletionFromClient,
+  resolveDeletionConflict,
+  resolveTombstoneConflict,
+} from './deletionSync.js';
+import { hasBaseData, threeWayMerge, fieldCollisionConflict, mergeWithBase } from './fieldMerge.js';
+import { isStaleVersion, writeIfVersion, currentVersion, staleVersionConflict, staleResolutionConflict } from './versioning.js';
+import { uniqueKeyConflict, uniqueKeyResolutionConflict } from './uniqueKeys.js';
+import { validateRecord } from '../../config/schemaValidator.js';
+import { db } from '../../storage/index.js';
 
-const db = admin.firestore();
 const usersCollection = db.collection('users');
 import bcrypt from 'bcryptjs'; 
 import { toISOStringSafe } from '../../config/toISOString.js';
 
-// === Input Validators ===
-function isValidEmail(email) {
-  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-}
-function isValidPhoneNumber(phone) {
-  return (
-    typeof phone === 'string' &&
-    /^(\+\d{1,3}[- ]?)?\d{10,15}$/.test(phone.replace(/\s/g, ''))
-  );
-}
-
 /**
  * Checks if a value for a unique field (e.g., email, phone_number) already exists for another user.
  * @param {string} field - The field to check (e.g., 'email', 'phone_number')
@@ -37,7 +37,7 @@ async function checkUniqueFieldExists(field, value, currentUserId = null) {
     );
   }
   const firstOtherDoc = snapshot.docs.find(
-    (doc) => !currentUserId || doc.id !== currentUserId
+    (doc) => !isTombstoned(doc.data()) && (!currentUserId || doc.id !== currentUserId)
   );
   if (!firstOtherDoc) return null;
   return {
@@ -176,51 +176,47 @@ async function isSameUserProfile(clientData, serverData) {
 
 // === Main Sync Logic, with allowed_strategies in all 409 responses ===
 export const syncUserFromClient = async (req, res) => {
-  const user = req.body; // 'user' object is directly req.body, so it includes 'password' if sent by client.
-
-  // Basic validation for required fields
-  if (
-    !user.user_id ||
-    !user.name ||
-    !user.email ||
-    !user.role ||
-    !user.updated_at
-  ) {
-    console.log("Reaching in if 1 (missing base required fields)");
-    return res.status(400).json({ error: 'Missing required fields' });
+  let user = req.body; // 'user' object is directly req.body, so it includes 'password' if sent by client.
+
+  if (isDeleteOperation(user)) {
+    return syncDeletionFromClient(res, {
+      collection: usersCollection,
+      entity: 'user',
+      idField: 'user_id',
+      record: user,
+      deleteDoc: deleteUserDoc,
+      label: 'User',
+    });
   }
 
-  if (!isValidEmail(user.email)) {
-    console.log("Reaching in if 2 (invalid email format)");
-    return res.status(400).json({ error: 'Invalid email format' });
-  }
-  if (user.phone_number && !isValidPhoneNumber(user.phone_number)) {
-    console.log("Reaching in if 3 (invalid phone number format)");
-    return res.status(400).json({ error: 'Invalid phone number format' });
+  const validationErrors = validateRecord('user', user);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', validation_errors: validationErrors });
   }
 
   try {
     const docRef = usersCollection.doc(user.user_id);
     const doc = await docRef.get();
+    let result;
 
     if (doc.exists) {
       // User exists in server database, potential update
       const serverData = doc.data();
-      const serverUpdated = new Date(serverData.updated_at);
-      const clientUpdated = new Date(user.updated_at);
-      
-      console.log("Server Updated at:", serverUpdated);
-      console.log("Client updated at:", clientUpdated);
 
-      if (clientUpdated < serverUpdated) {
-        return res.status(409).json({
-          error: 'Conflict: Stale update',
-          conflict_field: 'updated_at',
-          latest_data: serverData,
-          allowed_strategies: ['client_wins', 'server_wins', 'merge', 'update_data'],
-          client_id: user.user_id,
-          server_id: user.user_id, // Same ID for stale updates
-        });
+      if (isTombstoned(serverData)) {
+        return res.status(409).json(tombstoneConflict(user.user_id, serverData, 'User'));
+      }
+
+      if (isStaleVersion(user, serverData)) {
+        if (!hasBaseData(user)) {
+          return res.status(409).json(staleVersionConflict(user.user_id, serverData));
+        }
+
+        const { merged, collisions } = threeWayMerge(user.base_data, user, serverData);
+        if (collisions.length > 0) {
+          return res.status(409).json(fieldCollisionConflict(user.user_id, serverData, collisions));
+        }
+        user = { ...merged, password: user.password, updated_at: new Date().toISOString() };
       }
 
       // Unique constraint checks for email (if changed)
@@ -286,8 +282,12 @@ export const syncUserFromClient = async (req, res) => {
       }
 
       // If no conflicts or stale data, safe to update
-      await updateUserDoc(user.user_id, user); // User includes password if client sent it
-      console.log(`User ${user.user_id} updated.`);
+      // User includes password if client sent it
+      result = await writeIfVersion(docRef, currentVersion(serverData), (tx) => updateUserDoc(user.user_id, user, tx), {
+        entity: 'user',
+        record: user,
+      });
+      if (result.committed) console.log(`User ${user.user_id} updated.`);
 
     } else {
       // User does not exist in server database, potential new creation
@@ -307,12 +307,24 @@ export const syncUserFromClient = async (req, res) => {
             updated_at: new Date().toISOString(), // Update timestamp
           };
           
-          await updateUserDoc(emailCheck.id, mergedData); // Update the existing server doc
+          const merge = await writeIfVersion(
+            usersCollection.doc(emailCheck.id),
+            currentVersion(emailCheck.data),
+            (tx) => updateUserDoc(emailCheck.id, mergedData, tx), // Update the existing server doc
+            { entity: 'user', record: mergedData }
+          );
+
+          if (!merge.committed) {
+            return res.status(409).json(merge.unique_conflict
+              ? await uniqueKeyConflict('user', merge.unique_conflict)
+              : staleVersionConflict(emailCheck.id, merge.latest_data));
+          }
           
           return res.status(200).json({ 
             message: 'User synced successfully (auto-resolved duplicate account via email)',
             resolved_as: 'same_user_detected',
             server_user_id: emailCheck.id, // ID of the profile that was updated
+            version: merge.version,
           });
         } else {
           // Different user trying to register with an existing email
@@ -339,12 +351,24 @@ export const syncUserFromClient = async (req, res) => {
             updated_at: new Date().toISOString(),
           };
           
-          await updateUserDoc(phoneCheck.id, mergedData);
+          const merge = await writeIfVersion(
+            usersCollection.doc(phoneCheck.id),
+            currentVersion(phoneCheck.data),
+            (tx) => updateUserDoc(phoneCheck.id, mergedData, tx), // Update the existing server doc
+            { entity: 'user', record: mergedData }
+          );
+
+          if (!merge.committed) {
+            return res.status(409).json(merge.unique_conflict
+              ? await uniqueKeyConflict('user', merge.unique_conflict)
+              : staleVersionConflict(phoneCheck.id, merge.latest_data));
+          }
           
           return res.status(200).json({ 
             message: 'User synced successfully (auto-resolved duplicate account via phone)',
             resolved_as: 'same_user_detected',
             server_user_id: phoneCheck.id,
+            version: merge.version,
           });
         } else {
           // Different user trying to register with an existing phone number
@@ -359,11 +383,21 @@ export const syncUserFromClient = async (req, res) => {
       }
 
       // If no unique field conflicts, safe to create new user
-      await createUserDoc(user.user_id, user); // User includes password if client sent it
-      console.log(`New user ${user.user_id} created.`);
+      // User includes password if client sent it
+      result = await writeIfVersion(docRef, null, (tx) => createUserDoc(user.user_id, user, tx), {
+        entity: 'user',
+        record: user,
+      });
+      if (result.committed) console.log(`New user ${user.user_id} created.`);
     }
 
-    return res.status(200).json({ message: 'User synced successfully' });
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyConflict('user', result.unique_conflict)
+        : staleVersionConflict(user.user_id, result.latest_data));
+    }
+
+    return res.status(200).json({ message: 'User synced successfully', version: result.version });
   } catch (err) {
     console.error('❌ User sync error:', err);
     return res.status(500).json({ error: 'User sync failed', details: err.message });
@@ -374,8 +408,13 @@ export const syncUserFromClient = async (req, res) => {
 export const resolveUserConflict = (
   clientData,
   serverData,
-  strategy = 'merge'
+  strategy = 'merge',
+  baseData = null
 ) => {
+  if (strategy === 'merge' && baseData) {
+    return mergeWithBase(baseData, clientData, serverData, resolveUserConflict(clientData, serverData, 'merge'));
+  }
+
   switch (strategy) {
     case 'client_wins':
       return { ...clientData };
@@ -467,12 +506,39 @@ export const resolveUserSyncConflict = async (req, res) => {
       });
     }
 
+    if (isDeleteOperation(clientData)) {
+      return resolveDeletionConflict(res, {
+        collection: usersCollection,
+        entity: 'user',
+        idField: 'user_id',
+        record: { ...clientData, user_id },
+        deleteDoc: deleteUserDoc,
+        label: 'User',
+        resolution_strategy,
+      });
+    }
+
+    // server_wins keeps the stored record, so only client-supplied data is validated
+    if (clientData && resolution_strategy !== 'server_wins') {
+      const validationErrors = validateRecord('user', { ...clientData, user_id });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          status: 'error',
+          validation_errors: validationErrors,
+          allowed_strategies: [],
+        });
+      }
+    }
+
     const allowed_strategies = [];
     const docRef = usersCollection.doc(user_id);
     const doc = await docRef.get();
 
     let resolvedData;
     let isNewUser = false;
+    let expectedVersion = null;
 
     if (!doc.exists) {
       // Scenario: Client is trying to sync a user_id that doesn't exist on server (new user)
@@ -518,8 +584,19 @@ export const resolveUserSyncConflict = async (req, res) => {
       resolvedData = { ...clientData }; // For a new user, clientData is the source
     } else {
       // Scenario: User already exists on server, resolving an update conflict
-      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
       const serverData = doc.data();
+      if (isTombstoned(serverData)) {
+        return resolveTombstoneConflict(res, {
+          idField: 'user_id',
+          id: user_id,
+          serverData,
+          label: 'User',
+          resolution_strategy,
+        });
+      }
+
+      allowed_strategies.push('client_wins', 'server_wins', 'merge', 'update_data');
+      expectedVersion = currentVersion(serverData);
 
       // For 'update_data' strategy, you *must* re-check unique constraints
       // because clientData might have changed email/phone to one already owned by someone else.
@@ -560,14 +637,21 @@ export const resolveUserSyncConflict = async (req, res) => {
           }
         }
       }
-      resolvedData = resolveUserConflict(clientData, serverData, resolution_strategy);
+      resolvedData = resolveUserConflict(clientData, serverData, resolution_strategy, clientData.base_data);
     }
 
     // Perform the actual create or update based on the resolved data
-    if (isNewUser) {
-      await createUserDoc(user_id, resolvedData);
-    } else {
-      await updateUserDoc(user_id, resolvedData);
+    const result = await writeIfVersion(docRef, expectedVersion, (tx) => (isNewUser
+      ? createUserDoc(user_id, resolvedData, tx)
+      : updateUserDoc(user_id, resolvedData, tx)), {
+      entity: 'user',
+      record: resolvedData,
+    });
+
+    if (!result.committed) {
+      return res.status(409).json(result.unique_conflict
+        ? await uniqueKeyResolutionConflict('user', result.unique_conflict, allowed_strategies)
+        : staleResolutionConflict(result.latest_data, allowed_strategies));
     }
 
     return res.status(200).json({
@@ -576,6 +660,7 @@ export const resolveUserSyncConflict = async (req, res) => {
       status: 'resolved',
       user_id,
       resolvedData,
+      version: result.version,
       isNewUser,
       resolution_strategy,
       allowed_strategies,
@@ -0,0 +1,91 @@
+// controllers/sync/versioning.js
+// Optimistic concurrency for sync writes. Every document carries a server-assigned `version`
+// (1 on create, +1 on every write), and devices send back the version their edit was based on
+// as `base_version`. Unlike comparing updated_at values, this does not depend on device clocks.
+import { db } from '../../storage/index.js';
+import { claimUniqueKeys } from './uniqueKeys.js';
+import { publishDoc } from '../../config/changeFeed.js';
+
+const STALE_UPDATE_STRATEGIES = ['client_wins', 'server_wins', 'merge', 'update_data'];
+
+// Documents written before versioning existed count as version 0
+export const currentVersion = (data) => data?.version ?? 0;
+
+/**
+ * Whether the client edited an older version of the record than the one stored now.
+ * Clients that predate versioning send no base_version; their writes skip the check and overwrite,
+ * as they did before, instead of conflicting on every write after the first.
+ * @param {Object} record - The client payload
+ * @param {Object} serverData - The stored record
+ * @returns {boolean}
+ */
+export const isStaleVersion = (record, serverData) =>
+  record.base_version !== undefined && record.base_version !== null
+  && record.base_version !== currentVersion(serverData);
+
+/**
+ * Runs a write only if the document is still at the version the caller read, re-checking inside a
+ * transaction so two devices writing the same record concurrently can't both succeed.
+ * Committed writes are published to the change stream.
+ * @param {Object} docRef - Document reference being written
+ * @param {number|null} expectedVersion - Version the caller based its write on, or null if the document must not exist yet
+ * @param {Function} write - Receives the transaction and queues the write(s) on it
+ * @param {Object} [unique] - Claim the record's unique keys in the same transaction
+ * @param {string} unique.entity - Key of syncEntities
+ * @param {Object|null} unique.record - The record being written, or null for a delete
+ * @returns {Promise<{committed: boolean, version?: number, latest_data?: Object|null, unique_conflict?: Object}>}
+ *   version is the one the document has after the write; latest_data is the record that won a version race;
+ *   unique_conflict is set instead when another record holds one of the unique values (see claimUniqueKeys)
+ */
+export const writeIfVersion = async (docRef, expectedVersion, write, unique = null) => {
+  const result = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(docRef);
+
+    if (expectedVersion === null ? doc.exists : !doc.exists || currentVersion(doc.data()) !== expectedVersion) {
+      return { committed: false, latest_data: doc.exists ? doc.data() : null };
+    }
+
+    if (unique) {
+      const taken = await claimUniqueKeys(tx, unique.entity, docRef.id, doc.exists ? doc.data() : null, unique.record);
+      if (taken) return { committed: false, unique_conflict: taken };
+    }
+
+    await write(tx);
+    return { committed: true, version: expectedVersion === null ? 1 : expectedVersion + 1 };
+  });
+
+  if (result.committed) await publishDoc(docRef);
+  return result;
+};
+
+/**
+ * The 409 body for a write based on an outdated version of the record.
+ * @param {string} id - Record id
+ * @param {Object} serverData - The stored record
+ * @param {string[]} [allowedStrategies]
+ */
+export const staleVersionConflict = (id, serverData, allowedStrategies = STALE_UPDATE_STRATEGIES) => ({
+  error: 'Conflict: Stale update',
+  conflict_field: 'version',
+  latest_data: serverData,
+  server_version: currentVersion(serverData),
+  allowed_strategies: allowedStrategies,
+  client_id: id,
+  server_id: id, // Same ID for stale updates
+});
+
+/**
+ * The 409 body for a resolve-conflict request that lost a race with another write to the same record.
+ * The device should resolve again against latest_data.
+ * @param {Object|null} serverData - The record that won
+ * @param {string[]} allowedStrategies
+ */
+export const staleResolutionConflict = (serverData, allowedStrategies) => ({
+  success: false,
+  message: 'Cannot resolve conflict: the record changed again while resolving',
+  status: 'error',
+  conflict_field: 'version',
+  latest_data: serverData,
+  server_version: currentVersion(serverData),
+  allowed_strategies: allowedStrategies,
+});
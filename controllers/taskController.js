@@ -0,0 +1,189 @@
+// controllers/taskController.js
+// Task actions that go beyond syncing a record. Auto-assignment picks field workers for a task by how far they
+// are from it, how many open assignments they already hold and their role (config/assignmentRanking.js). The
+// same ranking finds a replacement when an assignment is declined or times out (controllers/assignmentController.js).
+import { createTaskAssignmentDoc, ACTIVE_ASSIGNMENT_STATUSES } from '../models/taskAssignmentModel.js';
+import { sendNotificationToUsers } from '../models/notificationModel.js';
+import { writeIfVersion } from './sync/versioning.js';
+import { isTombstoned } from './sync/deletionSync.js';
+import { distanceKm, rankCandidates } from '../config/assignmentRanking.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { db } from '../storage/index.js';
+
+const tasks = db.collection('tasks');
+const users = db.collection('users');
+const locations = db.collection('locations');
+const assignments = db.collection('task_assignments');
+
+const ELIGIBLE_ROLES = ['fieldworker', 'volunteer'];
+export const CLOSED_TASK_STATUSES = ['completed', 'cancelled'];
+const MAX_AUTO_ASSIGN = 20;
+
+/**
+ * Everyone who could take the task, with what the ranking needs. People already on the task (in any status,
+ * including those who declined it) are left out. Only open assignments are read, and only the locations the
+ * ranking needs.
+ * @param {Object} task - Task document data
+ * @param {string[]} roles - Roles to consider
+ * @returns {Promise<Array<Object>>}
+ */
+const findCandidates = async (task, roles) => {
+  const [userSnapshots, openSnapshot, onTaskSnapshot] = await Promise.all([
+    Promise.all(roles.map((role) => users.where('role', '==', role).get())),
+    assignments.where('status', 'in', ACTIVE_ASSIGNMENT_STATUSES).get(),
+    assignments.where('task_id', '==', task.task_id).get(),
+  ]);
+
+  const onTask = new Set(onTaskSnapshot.docs.map((doc) => doc.data()).filter((a) => !a.deleted_at).map((a) => a.user_id));
+  const candidates = userSnapshots
+    .flatMap((snapshot) => snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })))
+    .filter((user) => !user.deleted_at && !onTask.has(user.id));
+
+  const openCount = new Map();
+  const latest = new Map(); // user_id -> the task_id they were most recently assigned and still have open
+  for (const a of openSnapshot.docs.map((doc) => doc.data()).filter((a) => !a.deleted_at)) {
+    openCount.set(a.user_id, (openCount.get(a.user_id) ?? 0) + 1);
+    const at = toISOStringSafe(a.assigned_at) ?? '';
+    if (!latest.has(a.user_id) || at > latest.get(a.user_id).at) latest.set(a.user_id, { at, task_id: a.task_id });
+  }
+
+  // Workers without a base location are placed where their latest open task is
+  const recentTaskIds = [...new Set(candidates.filter((user) => latest.has(user.id)).map((user) => latest.get(user.id).task_id))];
+  const recentTasks = await Promise.all(recentTaskIds.map((id) => tasks.doc(id).get()));
+  const taskLocation = new Map(recentTasks.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data().location_id]));
+
+  const locationIds = [...new Set([task.location_id, ...candidates.map((user) => user.location_id), ...taskLocation.values()])]
+    .filter(Boolean);
+  const locationDocs = await Promise.all(locationIds.map((id) => locations.doc(id).get()));
+  const places = new Map(locationDocs.filter((doc) => doc.exists && !isTombstoned(doc.data())).map((doc) => [doc.id, doc.data()]));
+
+  const target = places.get(task.location_id);
+
+  return candidates.map((user) => {
+    const recentLocationId = latest.has(user.id) ? taskLocation.get(latest.get(user.id).task_id) : null;
+    const basedAt = places.has(user.location_id) ? user.location_id : null;
+    const placedAt = basedAt ?? (places.has(recentLocationId) ? recentLocationId : null);
+    const distance = distanceKm(places.get(placedAt), target);
+
+    return {
+      user_id: user.id,
+      name: user.name,
+      role: user.role,
+      location_id: placedAt,
+      position_source: basedAt ? 'base_location' : placedAt ? 'recent_task' : null,
+      distance_km: distance === null ? null : Math.round(distance * 10) / 10,
+      open_assignments: openCount.get(user.id) ?? 0,
+    };
+  });
+};
+
+/**
+ * Ranks the candidates for a task and assigns the best `count` of them, notifying each.
+ * @param {Object} task - Task document data
+ * @param {Object} options
+ * @param {number} [options.count]
+ * @param {string[]} [options.roles]
+ * @param {number|null} [options.maxDistance] - Kilometres
+ * @param {string|null} options.assignedBy - Who is told about the new assignments' progress
+ * @param {string|null} [options.reassignedFrom] - Assignment the new one replaces
+ * @param {boolean} [options.dryRun] - Only rank
+ * @returns {Promise<{ranking: Object[], created: Array<{assignment_id: string, user_id: string, name: string, rank: number, version: number}>}>}
+ */
+export const assignBestCandidates = async (task, {
+  count = 1, roles = ELIGIBLE_ROLES, maxDistance = null, assignedBy, reassignedFrom = null, dryRun = false,
+}) => {
+  const candidates = (await findCandidates(task, [...new Set(roles)]))
+    // Without a known distance nobody can be shown to be within range
+    .filter((candidate) => maxDistance === null || (candidate.distance_km !== null && candidate.distance_km <= maxDistance));
+  const ranking = rankCandidates(candidates);
+  const created = [];
+  if (dryRun) return { ranking, created };
+
+  const assignedAt = new Date().toISOString();
+
+  for (const candidate of ranking) {
+    if (created.length >= count) break;
+
+    const assignmentId = `${task.task_id}-${candidate.user_id}`;
+    const assignment = {
+      assignment_id: assignmentId,
+      task_id: task.task_id,
+      user_id: candidate.user_id,
+      status: 'assigned',
+      assigned_at: assignedAt,
+      assigned_by: assignedBy,
+      reassigned_from: reassignedFrom,
+    };
+    const result = await writeIfVersion(assignments.doc(assignmentId), null, (tx) => createTaskAssignmentDoc(assignmentId, assignment, tx), {
+      entity: 'task-assignment',
+      record: assignment,
+    });
+    if (!result.committed) continue; // Assigned by someone else meanwhile; take the next in line
+
+    created.push({ assignment_id: assignmentId, user_id: candidate.user_id, name: candidate.name, rank: candidate.rank, version: result.version });
+    await sendNotificationToUsers([candidate.user_id], {
+      title: 'New task assigned',
+      message: `You have been assigned "${task.title}"${task.due_date ? `, due ${toISOStringSafe(task.due_date).slice(0, 10)}` : ''}.`,
+      type: 'task_assignment',
+      entity_type: 'task-assignment',
+      entity_id: assignmentId,
+    });
+  }
+
+  return { ranking, created };
+};
+
+/**
+ * @route POST /api/tasks/:taskId/auto-assign
+ * @desc Rank eligible field workers for a task and assign the best ones. Body: { count?: 1, roles?: ['fieldworker',
+ *       'volunteer'], max_distance_km?, dry_run?: false }. A dry run only returns the ranking.
+ * @access Private (admin, coordinator)
+ */
+export const autoAssignTask = async (req, res) => {
+  const { taskId } = req.params;
+  const { count = 1, roles = ELIGIBLE_ROLES, max_distance_km: maxDistance = null, dry_run: dryRun = false } = req.body ?? {};
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_AUTO_ASSIGN) {
+    return res.status(400).json({ error: `count must be a whole number from 1 to ${MAX_AUTO_ASSIGN}` });
+  }
+  if (!Array.isArray(roles) || roles.length === 0 || roles.some((role) => !ELIGIBLE_ROLES.includes(role))) {
+    return res.status(400).json({ error: `roles must list one or more of ${ELIGIBLE_ROLES.join(', ')}` });
+  }
+  if (maxDistance !== null && !(typeof maxDistance === 'number' && maxDistance > 0)) {
+    return res.status(400).json({ error: 'max_distance_km must be a positive number' });
+  }
+
+  try {
+    const taskDoc = await tasks.doc(taskId).get();
+    if (!taskDoc.exists || isTombstoned(taskDoc.data())) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const task = taskDoc.data();
+    if (CLOSED_TASK_STATUSES.includes(task.status)) {
+      return res.status(409).json({ error: `Task is ${task.status}; reopen it before assigning people` });
+    }
+
+    const { ranking, created } = await assignBestCandidates(task, {
+      count, roles, maxDistance, assignedBy: req.user.uid, dryRun,
+    });
+
+    if (dryRun) {
+      return res.status(200).json({ message: 'Dry run: nobody was assigned', task_id: taskId, dry_run: true, ranking });
+    }
+    if (ranking.length === 0) {
+      return res.status(404).json({ error: 'No eligible field workers for this task', task_id: taskId, ranking });
+    }
+
+    console.log(`🧭 Auto-assigned task ${taskId} to ${created.length} of ${ranking.length} candidates`);
+
+    return res.status(201).json({
+      message: `Assigned ${created.length} of ${count} requested`,
+      task_id: taskId,
+      assignments: created,
+      ranking,
+    });
+  } catch (err) {
+    console.error('❌ Error auto-assigning task:', err);
+    return res.status(500).json({ error: 'Failed to auto-assign task' });
+  }
+};
@@ -0,0 +1,40 @@
+// jobs/changeBackfill.js
+// One-off upgrade step: gives synced records written before change times existed a `changed_at`, so
+// down-sync (which orders and pages by it, see config/syncCursor.js) hands them out again. They are stamped
+// with the current server time rather than their old updated_at, so no device cursor is already past them;
+// each device pulls them once more. Records that have a change time are left alone, so rerunning it is
+// harmless. Run it from POST /api/admin/jobs/change-backfill/run.
+import { db, FieldValue } from '../storage/index.js';
+import { syncEntities } from '../config/syncEntities.js';
+import { CHANGE_FIELD } from '../config/syncCursor.js';
+
+const MAX_WRITES_PER_COMMIT = 500; // Firestore's limit for one transaction or batch
+
+/**
+ * Stamps every synced record that has no change time.
+ * @returns {Promise<{scanned: number, stamped: number}>}
+ */
+export const runChangeBackfill = async () => {
+  const summary = { scanned: 0, stamped: 0 };
+
+  for (const { collection } of Object.values(syncEntities)) {
+    const snapshot = await db.collection(collection).get();
+    const missing = snapshot.docs.filter((doc) => doc.get(CHANGE_FIELD) === undefined);
+    summary.scanned += snapshot.size;
+
+    for (let start = 0; start < missing.length; start += MAX_WRITES_PER_COMMIT) {
+      const refs = missing.slice(start, start + MAX_WRITES_PER_COMMIT).map((doc) => doc.ref);
+
+      // Re-read inside the transaction: a sync may have stamped the record since the scan
+      summary.stamped += await db.runTransaction(async (tx) => {
+        const current = await tx.getAll(...refs);
+        const unstamped = current.filter((doc) => doc.exists && doc.get(CHANGE_FIELD) === undefined);
+        unstamped.forEach((doc) => tx.update(doc.ref, { [CHANGE_FIELD]: FieldValue.serverTimestamp() }));
+        return unstamped.length;
+      });
+    }
+  }
+
+  if (summary.stamped) console.log('🕓 Change time backfill:', summary);
+  return summary;
+};
@@ -0,0 +1,224 @@
+// jobs/supplyMonitor.js
+// Periodic scan of supplies for stock about to expire or below its reorder threshold. Each finding becomes an
+// alert (so it reaches devices through down-sync and the change stream) and a notification to the coordinators
+// of the supply's location. What was already reported is kept in `supply_monitor_state`, one document per
+// supply, so a supply is reported once per expiry window and once each time it runs low. A supply kept in lots
+// expires with its earliest lot that still has stock; recalled stock is not monitored.
+//
+// Settings (environment):
+//   SUPPLY_MONITOR_INTERVAL_MINUTES  how often to scan, default 60; 0 disables the schedule
+//   SUPPLY_EXPIRY_WINDOWS_DAYS       comma-separated days before expiry to warn at, default "30,7"
+import { db, FieldValue } from '../storage/index.js';
+import { createAlertDoc } from '../models/alertModel.js';
+import { sendNotificationToUsers } from '../models/notificationModel.js';
+import { getLocationCoordinatorIds } from '../models/locationModel.js';
+import { publishDoc } from '../config/changeFeed.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+
+const supplies = db.collection('supplies');
+const lots = db.collection('supply_lots');
+const alerts = db.collection('alerts');
+const monitorState = db.collection('supply_monitor_state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_EXPIRY_WINDOWS = [30, 7];
+
+const getExpiryWindows = () => {
+  const raw = process.env.SUPPLY_EXPIRY_WINDOWS_DAYS;
+  const windows = raw
+    ? raw.split(',').map((value) => Number(value.trim())).filter((days) => Number.isInteger(days) && days > 0)
+    : DEFAULT_EXPIRY_WINDOWS;
+  return [...new Set(windows)].sort((a, b) => b - a); // Widest first
+};
+
+/**
+ * Which expiry window a supply is in: 'expired', 'within_<n>d' for the tightest window it falls in, or null.
+ * @param {*} expiryDate - ISO string, Date or Timestamp
+ * @param {Date} now
+ * @param {number[]} windows - Days, widest first
+ * @returns {{window: string|null, rank: number, days: number|null}} - rank grows as the window tightens
+ */
+const expiryWindowFor = (expiryDate, now, windows) => {
+  const iso = toISOStringSafe(expiryDate);
+  const expiresAt = iso ? new Date(iso) : null;
+  if (!expiresAt || Number.isNaN(expiresAt.getTime())) return { window: null, rank: -1, days: null };
+
+  const days = Math.ceil((expiresAt - now) / DAY_MS);
+  if (expiresAt <= now) return { window: 'expired', rank: windows.length, days };
+
+  for (let i = windows.length - 1; i >= 0; i--) {
+    if (days <= windows[i]) return { window: `within_${windows[i]}d`, rank: i, days };
+  }
+  return { window: null, rank: -1, days };
+};
+
+/**
+ * Earliest expiry among each supply's lots that still hold stock and aren't recalled.
+ * @returns {Promise<Map<string, string>>} - supply_id -> ISO date
+ */
+const earliestLotExpiries = async () => {
+  const snapshot = await lots.get();
+  const earliest = new Map();
+
+  snapshot.docs.forEach((doc) => {
+    const lot = doc.data();
+    const expiry = toISOStringSafe(lot.expiry_date);
+    if (lot.deleted_at || lot.status === 'recalled' || !(lot.quantity > 0) || !expiry) return;
+    if (!earliest.has(lot.supply_id) || expiry < earliest.get(lot.supply_id)) earliest.set(lot.supply_id, expiry);
+  });
+  return earliest;
+};
+
+const rankOf = (window, windows) => {
+  if (window === 'expired') return windows.length;
+  return window ? windows.findIndex((days) => window === `within_${days}d`) : -1;
+};
+
+const expiryFinding = (supply, { window, days }) => ({
+  type: 'supply_expiry',
+  priority: window === 'expired' ? 'urgent' : days <= 7 ? 'high' : 'normal',
+  title: window === 'expired' ? 'Supply expired' : 'Supply expiring soon',
+  message: window === 'expired'
+    ? `${supply.item_name} (${supply.quantity ?? 0} in stock) has expired.`
+    : `${supply.item_name} (${supply.quantity ?? 0} in stock) expires in ${days} day${days === 1 ? '' : 's'}.`,
+});
+
+const lowStockFinding = (supply) => ({
+  type: 'supply_low_stock',
+  priority: supply.quantity <= 0 ? 'urgent' : 'high',
+  title: supply.quantity <= 0 ? 'Supply out of stock' : 'Supply running low',
+  message: `${supply.item_name} is at ${supply.quantity} (reorder threshold ${supply.reorder_threshold}).`,
+});
+
+/**
+ * Raises an alert for the supply's location and notifies its coordinators.
+ * @param {Object} supply - Supply document data
+ * @param {Object} finding - { type, priority, title, message }
+ * @param {Map} coordinatorsByLocation - Cache for the run
+ */
+const report = async (supply, finding, coordinatorsByLocation) => {
+  const alertId = alerts.doc().id;
+  await createAlertDoc(alertId, {
+    user_id: null, // Raised by the server, not by a user's device
+    type: finding.type,
+    location_id: supply.location_id ?? null,
+    description: finding.message,
+    priority: finding.priority,
+    sent_via: 'system',
+  });
+  await publishDoc(alerts.doc(alertId));
+
+  const locationKey = supply.location_id ?? null;
+  if (!coordinatorsByLocation.has(locationKey)) {
+    coordinatorsByLocation.set(locationKey, await getLocationCoordinatorIds(locationKey));
+  }
+
+  await sendNotificationToUsers(coordinatorsByLocation.get(locationKey), {
+    title: finding.title,
+    message: finding.message,
+    type: finding.type,
+    entity_type: 'supply',
+    entity_id: supply.supply_id,
+  });
+};
+
+/**
+ * Scans every live supply once.
+ * @param {Date} [now]
+ * @returns {Promise<{scanned: number, expiry_alerts: number, low_stock_alerts: number, failed: number}>}
+ */
+export const runSupplyMonitor = async (now = new Date()) => {
+  const windows = getExpiryWindows();
+  const summary = { scanned: 0, expiry_alerts: 0, low_stock_alerts: 0, failed: 0 };
+  const coordinatorsByLocation = new Map();
+
+  const [snapshot, lotExpiries] = await Promise.all([supplies.get(), earliestLotExpiries()]);
+  const live = snapshot.docs
+    .map((doc) => doc.data())
+    .filter((supply) => !supply.deleted_at && supply.status !== 'used' && !supply.recall_id)
+    .map((supply) => (lotExpiries.has(supply.supply_id) ? { ...supply, expiry_date: lotExpiries.get(supply.supply_id) } : supply));
+
+  for (const supply of live) {
+    summary.scanned++;
+
+    try {
+      const stateRef = monitorState.doc(supply.supply_id);
+      const stateDoc = await stateRef.get();
+      const state = stateDoc.exists ? stateDoc.data() : { expiry_window: null, low_stock: false };
+      const next = {};
+
+      const expiry = expiryWindowFor(supply.expiry_date, now, windows);
+      if (expiry.window !== state.expiry_window) {
+        // Only a tighter window is news; a looser one means the expiry date was pushed back
+        if (expiry.rank > rankOf(state.expiry_window, windows)) {
+          await report(supply, expiryFinding(supply, expiry), coordinatorsByLocation);
+          summary.expiry_alerts++;
+        }
+        next.expiry_window = expiry.window;
+      }
+
+      const threshold = supply.reorder_threshold;
+      const low = typeof threshold === 'number' && typeof supply.quantity === 'number' && supply.quantity <= threshold;
+      if (low !== state.low_stock) {
+        // Reported when it drops to the threshold; restocking above it re-arms the alert
+        if (low) {
+          await report(supply, lowStockFinding(supply), coordinatorsByLocation);
+          summary.low_stock_alerts++;
+        }
+        next.low_stock = low;
+      }
+
+      if (Object.keys(next).length > 0) {
+        await stateRef.set({ supply_id: supply.supply_id, ...next, checked_at: FieldValue.serverTimestamp() }, { merge: true });
+      }
+    } catch (err) {
+      console.error(`❌ Supply monitor failed for ${supply.supply_id}:`, err);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+let inFlight = null;
+
+/**
+ * Runs a scan unless one is already going, in which case the caller gets that scan's result.
+ * Two overlapping scans would both see a finding as new and report it twice.
+ * @returns {Promise<Object>} - Summary from runSupplyMonitor
+ */
+export const triggerSupplyMonitor = () => {
+  if (!inFlight) {
+    inFlight = runSupplyMonitor().finally(() => { inFlight = null; });
+  }
+  return inFlight;
+};
+
+const tick = async () => {
+  try {
+    const summary = await triggerSupplyMonitor();
+    if (summary.expiry_alerts || summary.low_stock_alerts || summary.failed) {
+      console.log('📦 Supply monitor:', summary);
+    }
+  } catch (err) {
+    console.error('❌ Supply monitor run failed:', err);
+  }
+};
+
+/**
+ * Starts the scheduled scan (first run right away). Returns a function that stops it.
+ */
+export const startSupplyMonitor = () => {
+  const minutes = Number(process.env.SUPPLY_MONITOR_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log('📦 Supply monitor disabled');
+    return () => {};
+  }
+
+  tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`📦 Supply monitor scanning every ${minutes} min (expiry windows: ${getExpiryWindows().join(', ')} days)`);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,247 @@
+// jobs/taskEscalation.js
+// Periodic check of open tasks against the escalation policy (config/escalationPolicy.js): tasks past their
+// due date, assignments nobody accepted in time, and tasks that should have someone assigned but don't. Each
+// late condition climbs its priority's ladder, notifying the task creator first and then the location's
+// coordinators. Progress is kept in `task_escalations`, one document per condition, so each step is sent once;
+// when the condition clears (the task is completed, re-dated, accepted or assigned) the document is removed and
+// the ladder starts over if it happens again. An assignment left unaccepted past reassign_after_hours is
+// withdrawn and the task handed to the next candidate instead.
+//
+// Settings (environment):
+//   TASK_ESCALATION_INTERVAL_MINUTES  how often to check, default 15; 0 disables the schedule
+//   TASK_ESCALATION_POLICY            per-priority overrides, see config/escalationPolicy.js
+import { db, FieldValue } from '../storage/index.js';
+import { ACTIVE_ASSIGNMENT_STATUSES } from '../models/taskAssignmentModel.js';
+import { sendNotificationToUsers } from '../models/notificationModel.js';
+import { getLocationCoordinatorIds } from '../models/locationModel.js';
+import { expireAssignment } from '../controllers/assignmentController.js';
+import { getEscalationPolicy } from '../config/escalationPolicy.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+import { TASK_STATUSES } from '../config/syncSchemas.js';
+
+const tasks = db.collection('tasks');
+const assignments = db.collection('task_assignments');
+const escalations = db.collection('task_escalations');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 15;
+const CLOSED_TASK_STATUSES = ['completed', 'cancelled'];
+const OPEN_TASK_STATUSES = TASK_STATUSES.filter((status) => !CLOSED_TASK_STATUSES.includes(status));
+
+const dateOf = (value) => {
+  const iso = toISOStringSafe(value);
+  const date = iso ? new Date(iso) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const hoursAfter = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+
+/**
+ * Late conditions among open tasks as of `now`.
+ * @param {Object[]} openTasks - Task document data
+ * @param {Map<string, Object[]>} assignmentsByTask - Live active assignments per task_id
+ * @param {Object} policy - From getEscalationPolicy
+ * @param {Date} now
+ * @returns {Array<{key: string, kind: string, task: Object, assignment?: Object, breach_at: Date}>}
+ */
+const findLateConditions = (openTasks, assignmentsByTask, policy, now) => {
+  const found = [];
+
+  for (const task of openTasks) {
+    const rules = policy[task.priority] ?? policy.normal;
+    const active = assignmentsByTask.get(task.task_id) ?? [];
+
+    const due = dateOf(task.due_date);
+    if (due && due <= now) {
+      found.push({ key: `overdue-${task.task_id}`, kind: 'overdue', task, breach_at: due });
+    }
+
+    const created = dateOf(task.created_at);
+    if (rules.assign_within_hours !== null && active.length === 0 && created) {
+      const breachAt = hoursAfter(created, rules.assign_within_hours);
+      if (breachAt <= now) found.push({ key: `unassigned-${task.task_id}`, kind: 'unassigned', task, breach_at: breachAt });
+    }
+
+    for (const assignment of active.filter((a) => a.status === 'assigned')) {
+      const assigned = dateOf(assignment.assigned_at) ?? dateOf(assignment.created_at);
+      if (!assigned) continue;
+      const breachAt = hoursAfter(assigned, rules.accept_within_hours);
+      if (breachAt <= now) {
+        found.push({ key: `unaccepted-${assignment.assignment_id}`, kind: 'unaccepted', task, assignment, breach_at: breachAt });
+      }
+    }
+  }
+
+  return found;
+};
+
+const describe = ({ kind, task, assignment }, escalated) => {
+  const suffix = escalated ? ' (escalated)' : '';
+  switch (kind) {
+    case 'overdue':
+      return {
+        type: 'task_overdue',
+        title: `Task overdue${suffix}`,
+        message: `"${task.title}" was due ${toISOStringSafe(task.due_date).slice(0, 10)} and is still ${task.status}.`,
+      };
+    case 'unaccepted':
+      return {
+        type: 'assignment_unaccepted',
+        title: `Assignment not accepted${suffix}`,
+        message: `"${task.title}" was assigned ${toISOStringSafe(assignment.assigned_at)?.slice(0, 10) ?? 'earlier'} `
+          + 'and the assignee has not accepted it yet.',
+      };
+    default:
+      return {
+        type: 'task_unassigned',
+        title: `Task unassigned${suffix}`,
+        message: `${task.priority} priority task "${task.title}" has nobody assigned to it.`,
+      };
+  }
+};
+
+/**
+ * Checks every open task once and sends the ladder steps that have come due.
+ * @param {Date} [now]
+ * @returns {Promise<{tasks: number, overdue: number, unaccepted: number, unassigned: number, notified: number, reassigned: number, cleared: number, failed: number}>}
+ *   overdue/unaccepted/unassigned count the conditions currently late; notified counts ladder steps sent;
+ *   reassigned counts assignments withdrawn for not being accepted
+ */
+export const runTaskEscalation = async (now = new Date()) => {
+  const policy = getEscalationPolicy();
+  const summary = { tasks: 0, overdue: 0, unaccepted: 0, unassigned: 0, notified: 0, reassigned: 0, cleared: 0, failed: 0 };
+  const coordinatorsByLocation = new Map();
+
+  // Only open tasks and active assignments can be late. Every escalation state is read, as one whose condition
+  // has cleared must be found to re-arm it; the collection only holds conditions that were late at the last check
+  const [taskSnapshot, assignmentSnapshot, stateSnapshot] = await Promise.all([
+    tasks.where('status', 'in', OPEN_TASK_STATUSES).get(),
+    assignments.where('status', 'in', ACTIVE_ASSIGNMENT_STATUSES).get(),
+    escalations.get(),
+  ]);
+  const openTasks = taskSnapshot.docs.map((doc) => doc.data()).filter((task) => !task.deleted_at);
+
+  const assignmentsByTask = new Map();
+  assignmentSnapshot.docs.map((doc) => doc.data()).filter((a) => !a.deleted_at).forEach((a) => {
+    if (!assignmentsByTask.has(a.task_id)) assignmentsByTask.set(a.task_id, []);
+    assignmentsByTask.get(a.task_id).push(a);
+  });
+
+  const audienceFor = async (notify, task) => {
+    if (notify === 'creator') return task.created_by ? [task.created_by] : [];
+    const locationKey = task.location_id ?? null;
+    if (!coordinatorsByLocation.has(locationKey)) {
+      coordinatorsByLocation.set(locationKey, await getLocationCoordinatorIds(locationKey));
+    }
+    return coordinatorsByLocation.get(locationKey);
+  };
+
+  summary.tasks = openTasks.length;
+  const late = findLateConditions(openTasks, assignmentsByTask, policy, now);
+  const states = new Map(stateSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+  const withdrawn = new Set(); // unaccepted conditions cleared by reassigning the assignment
+
+  for (const condition of late) {
+    summary[condition.kind]++;
+
+    try {
+      const rules = policy[condition.task.priority] ?? policy.normal;
+      if (condition.kind === 'unaccepted' && rules.reassign_after_hours !== null) {
+        const assigned = dateOf(condition.assignment.assigned_at) ?? dateOf(condition.assignment.created_at);
+        if (hoursAfter(assigned, rules.reassign_after_hours) <= now) {
+          if (await expireAssignment(condition.assignment, rules.reassign_after_hours)) {
+            withdrawn.add(condition.key);
+            summary.reassigned++;
+          }
+          continue;
+        }
+      }
+
+      const { ladder } = rules;
+      const breachAt = condition.breach_at.toISOString();
+      const state = states.get(condition.key);
+      // A moved due date (or a new assignment date) is a new breach, so the ladder starts over
+      const stepsSent = state?.breach_at === breachAt ? state.steps_sent : 0;
+      const stepsDue = ladder.filter((step) => hoursAfter(condition.breach_at, step.after_hours) <= now).length;
+
+      for (let index = stepsSent; index < stepsDue; index++) {
+        const { type, title, message } = describe(condition, index > 0);
+        await sendNotificationToUsers(await audienceFor(ladder[index].notify, condition.task), {
+          title,
+          message,
+          type,
+          entity_type: condition.assignment ? 'task-assignment' : 'task',
+          entity_id: condition.assignment?.assignment_id ?? condition.task.task_id,
+        });
+        summary.notified++;
+      }
+
+      if (stepsDue > stepsSent || state?.breach_at !== breachAt) {
+        await escalations.doc(condition.key).set({
+          key: condition.key,
+          kind: condition.kind,
+          task_id: condition.task.task_id,
+          assignment_id: condition.assignment?.assignment_id ?? null,
+          breach_at: breachAt,
+          steps_sent: Math.max(stepsDue, stepsSent),
+          updated_at: FieldValue.serverTimestamp(),
+        });
+      }
+    } catch (err) {
+      console.error(`❌ Task escalation failed for ${condition.key}:`, err);
+      summary.failed++;
+    }
+  }
+
+  // Conditions that are no longer late re-arm their ladder
+  const lateKeys = new Set(late.map((condition) => condition.key).filter((key) => !withdrawn.has(key)));
+  for (const key of states.keys()) {
+    if (lateKeys.has(key)) continue;
+    await escalations.doc(key).delete();
+    summary.cleared++;
+  }
+
+  return summary;
+};
+
+let inFlight = null;
+
+/**
+ * Runs a check unless one is already going, in which case the caller gets that check's result.
+ * Two overlapping checks would both send the same ladder step.
+ * @returns {Promise<Object>} - Summary from runTaskEscalation
+ */
+export const triggerTaskEscalation = () => {
+  if (!inFlight) {
+    inFlight = runTaskEscalation().finally(() => { inFlight = null; });
+  }
+  return inFlight;
+};
+
+const tick = async () => {
+  try {
+    const summary = await triggerTaskEscalation();
+    if (summary.notified || summary.reassigned || summary.failed) {
+      console.log('⏰ Task escalation:', summary);
+    }
+  } catch (err) {
+    console.error('❌ Task escalation run failed:', err);
+  }
+};
+
+/**
+ * Starts the scheduled check (first run right away). Returns a function that stops it.
+ */
+export const startTaskEscalation = () => {
+  const minutes = Number(process.env.TASK_ESCALATION_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log('⏰ Task escalation disabled');
+    return () => {};
+  }
+
+  tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`⏰ Task escalation checking every ${minutes} min`);
+  return () => clearInterval(timer);
+};
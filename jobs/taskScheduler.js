@@ -0,0 +1,185 @@
+// jobs/taskScheduler.js
+// Expands recurring task templates into concrete tasks (and assignments for the template's assignees) ahead of
+// time, so devices pull them like any other task and have them offline before they are due. Each template
+// records in `generated_through` how far it has been expanded; ids are derived from the template and the
+// occurrence, so a run that overlaps another or is retried never creates a task twice.
+//
+// Settings (environment):
+//   TASK_SCHEDULER_INTERVAL_MINUTES  how often to run, default 60; 0 disables the schedule
+//   TASK_SCHEDULER_HORIZON_DAYS      how far ahead to create tasks, default 14
+import { db } from '../storage/index.js';
+import { createTaskDoc } from '../models/taskModel.js';
+import { createTaskAssignmentDoc } from '../models/taskAssignmentModel.js';
+import { markTemplateGeneratedThrough } from '../models/taskTemplateModel.js';
+import { writeIfVersion } from '../controllers/sync/versioning.js';
+import { parseRecurrence, occurrencesBetween } from '../config/recurrence.js';
+import { toISOStringSafe } from '../config/toISOString.js';
+
+const templates = db.collection('task_templates');
+const tasks = db.collection('tasks');
+const assignments = db.collection('task_assignments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_HORIZON_DAYS = 14;
+
+const getHorizonDays = () => {
+  const days = Number(process.env.TASK_SCHEDULER_HORIZON_DAYS ?? DEFAULT_HORIZON_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_HORIZON_DAYS;
+};
+
+// e.g. water-check-20261019T0800
+const occurrenceTaskId = (templateId, at) => `${templateId}-${at.toISOString().replace(/[-:]/g, '').slice(0, 13)}`;
+
+/**
+ * Creates the task for one occurrence and its assignments, skipping whatever already exists.
+ * @param {Object} template - Template document data
+ * @param {Date} at - Occurrence (the task's due date)
+ * @param {Date} now
+ * @returns {Promise<{task: number, assignments: number}>} - How many were created
+ */
+const generateOccurrence = async (template, at, now) => {
+  const taskId = occurrenceTaskId(template.template_id, at);
+  const taskRef = tasks.doc(taskId);
+  const created = { task: 0, assignments: 0 };
+
+  const existing = await taskRef.get();
+  if (existing.exists && existing.data().deleted_at) return created; // Deleted by hand; don't bring it back
+
+  if (!existing.exists) {
+    const task = {
+      task_id: taskId,
+      title: `${template.title} (${at.toISOString().slice(0, 10)})`,
+      description: template.description,
+      priority: template.priority,
+      location_id: template.location_id ?? null,
+      created_by: template.created_by,
+      due_date: at.toISOString(),
+      status: 'pending',
+      template_id: template.template_id,
+    };
+    const result = await writeIfVersion(taskRef, null, (tx) => createTaskDoc(taskId, task, tx), { entity: 'task', record: task });
+    if (result.unique_conflict) {
+      throw new Error(`Task title "${task.title}" is already used at this location by ${result.unique_conflict.record_id}`);
+    }
+    if (result.committed) created.task++;
+  }
+
+  for (const userId of template.assignee_ids ?? []) {
+    const assignmentId = `${taskId}-${userId}`;
+    const assignment = {
+      assignment_id: assignmentId,
+      task_id: taskId,
+      user_id: userId,
+      status: 'assigned',
+      assigned_at: now.toISOString(),
+      assigned_by: template.created_by,
+    };
+    // An existing assignment of the same user (under any id) fails the unique check and is left as it is
+    const result = await writeIfVersion(assignments.doc(assignmentId), null, (tx) => createTaskAssignmentDoc(assignmentId, assignment, tx), {
+      entity: 'task-assignment',
+      record: assignment,
+    });
+    if (result.committed) created.assignments++;
+  }
+
+  return created;
+};
+
+/**
+ * Generates a template's tasks from where the last run stopped up to the horizon. Occurrences already past
+ * (before a template is created, or while it was paused) are not backfilled.
+ * @param {Object} template - Template document data
+ * @param {Date} [now]
+ * @returns {Promise<{tasks_created: number, assignments_created: number}>}
+ */
+export const expandTaskTemplate = async (template, now = new Date()) => {
+  const { rule, error } = parseRecurrence(template.recurrence);
+  if (error) throw new Error(`Invalid recurrence on template ${template.template_id}: ${error}`);
+
+  const horizon = new Date(now.getTime() + getHorizonDays() * DAY_MS);
+  const generatedThrough = template.generated_through ? new Date(template.generated_through) : null;
+  const from = generatedThrough && generatedThrough > now ? generatedThrough : now;
+  const start = new Date(toISOStringSafe(template.starts_at));
+  const summary = { tasks_created: 0, assignments_created: 0 };
+
+  for (const at of occurrencesBetween(rule, start, from, horizon)) {
+    const created = await generateOccurrence(template, at, now);
+    summary.tasks_created += created.task;
+    summary.assignments_created += created.assignments;
+  }
+
+  // Only once every occurrence is in place, so a failed one is retried on the next run
+  if (!generatedThrough || generatedThrough < horizon) {
+    await markTemplateGeneratedThrough(template.template_id, horizon.toISOString());
+  }
+  return summary;
+};
+
+/**
+ * Expands every live, active template once.
+ * @param {Date} [now]
+ * @returns {Promise<{templates: number, tasks_created: number, assignments_created: number, failed: number}>}
+ */
+export const runTaskScheduler = async (now = new Date()) => {
+  const summary = { templates: 0, tasks_created: 0, assignments_created: 0, failed: 0 };
+
+  const snapshot = await templates.get();
+  const live = snapshot.docs.map((doc) => doc.data()).filter((template) => !template.deleted_at && template.active !== false);
+
+  for (const template of live) {
+    summary.templates++;
+
+    try {
+      const result = await expandTaskTemplate(template, now);
+      summary.tasks_created += result.tasks_created;
+      summary.assignments_created += result.assignments_created;
+    } catch (err) {
+      console.error(`❌ Task scheduler failed for template ${template.template_id}:`, err);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+let inFlight = null;
+
+/**
+ * Runs the scheduler unless a run is already going, in which case the caller gets that run's result.
+ * @returns {Promise<Object>} - Summary from runTaskScheduler
+ */
+export const triggerTaskScheduler = () => {
+  if (!inFlight) {
+    inFlight = runTaskScheduler().finally(() => { inFlight = null; });
+  }
+  return inFlight;
+};
+
+const tick = async () => {
+  try {
+    const summary = await triggerTaskScheduler();
+    if (summary.tasks_created || summary.assignments_created || summary.failed) {
+      console.log('🗓️ Task scheduler:', summary);
+    }
+  } catch (err) {
+    console.error('❌ Task scheduler run failed:', err);
+  }
+};
+
+/**
+ * Starts the scheduled expansion (first run right away). Returns a function that stops it.
+ */
+export const startTaskScheduler = () => {
+  const minutes = Number(process.env.TASK_SCHEDULER_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log('🗓️ Task scheduler disabled');
+    return () => {};
+  }
+
+  tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`🗓️ Task scheduler running every ${minutes} min (${getHorizonDays()} days ahead)`);
+  return () => clearInterval(timer);
+};
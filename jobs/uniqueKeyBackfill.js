@@ -0,0 +1,48 @@
+// jobs/uniqueKeyBackfill.js
+// One-off upgrade step: claims the unique keys (see controllers/sync/uniqueKeys.js) of records written before
+// keys existed, which otherwise only claim them on their next write. Until then a sync or registration with
+// the same email, phone number, SKU, ... is not stopped by a key. Records whose keys are already claimed are
+// left as they are, so rerunning it is harmless. Two records already sharing a value can't both hold the key;
+// the second one is reported as a duplicate to clean up by hand.
+// Run it from POST /api/admin/jobs/unique-key-backfill/run.
+import { db } from '../storage/index.js';
+import { syncEntities } from '../config/syncEntities.js';
+import { claimUniqueKeys } from '../controllers/sync/uniqueKeys.js';
+
+/**
+ * Claims the unique keys of every live record of the entities that declare `unique`.
+ * @returns {Promise<{scanned: number, duplicates: Array<Object>}>} - Each duplicate is
+ *   { entity, record_id, fields, values, held_by }, held_by being the record that kept the key
+ */
+export const runUniqueKeyBackfill = async () => {
+  const summary = { scanned: 0, duplicates: [] };
+
+  for (const [entity, { collection, unique }] of Object.entries(syncEntities)) {
+    if (!unique?.length) continue;
+
+    const snapshot = await db.collection(collection).get();
+    const live = snapshot.docs.filter((doc) => !doc.data().deleted_at);
+    summary.scanned += live.length;
+
+    for (const { ref } of live) {
+      // Re-read inside the transaction: a sync may have changed or deleted the record since the scan
+      const taken = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        return doc.exists ? claimUniqueKeys(tx, entity, ref.id, null, doc.data()) : null;
+      });
+
+      if (taken) {
+        summary.duplicates.push({
+          entity,
+          record_id: ref.id,
+          fields: taken.fields,
+          values: taken.values,
+          held_by: taken.record_id,
+        });
+      }
+    }
+  }
+
+  console.log(`🔑 Unique key backfill: ${summary.scanned} records checked, ${summary.duplicates.length} duplicates`);
+  return summary;
+};
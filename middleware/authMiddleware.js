@@ -1,9 +1,10 @@
 // middleware/authMiddleware.js
 import jwt from 'jsonwebtoken';
+import { isTokenFamilyRevoked } from '../models/refreshTokenModel.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'my_jwt_secret';
 
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   // Check for token in Authorization header
@@ -13,11 +14,25 @@ export const authenticateToken = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // Add user info to request
-    next(); // Allow access
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  // Tokens carry their session (token family) id; reject them once the session is revoked
+  if (decoded.fid) {
+    try {
+      if (await isTokenFamilyRevoked(decoded.fid)) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+    } catch (err) {
+      console.error('❌ Session lookup failed:', err);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
+  }
+
+  req.user = decoded; // Add user info to request
+  next(); // Allow access
 };
@@ -0,0 +1,32 @@
+// middleware/conflictLogMiddleware.js
+import { logSyncOutcome } from '../controllers/sync/conflictLog.js';
+import { DEVICE_HEADER } from './deviceTracking.js';
+
+/**
+ * Mirrors the outcome of a sync or resolve-conflict route into the conflict log,
+ * so a 409 is still visible to admins after the device discards it.
+ * Logging failures are reported but never change the response sent to the device.
+ * @param {string} entity - Key of syncEntities
+ * @param {string} action - 'sync' or 'resolve-conflict'
+ */
+export const conflictLog = (entity, action = 'sync') => (req, res, next) => {
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    logSyncOutcome({
+      user: req.user,
+      entity,
+      action,
+      payload: req.body,
+      status: res.statusCode,
+      body,
+      deviceId: req.get(DEVICE_HEADER) ?? null,
+    })
+      .catch((err) => console.error('❌ Failed to update conflict log:', err))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,56 @@
+// middleware/deviceTracking.js
+import { getDeviceById, recordDeviceActivity } from '../models/deviceModel.js';
+import { syncEntities } from '../config/syncEntities.js';
+
+export const DEVICE_HEADER = 'X-Device-Id';
+
+// Without an explicit entity, /api/sync/<entity>[/resolve-conflict] names it and a batch lists its own
+const entitiesFor = (req, entity) => {
+  if (entity) return [entity];
+  if (Array.isArray(req.body?.operations)) {
+    return [...new Set(req.body.operations.map((op) => op?.entity).filter((name) => syncEntities[name]))];
+  }
+  const segment = req.path.split('/')[1];
+  return syncEntities[segment] ? [segment] : [];
+};
+
+/**
+ * Records sync calls from devices that send an X-Device-Id header: last seen, last push/pull
+ * per entity and, for down-sync, the next_cursor the device was handed.
+ * Devices must register first (POST /api/sync/devices). Requests without the header are not tracked.
+ * Tracking failures are reported but never change the response sent to the device.
+ * @param {string} direction - 'push' or 'pull'
+ * @param {string} [entity] - Key of syncEntities the route serves
+ */
+export const trackDevice = (direction, entity = null) => async (req, res, next) => {
+  const deviceId = req.get(DEVICE_HEADER);
+  if (!deviceId) return next();
+
+  try {
+    if (!(await getDeviceById(deviceId))) {
+      return res.status(404).json({ error: 'Device is not registered. Register it with POST /api/sync/devices first.' });
+    }
+  } catch (err) {
+    console.error('❌ Device lookup failed:', err);
+    return res.status(500).json({ error: 'Failed to look up device' });
+  }
+
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    sendJson(body);
+
+    if (res.statusCode < 500) {
+      recordDeviceActivity(deviceId, {
+        direction,
+        user_id: req.user.uid,
+        entities: entitiesFor(req, entity),
+        cursor: res.statusCode === 200 ? body?.next_cursor : null,
+      }).catch((err) => console.error('❌ Failed to record device activity:', err));
+    }
+
+    return res;
+  };
+
+  next();
+};
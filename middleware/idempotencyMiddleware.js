@@ -0,0 +1,126 @@
+// middleware/idempotencyMiddleware.js
+import crypto from 'crypto';
+import { db, FieldValue, Timestamp } from '../storage/index.js';
+
+const idempotencyCollection = db.collection('idempotency_keys');
+
+// How long a stored response is replayed for. Expired records are overwritten on next use;
+// a Firestore TTL policy on `expires_at` can be added to purge them.
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a request holds its key while running. A request that crashed or was aborted never stores a
+// response, so once this lease runs out a retry takes the key over instead of getting 409 until the TTL.
+const IDEMPOTENCY_LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+const MAX_KEY_LENGTH = 255;
+const ALREADY_EXISTS = 6; // gRPC status code returned by docRef.create() when the doc exists
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const isPast = (timestamp, now) => !timestamp || timestamp.toDate() <= now;
+
+/**
+ * Whether a stored key can be claimed by a new request: its replay window is over, or a retry of the same
+ * request finds it still in progress after the request holding it let its lease run out. Records from before
+ * leases existed have no locked_until, so their in-progress state counts as expired.
+ */
+const isReusable = (existing, requestHash, now) =>
+  isPast(existing.expires_at, now)
+  || (existing.status === 'in_progress' && existing.request_hash === requestHash && isPast(existing.locked_until, now));
+
+/**
+ * Honors the Idempotency-Key header on write routes.
+ * The first response for a key is stored and replayed verbatim on retries within the TTL window,
+ * so a device that lost its connection mid-request can safely resend it.
+ * Server errors (5xx) are not stored, so the retry runs the handler again. A request holds its key for
+ * IDEMPOTENCY_LOCK_SECONDS; a retry arriving after that runs the handler again, and the request it took
+ * the key from no longer stores its response.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  // Keys are scoped per user so two devices can't collide on (or read) each other's responses
+  const scope = `${req.user?.uid ?? 'anonymous'}:${req.method}:${req.originalUrl}:${key}`;
+  const docRef = idempotencyCollection.doc(sha256(scope));
+  const requestHash = sha256(JSON.stringify(req.body ?? null));
+  const lockId = crypto.randomUUID();
+  const record = {
+    key,
+    user_id: req.user?.uid ?? null,
+    method: req.method,
+    path: req.originalUrl,
+    request_hash: requestHash,
+    status: 'in_progress',
+    lock_id: lockId,
+    locked_until: Timestamp.fromDate(new Date(Date.now() + IDEMPOTENCY_LOCK_SECONDS * 1000)),
+    created_at: FieldValue.serverTimestamp(),
+    expires_at: Timestamp.fromDate(
+      new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+    ),
+  };
+
+  try {
+    await docRef.create(record);
+  } catch (err) {
+    if (err.code !== ALREADY_EXISTS) {
+      console.error('❌ Idempotency lookup error:', err);
+      return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+
+    // Claimed in a transaction so two retries can't both take over the same record.
+    // Resolves to null when this request now holds the key and runs as a fresh one.
+    const existing = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (doc.exists && !isReusable(doc.data(), requestHash, new Date())) return doc.data();
+      tx.set(docRef, record);
+      return null;
+    });
+
+    if (existing && existing.request_hash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+    } else if (existing?.status === 'in_progress') {
+      const retryAfter = Math.max(1, Math.ceil((existing.locked_until.toDate() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    } else if (existing) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).type('application/json').send(existing.response_body);
+    }
+  }
+
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    // Only while this request still holds the key; a retry that took it over stores its own response
+    const persist = db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (!doc.exists || doc.get('lock_id') !== lockId) return;
+
+      if (res.statusCode >= 500) {
+        tx.delete(docRef);
+      } else {
+        tx.update(docRef, {
+          status: 'completed',
+          response_status: res.statusCode,
+          // Stored as the serialized payload so the replay is byte-for-byte identical
+          response_body: JSON.stringify(body),
+          completed_at: FieldValue.serverTimestamp(),
+        });
+      }
+    });
+
+    persist
+      .catch((err) => console.error('❌ Failed to store idempotent response:', err))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,43 @@
+// middleware/roleMiddleware.js
+import { checkSyncWriteAccess } from '../config/accessPolicy.js';
+import { syncEntities } from '../config/syncEntities.js';
+
+// Must run after authenticateToken, which sets req.user
+
+export const authorizeRoles = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to access this resource' });
+  }
+  next();
+};
+
+// For routes scoped to :userId — the user themselves, or one of the given roles
+export const authorizeSelfOrRoles = (...roles) => (req, res, next) => {
+  if (req.user && (req.params.userId === req.user.uid || roles.includes(req.user.role))) {
+    return next();
+  }
+  return res.status(403).json({ error: 'You may only access your own data' });
+};
+
+/**
+ * Enforces the sync write policy for /api/sync/<entity> and /api/sync/<entity>/resolve-conflict.
+ * For resolve-conflict requests the record being written is req.body.clientData.
+ * @param {string} entity - Key of syncEntities
+ */
+export const authorizeSyncWrite = (entity) => async (req, res, next) => {
+  const { idField } = syncEntities[entity];
+  const data = req.body?.clientData
+    ? { ...req.body.clientData, [idField]: req.body[idField] }
+    : req.body;
+
+  try {
+    const { allowed, reason } = await checkSyncWriteAccess(req.user, entity, data);
+    if (!allowed) {
+      return res.status(403).json({ error: reason });
+    }
+    next();
+  } catch (err) {
+    console.error('❌ Authorization check failed:', err);
+    return res.status(500).json({ error: 'Authorization check failed' });
+  }
+};
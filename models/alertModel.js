@@ -1,31 +1,51 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
 const alerts = db.collection('alerts');
 
-export const createAlertDoc = async (id, data) => {
-  return await alerts.doc(id).set({
+export const createAlertDoc = async (id, data, tx = null) => {
+  const ref = alerts.doc(id);
+  const fields = {
     alert_id: id,
     user_id: data.user_id,
     type: data.type,
-    location_id: data.location_id,
-    description: data.description,
+    location_id: data.location_id ?? null,
+    description: data.description ?? null,
     priority: data.priority || 'normal',
-    timestamp: data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
+    timestamp: data.timestamp || FieldValue.serverTimestamp(),
     sent_via: data.sent_via || 'app',
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateAlertDoc = async (id, data) => {
-  return await alerts.doc(id).update({
+export const updateAlertDoc = async (id, data, tx = null) => {
+  const ref = alerts.doc(id);
+  const fields = {
     user_id: data.user_id,
     type: data.type,
-    location_id: data.location_id,
-    description: data.description,
-    priority: data.priority || 'normal',
-    timestamp: data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
+    timestamp: data.timestamp || FieldValue.serverTimestamp(),
     sent_via: data.sent_via || 'app',
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
-};
\ No newline at end of file
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  // Optional on sync; a device that leaves a field out keeps the stored value, null clears it
+  if (data.location_id !== undefined) fields.location_id = data.location_id ?? null;
+  if (data.description !== undefined) fields.description = data.description ?? null;
+  if (data.priority !== undefined) fields.priority = data.priority || 'normal';
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteAlertDoc = async (id, data, tx = null) => {
+  const ref = alerts.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
@@ -0,0 +1,84 @@
+import { db, FieldValue } from '../storage/index.js';
+import { normalizeGtin } from '../config/gtin.js';
+
+const catalog = db.collection('catalog_items');
+
+export const createCatalogItemDoc = async (id, data, tx = null) => {
+  const ref = catalog.doc(id);
+  const fields = {
+    catalog_item_id: id,
+    item_name: data.item_name,
+    unit: data.unit ?? null,
+    barcode: data.barcode ?? null,
+    gtin: data.barcode ? normalizeGtin(data.barcode) : null, // Lookup key, see config/gtin.js
+    sku: data.sku ?? null,
+    category: data.category ?? null,
+    default_shelf_life_days: data.default_shelf_life_days ?? null,
+    created_by: data.created_by ?? null,
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
+export const updateCatalogItemDoc = async (id, data, tx = null) => {
+  const ref = catalog.doc(id);
+  const fields = {
+    item_name: data.item_name,
+    unit: data.unit ?? null,
+    barcode: data.barcode ?? null,
+    gtin: data.barcode ? normalizeGtin(data.barcode) : null,
+    sku: data.sku ?? null,
+    category: data.category ?? null,
+    default_shelf_life_days: data.default_shelf_life_days ?? null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteCatalogItemDoc = async (id, data, tx = null) => {
+  const ref = catalog.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Gets a live catalog item by ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} - The catalog item or null if not found or deleted
+ */
+export const getCatalogItemById = async (id) => {
+  const doc = await catalog.doc(id).get();
+  return doc.exists && !doc.data().deleted_at ? doc.data() : null;
+};
+
+/**
+ * Finds the live catalog item with a barcode or SKU. Barcodes that are GTINs match in any of their lengths.
+ * @param {Object} code - { barcode } or { sku }
+ * @returns {Promise<Object|null>}
+ */
+export const findCatalogItemByCode = async ({ barcode, sku }) => {
+  let query;
+  if (barcode) {
+    const gtin = normalizeGtin(barcode);
+    query = gtin ? catalog.where('gtin', '==', gtin) : catalog.where('barcode', '==', barcode);
+  } else if (sku) {
+    query = catalog.where('sku', '==', sku);
+  } else {
+    return null;
+  }
+
+  const snapshot = await query.get();
+  const live = snapshot.docs.find((doc) => !doc.data().deleted_at);
+  return live ? live.data() : null;
+};
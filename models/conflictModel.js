@@ -0,0 +1,169 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const conflicts = db.collection('sync_conflicts');
+
+/**
+ * Records a conflict returned to a device. A device that keeps retrying the same write
+ * updates its pending entry (occurrences, latest payloads) instead of filling the queue.
+ * @param {Object} data
+ * @param {string} data.entity - Key of syncEntities (e.g. 'location')
+ * @param {string} data.record_id - Id of the record the device was writing
+ * @param {string} data.conflict_type - 'stale_update' | 'unique_constraint' | 'potential_duplicate_account' | ...
+ * @param {string|null} data.conflict_field
+ * @param {string} data.operation - 'sync' or 'delete'
+ * @param {string|null} data.message - The error sent to the device
+ * @param {Object} data.client_data - Payload the device sent
+ * @param {Object|null} data.server_data - latest_data sent back with the 409
+ * @param {string[]} data.allowed_strategies
+ * @param {string|null} data.client_id
+ * @param {string|null} data.server_id
+ * @param {string|null} data.reported_by - uid of the user whose device hit the conflict
+ * @param {string|null} [data.device_id] - The device that hit it, when it identified itself
+ * @returns {Promise<string>} - The conflict id
+ */
+export const recordConflict = async (data) => {
+  const pending = await conflicts
+    .where('entity', '==', data.entity)
+    .where('record_id', '==', data.record_id)
+    .where('status', '==', 'pending')
+    .get();
+
+  const existing = pending.docs.find((doc) => {
+    const conflict = doc.data();
+    return conflict.reported_by === data.reported_by
+      && conflict.conflict_type === data.conflict_type
+      && conflict.conflict_field === data.conflict_field
+      && conflict.operation === data.operation;
+  });
+
+  if (existing) {
+    await existing.ref.update({
+      message: data.message,
+      client_data: data.client_data,
+      server_data: data.server_data,
+      allowed_strategies: data.allowed_strategies,
+      server_id: data.server_id,
+      device_id: data.device_id ?? null,
+      occurrences: FieldValue.increment(1),
+      last_seen_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp(),
+    });
+    return existing.id;
+  }
+
+  const docRef = conflicts.doc();
+  await docRef.set({
+    conflict_id: docRef.id,
+    entity: data.entity,
+    record_id: data.record_id,
+    conflict_type: data.conflict_type,
+    conflict_field: data.conflict_field,
+    operation: data.operation,
+    message: data.message,
+    client_data: data.client_data,
+    server_data: data.server_data,
+    allowed_strategies: data.allowed_strategies,
+    client_id: data.client_id,
+    server_id: data.server_id,
+    reported_by: data.reported_by,
+    device_id: data.device_id ?? null,
+    status: 'pending',
+    occurrences: 1,
+    resolution_strategy: null,
+    resolved_by: null,
+    resolved_via: null,
+    resolved_data: null,
+    resolution_note: null,
+    resolved_at: null,
+    last_seen_at: FieldValue.serverTimestamp(),
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Closes a user's pending conflicts for a record, e.g. once their device resolves it or a later sync succeeds.
+ * @param {string} entity - Key of syncEntities
+ * @param {string} recordId - Id of the record
+ * @param {string|null} userId - Only conflicts reported by this user are closed
+ * @param {Object} resolution - { status, resolution_strategy?, resolved_by?, resolved_via? }
+ * @returns {Promise<number>} - Number of conflicts closed
+ */
+export const closePendingConflicts = async (entity, recordId, userId, resolution) => {
+  const snapshot = await conflicts
+    .where('entity', '==', entity)
+    .where('record_id', '==', recordId)
+    .where('status', '==', 'pending')
+    .get();
+
+  const owned = snapshot.docs.filter((doc) => doc.data().reported_by === userId);
+  if (owned.length === 0) return 0;
+
+  const batch = db.batch();
+  owned.forEach((doc) => {
+    batch.update(doc.ref, {
+      status: resolution.status,
+      resolution_strategy: resolution.resolution_strategy ?? null,
+      resolved_by: resolution.resolved_by ?? userId,
+      resolved_via: resolution.resolved_via ?? 'client',
+      resolved_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+
+  return owned.length;
+};
+
+/**
+ * Marks a single conflict as resolved or dismissed from the admin review queue.
+ * @param {string} id - The conflict id
+ * @param {Object} data - { status, resolution_strategy?, resolved_by, resolved_data?, resolution_note? }
+ * @returns {Promise} - Firestore write result
+ */
+export const closeConflictDoc = async (id, data) => {
+  return await conflicts.doc(id).update({
+    status: data.status,
+    resolution_strategy: data.resolution_strategy ?? null,
+    resolved_by: data.resolved_by,
+    resolved_via: 'admin',
+    resolved_data: data.resolved_data ?? null,
+    resolution_note: data.resolution_note ?? null,
+    resolved_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Gets a conflict by ID
+ * @param {string} id - The conflict id
+ * @returns {Promise<Object|null>} - The conflict document or null if not found
+ */
+export const getConflictById = async (id) => {
+  const doc = await conflicts.doc(id).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Query for the conflicts matching the given equality filters.
+ * @param {Object} filters - Any of { status, entity, conflict_type, record_id, reported_by, device_id }
+ * @returns {Object} - Firestore query
+ */
+export const conflictsQuery = (filters = {}) => {
+  let query = conflicts;
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value !== undefined) query = query.where(field, '==', value);
+  });
+  return query;
+};
+
+/**
+ * Lists conflicts matching the given equality filters.
+ * @param {Object} filters - See conflictsQuery
+ * @returns {Promise<Array>} - Query document snapshots
+ */
+export const findConflicts = async (filters = {}) => {
+  const snapshot = await conflictsQuery(filters).get();
+  return snapshot.docs;
+};
@@ -0,0 +1,89 @@
+import { db, FieldValue, Timestamp } from '../storage/index.js';
+
+const devices = db.collection('devices');
+
+/**
+ * Registers a device, or refreshes its details when it registers again (e.g. after an app update).
+ * @param {string} deviceId - Id the device generated for itself and sends as X-Device-Id
+ * @param {Object} data - { name?, platform?, app_version? }
+ * @param {string} userId - uid of the user registering it
+ * @returns {Promise<{created: boolean, device: Object}>}
+ */
+export const registerDeviceDoc = async (deviceId, data, userId) => {
+  const docRef = devices.doc(deviceId);
+  const doc = await docRef.get();
+
+  const details = {
+    name: data.name ?? null,
+    platform: data.platform ?? null,
+    app_version: data.app_version ?? null,
+    last_user_id: userId,
+    updated_at: FieldValue.serverTimestamp(),
+  };
+
+  if (doc.exists) {
+    await docRef.update(details);
+  } else {
+    await docRef.set({
+      device_id: deviceId,
+      ...details,
+      registered_by: userId,
+      last_seen_at: null,
+      last_push_at: null,
+      last_pull_at: null,
+      entities: {},
+      created_at: FieldValue.serverTimestamp(),
+    });
+  }
+
+  return { created: !doc.exists, device: (await docRef.get()).data() };
+};
+
+/**
+ * Records a sync call made by a device.
+ * @param {string} deviceId
+ * @param {Object} activity
+ * @param {string} activity.direction - 'push' (sync writes) or 'pull' (down-sync)
+ * @param {string} activity.user_id - uid of the user making the call
+ * @param {string[]} [activity.entities] - Keys of syncEntities the call touched
+ * @param {string|null} [activity.cursor] - next_cursor handed to the device by a down-sync call
+ * @returns {Promise} - Firestore write result
+ */
+export const recordDeviceActivity = async (deviceId, { direction, user_id, entities = [], cursor }) => {
+  const fields = {
+    last_seen_at: FieldValue.serverTimestamp(),
+    [`last_${direction}_at`]: FieldValue.serverTimestamp(),
+    last_user_id: user_id,
+    updated_at: FieldValue.serverTimestamp(),
+  };
+
+  entities.forEach((entity) => {
+    fields[`entities.${entity}.last_${direction}_at`] = FieldValue.serverTimestamp();
+    if (cursor) fields[`entities.${entity}.cursor`] = cursor;
+  });
+
+  return await devices.doc(deviceId).update(fields);
+};
+
+/**
+ * Gets a device by ID
+ * @param {string} deviceId
+ * @returns {Promise<Object|null>} - The device document or null if not found
+ */
+export const getDeviceById = async (deviceId) => {
+  const doc = await devices.doc(deviceId).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Lists devices that have not synced since the cutoff, including registered devices that never synced.
+ * @param {Date} cutoff
+ * @returns {Promise<Array>} - Device documents
+ */
+export const findDevicesNotSeenSince = async (cutoff) => {
+  const [stale, never] = await Promise.all([
+    devices.where('last_seen_at', '<', Timestamp.fromDate(cutoff)).get(),
+    devices.where('last_seen_at', '==', null).get(),
+  ]);
+  return [...never.docs, ...stale.docs].map((doc) => doc.data());
+};
@@ -1,31 +1,76 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
 const locations = db.collection('locations');
 
-export const createLocationDoc = async (id, data) => {
-  return await locations.doc(id).set({
+export const createLocationDoc = async (id, data, tx = null) => {
+  const ref = locations.doc(id);
+  const fields = {
     location_id: id,
     user_id: data.user_id,
     name: data.name,
-    type: data.type,
-    latitude: data.latitude,
-    longitude: data.longitude,
-    added_at: data.added_at || admin.firestore.FieldValue.serverTimestamp(),
+    type: data.type ?? null,
+    latitude: data.latitude ?? null,
+    longitude: data.longitude ?? null,
+    added_at: data.added_at || FieldValue.serverTimestamp(),
     description: data.description || '',
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateLocationDoc = async (id, data) => {
-  return await locations.doc(id).update({
+export const updateLocationDoc = async (id, data, tx = null) => {
+  const ref = locations.doc(id);
+  const fields = {
     user_id: data.user_id,
     name: data.name,
-    type: data.type,
-    latitude: data.latitude,
-    longitude: data.longitude,
-    added_at: data.added_at || admin.firestore.FieldValue.serverTimestamp(),
-    description: data.description || '',
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
-};
\ No newline at end of file
+    added_at: data.added_at || FieldValue.serverTimestamp(),
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  // Optional on sync; a device that leaves a field out keeps the stored value, null clears it
+  if (data.type !== undefined) fields.type = data.type ?? null;
+  if (data.latitude !== undefined) fields.latitude = data.latitude ?? null;
+  if (data.longitude !== undefined) fields.longitude = data.longitude ?? null;
+  if (data.description !== undefined) fields.description = data.description || '';
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteLocationDoc = async (id, data, tx = null) => {
+  const ref = locations.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * The coordinators responsible for a location: those who added it or created tasks there.
+ * Falls back to every coordinator when none are linked to it (or there is no location),
+ * so location-level alerts always reach someone.
+ * @param {string|null} locationId
+ * @returns {Promise<string[]>} - User ids
+ */
+export const getLocationCoordinatorIds = async (locationId) => {
+  const coordinators = await db.collection('users').where('role', '==', 'coordinator').get();
+  const active = new Set(coordinators.docs.filter((doc) => !doc.data().deleted_at).map((doc) => doc.id));
+
+  if (!locationId) return [...active];
+
+  const [location, tasks] = await Promise.all([
+    locations.doc(locationId).get(),
+    db.collection('tasks').where('location_id', '==', locationId).get(),
+  ]);
+
+  const linked = new Set(
+    [location.exists ? location.data().user_id : null, ...tasks.docs.map((doc) => doc.data().created_by)]
+      .filter((userId) => active.has(userId))
+  );
+  return linked.size > 0 ? [...linked] : [...active];
+};
@@ -1,15 +1,17 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
+import { publishDoc } from '../config/changeFeed.js';
 const notifications = db.collection('notifications');
 
 /**
  * Creates a new notification document in Firestore
  * @param {string} id - The notification ID
  * @param {Object} data - The notification data
+ * @param {Object} [tx] - Transaction to write in, if any
  * @returns {Promise} - Firestore write result
  */
-export const createNotificationDoc = async (id, data) => {
-  return await notifications.doc(id).set({
+export const createNotificationDoc = async (id, data, tx = null) => {
+  const ref = notifications.doc(id);
+  const fields = {
     notification_id: id,
     user_id: data.user_id,
     title: data.title || '',
@@ -17,21 +19,25 @@ export const createNotificationDoc = async (id, data) => {
     type: data.type || 'general',
     entity_type: data.entity_type || null,
     entity_id: data.entity_id || null,
-    received_at: data.received_at || admin.firestore.FieldValue.serverTimestamp(),
+    received_at: data.received_at || FieldValue.serverTimestamp(),
     read: data.read || 0,
     archived: data.archived || 0,
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp()
-  });
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
 /**
  * Updates an existing notification document in Firestore
  * @param {string} id - The notification ID
  * @param {Object} data - The updated notification data
+ * @param {Object} [tx] - Transaction to write in, if any
  * @returns {Promise} - Firestore write result
  */
-export const updateNotificationDoc = async (id, data) => {
+export const updateNotificationDoc = async (id, data, tx = null) => {
   const updateData = {};
   
   // Only update fields that are provided
@@ -46,9 +52,12 @@ export const updateNotificationDoc = async (id, data) => {
   if (data.archived !== undefined) updateData.archived = data.archived;
   
   // Always update the updated_at timestamp
-  updateData.updated_at = admin.firestore.FieldValue.serverTimestamp();
+  updateData.updated_at = FieldValue.serverTimestamp();
+  updateData.changed_at = FieldValue.serverTimestamp();
+  updateData.version = FieldValue.increment(1);
   
-  return await notifications.doc(id).update(updateData);
+  const ref = notifications.doc(id);
+  return tx ? tx.update(ref, updateData) : await ref.update(updateData);
 };
 
 /**
@@ -59,7 +68,9 @@ export const updateNotificationDoc = async (id, data) => {
 export const markNotificationAsRead = async (id) => {
   return await notifications.doc(id).update({
     read: 1,
-    updated_at: admin.firestore.FieldValue.serverTimestamp()
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
   });
 };
 
@@ -71,7 +82,9 @@ export const markNotificationAsRead = async (id) => {
 export const archiveNotification = async (id) => {
   return await notifications.doc(id).update({
     archived: 1,
-    updated_at: admin.firestore.FieldValue.serverTimestamp()
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
   });
 };
 
@@ -84,6 +97,26 @@ export const deleteNotification = async (id) => {
   return await notifications.doc(id).delete();
 };
 
+/**
+ * Soft-deletes a notification, leaving a tombstone that down-sync hands to devices.
+ * Unlike deleteNotification, the document is kept.
+ * @param {string} id - The notification ID
+ * @param {Object} data - { deleted_by, deleted_at?, updated_at? }
+ * @param {Object} [tx] - Transaction to write in, if any
+ * @returns {Promise} - Firestore write result
+ */
+export const deleteNotificationDoc = async (id, data, tx = null) => {
+  const ref = notifications.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
 /**
  * Gets a notification by ID
  * @param {string} id - The notification ID
@@ -134,11 +167,10 @@ export const getUnreadNotificationsByUserId = async (userId) => {
  * @returns {Promise<Array>} - Array of promises for each notification created
  */
 export const sendNotificationToUsers = async (userIds, notificationData) => {
-  const batch = db.batch();
   const notificationPromises = [];
   
   for (const userId of userIds) {
-    const notificationId = admin.firestore().collection('notifications').doc().id;
+    const notificationId = notifications.doc().id;
     const notificationWithUser = {
       ...notificationData,
       user_id: userId,
@@ -147,6 +179,7 @@ export const sendNotificationToUsers = async (userIds, notificationData) => {
     
     notificationPromises.push(
       createNotificationDoc(notificationId, notificationWithUser)
+        .then(() => publishDoc(notifications.doc(notificationId)))
     );
   }
   
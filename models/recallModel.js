@@ -0,0 +1,50 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const recalls = db.collection('recalls');
+
+/**
+ * Records a recall and what it flagged. Recalls are never edited once recorded.
+ * @param {string} id - Recall id
+ * @param {Object} data - { lot_number, catalog_item_id?, reason?, initiated_by, lot_ids, supply_ids, location_ids, notified_user_ids }
+ * @param {Object} [tx] - Firestore transaction or write batch
+ */
+export const createRecallDoc = async (id, data, tx = null) => {
+  const ref = recalls.doc(id);
+  const fields = {
+    recall_id: id,
+    lot_number: data.lot_number,
+    catalog_item_id: data.catalog_item_id ?? null,
+    item_name: data.item_name ?? null,
+    reason: data.reason ?? null,
+    initiated_by: data.initiated_by,
+    lot_ids: data.lot_ids,
+    supply_ids: data.supply_ids,
+    location_ids: data.location_ids,
+    notified_user_ids: data.notified_user_ids,
+    version: 1,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
+/**
+ * Gets a recall by ID
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const getRecallById = async (id) => {
+  const doc = await recalls.doc(id).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * Lists recalls, optionally for one lot number
+ * @param {Object} [filters] - { lot_number }
+ * @returns {Promise<Object[]>}
+ */
+export const findRecalls = async ({ lot_number } = {}) => {
+  const query = lot_number ? recalls.where('lot_number', '==', lot_number) : recalls;
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => doc.data());
+};
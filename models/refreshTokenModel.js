@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import { db, FieldValue, Timestamp } from '../storage/index.js';
+
+const refreshTokens = db.collection('refresh_tokens');
+const tokenFamilies = db.collection('token_families');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_WRITES_PER_BATCH = 500; // Firestore's limit for one batch
+
+// Only the hash is stored, so a leaked database dump can't be replayed as refresh tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshTokenDoc = (userId, familyId) => ({
+  user_id: userId,
+  family_id: familyId,
+  used_at: null,
+  created_at: FieldValue.serverTimestamp(),
+  expires_at: Timestamp.fromDate(
+    new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  ),
+});
+
+/**
+ * Starts a new session (token family) for a user and issues its first refresh token.
+ * @param {string} userId - The user's uid
+ * @returns {Promise<{familyId: string, refreshToken: string}>}
+ */
+export const createSession = async (userId) => {
+  const familyId = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const batch = db.batch();
+  batch.set(tokenFamilies.doc(familyId), {
+    family_id: familyId,
+    user_id: userId,
+    revoked_at: null,
+    created_at: FieldValue.serverTimestamp(),
+  });
+  batch.set(refreshTokens.doc(hashToken(refreshToken)), newRefreshTokenDoc(userId, familyId));
+  await batch.commit();
+
+  return { familyId, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one in the same family.
+ * Presenting a token that was already rotated means it leaked, so the whole family is revoked.
+ * @param {string} refreshToken - The refresh token sent by the client
+ * @returns {Promise<{userId: string, familyId: string, refreshToken: string}|{error: string}>}
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const tokenRef = refreshTokens.doc(hashToken(refreshToken));
+
+  return await db.runTransaction(async (tx) => {
+    const tokenDoc = await tx.get(tokenRef);
+    if (!tokenDoc.exists) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    const token = tokenDoc.data();
+    const familyRef = tokenFamilies.doc(token.family_id);
+    const familyDoc = await tx.get(familyRef);
+
+    if (!familyDoc.exists || familyDoc.data().revoked_at) {
+      return { error: 'Session has been revoked' };
+    }
+
+    if (token.used_at) {
+      tx.update(familyRef, {
+        revoked_at: FieldValue.serverTimestamp(),
+        revoked_reason: 'refresh_token_reuse',
+      });
+      return { error: 'Refresh token has already been used; session revoked' };
+    }
+
+    if (token.expires_at.toDate() < new Date()) {
+      return { error: 'Refresh token has expired' };
+    }
+
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    tx.update(tokenRef, { used_at: FieldValue.serverTimestamp() });
+    tx.set(refreshTokens.doc(hashToken(nextToken)), newRefreshTokenDoc(token.user_id, token.family_id));
+
+    return { userId: token.user_id, familyId: token.family_id, refreshToken: nextToken };
+  });
+};
+
+export const revokeTokenFamily = async (familyId, reason = 'logout') => {
+  return await tokenFamilies.doc(familyId).update({
+    revoked_at: FieldValue.serverTimestamp(),
+    revoked_reason: reason,
+  });
+};
+
+/**
+ * Revokes every active session for a user.
+ * @param {string} userId - The user's uid
+ * @param {string} reason - Stored on each family for auditing
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessionsForUser = async (userId, reason = 'admin_revoked') => {
+  const snapshot = await tokenFamilies
+    .where('user_id', '==', userId)
+    .where('revoked_at', '==', null)
+    .get();
+
+  for (let start = 0; start < snapshot.size; start += MAX_WRITES_PER_BATCH) {
+    const batch = db.batch();
+    snapshot.docs.slice(start, start + MAX_WRITES_PER_BATCH).forEach((doc) => {
+      batch.update(doc.ref, {
+        revoked_at: FieldValue.serverTimestamp(),
+        revoked_reason: reason,
+      });
+    });
+    await batch.commit();
+  }
+
+  return snapshot.size;
+};
+
+export const isTokenFamilyRevoked = async (familyId) => {
+  const doc = await tokenFamilies.doc(familyId).get();
+  return !doc.exists || Boolean(doc.data().revoked_at);
+};
@@ -1,34 +1,53 @@
-import admin from '../config/firebaseAdmin.js';
-import { FieldValue } from 'firebase-admin/firestore';
+import { db, FieldValue } from '../storage/index.js';
 
-const db = admin.firestore();
 const registrations = db.collection('registrations');
 
-export const createRegistrationDoc = async (id, data) => {
-  return await registrations.doc(id).set({
+export const createRegistrationDoc = async (id, data, tx = null) => {
+  const ref = registrations.doc(id);
+  const fields = {
     registration_id: id,
     user_id: data.user_id,
     person_name: data.person_name,
-    age: data.age,
-    gender: data.gender,
-    location_id: data.location_id,
+    age: data.age ?? null,
+    gender: data.gender ?? null,
+    location_id: data.location_id ?? null,
     timestamp: data.timestamp || FieldValue.serverTimestamp(),
     synced: true,
     sync_status_message: 'Synced successfully',
+    version: 1,
     created_at: data.created_at || FieldValue.serverTimestamp(),
     updated_at: data.updated_at || FieldValue.serverTimestamp(),
-  });
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateRegistrationDoc = async (id, data) => {
-  return await registrations.doc(id).update({
+export const updateRegistrationDoc = async (id, data, tx = null) => {
+  const ref = registrations.doc(id);
+  const fields = {
     person_name: data.person_name,
-    age: data.age,
-    gender: data.gender,
-    location_id: data.location_id,
-    timestamp: data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
+    timestamp: data.timestamp || FieldValue.serverTimestamp(),
     synced: true,
     sync_status_message: data.sync_status_message || 'Updated',
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
-};
\ No newline at end of file
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  // Optional on sync; a device that leaves a field out keeps the stored value, null clears it
+  if (data.age !== undefined) fields.age = data.age ?? null;
+  if (data.gender !== undefined) fields.gender = data.gender ?? null;
+  if (data.location_id !== undefined) fields.location_id = data.location_id ?? null;
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteRegistrationDoc = async (id, data, tx = null) => {
+  const ref = registrations.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
@@ -0,0 +1,62 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const transfers = db.collection('stock_transfers');
+
+/**
+ * Creates a stock transfer, either requested or already dispatched (a device can do both before it syncs).
+ * Later stage fields are filled in by updateStockTransferDoc as the transfer moves through its statuses.
+ * @param {string} id - Transfer id
+ * @param {Object} data - { source_supply_id, source_location_id, destination_location_id, item_name, quantity_requested,
+ *   requested_by, notes?, status?, quantity_dispatched?, dispatched_by?, dispatched_at? }
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const createStockTransferDoc = async (id, data, tx = null) => {
+  const ref = transfers.doc(id);
+  const fields = {
+    transfer_id: id,
+    source_supply_id: data.source_supply_id,
+    source_location_id: data.source_location_id ?? null,
+    destination_location_id: data.destination_location_id,
+    destination_supply_id: data.destination_supply_id ?? null,
+    item_name: data.item_name ?? null,
+    status: data.status || 'requested',
+    quantity_requested: data.quantity_requested,
+    quantity_dispatched: data.quantity_dispatched ?? null,
+    quantity_received: 0,
+    discrepancy: null,
+    discrepancy_note: null,
+    notes: data.notes ?? null,
+    requested_by: data.requested_by,
+    requested_at: FieldValue.serverTimestamp(),
+    dispatched_by: data.dispatched_by ?? null,
+    dispatched_at: data.dispatched_at ?? null,
+    received_by: null,
+    received_at: null,
+    cancelled_by: null,
+    cancelled_at: null,
+    synced: true,
+    version: 1,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
+/**
+ * Applies changes to a stock transfer; only the given fields are written.
+ * @param {string} id - Transfer id
+ * @param {Object} changes - Fields to write (status, quantities, stage fields, notes, ...)
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const updateStockTransferDoc = async (id, changes, tx = null) => {
+  const ref = transfers.doc(id);
+  const fields = {
+    ...changes,
+    synced: true,
+    version: FieldValue.increment(1),
+    updated_at: changes.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
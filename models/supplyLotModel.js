@@ -0,0 +1,98 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const lots = db.collection('supply_lots');
+
+/**
+ * Creates a lot of a supply. catalog_item_id and location_id are copied from the supply so lots can be
+ * found across locations (e.g. for a recall) without reading every supply.
+ * @param {string} id - Lot id
+ * @param {Object} data - { supply_id, catalog_item_id, location_id, lot_number, expiry_date?, quantity?, created_by, updated_at? }
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const createSupplyLotDoc = async (id, data, tx = null) => {
+  const ref = lots.doc(id);
+  const fields = {
+    lot_id: id,
+    supply_id: data.supply_id,
+    catalog_item_id: data.catalog_item_id ?? null,
+    location_id: data.location_id ?? null,
+    lot_number: data.lot_number,
+    expiry_date: data.expiry_date ?? null,
+    quantity: data.quantity ?? 0,
+    status: 'active',
+    recall_id: null,
+    recall_reason: null,
+    recalled_at: null,
+    created_by: data.created_by ?? null,
+    synced: true,
+    version: 1,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
+// quantity only changes through applySupplyLotMovement and status only through recallSupplyLotDoc
+export const updateSupplyLotDoc = async (id, data, tx = null) => {
+  const ref = lots.doc(id);
+  const fields = {
+    lot_number: data.lot_number,
+    expiry_date: data.expiry_date ?? null,
+    synced: true,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Applies a stock movement's signed quantity change to a lot (see applySupplyMovement).
+ * @param {string} id - Lot id
+ * @param {number} quantityChange
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const applySupplyLotMovement = async (id, quantityChange, tx = null) => {
+  const ref = lots.doc(id);
+  const fields = {
+    quantity: FieldValue.increment(quantityChange),
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Flags a lot as recalled.
+ * @param {string} id - Lot id
+ * @param {Object} recall - { recall_id, reason }
+ * @param {Object} [tx] - Firestore transaction or write batch
+ */
+export const recallSupplyLotDoc = async (id, recall, tx = null) => {
+  const ref = lots.doc(id);
+  const fields = {
+    status: 'recalled',
+    recall_id: recall.recall_id,
+    recall_reason: recall.reason ?? null,
+    recalled_at: FieldValue.serverTimestamp(),
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Live lots with a lot number, across all locations.
+ * @param {string} lotNumber
+ * @param {string} [catalogItemId] - Narrows the match to one product
+ * @returns {Promise<Object[]>}
+ */
+export const findLotsByNumber = async (lotNumber, catalogItemId = null) => {
+  const snapshot = await lots.where('lot_number', '==', lotNumber).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter((lot) => !lot.deleted_at && (!catalogItemId || lot.catalog_item_id === catalogItemId));
+};
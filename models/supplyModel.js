@@ -1,36 +1,104 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
 const supplies = db.collection('supplies');
 
-export const createSupplyDoc = async (id, data) => {
-  return await supplies.doc(id).set({
+export const createSupplyDoc = async (id, data, tx = null) => {
+  const ref = supplies.doc(id);
+  const fields = {
     supply_id: id,
     user_id: data.user_id,
     item_name: data.item_name,
-    quantity: data.quantity,
-    expiry_date: data.expiry_date,
-    location_id: data.location_id,
-    timestamp: data.timestamp,
+    quantity: data.quantity ?? 0,
+    expiry_date: data.expiry_date ?? null,
+    location_id: data.location_id ?? null,
+    timestamp: data.timestamp ?? null,
     synced: true,
     status: data.status || 'active',
     barcode: data.barcode !== undefined ? data.barcode : null,
     sku: data.sku !== undefined ? data.sku : null,
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    reorder_threshold: data.reorder_threshold ?? null,
+    catalog_item_id: data.catalog_item_id ?? null,
+    lot_number: data.lot_number ?? null,
+    unit: data.unit ?? null,
+    category: data.category ?? null,
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateSupplyDoc = async (id, data) => {
-  return await supplies.doc(id).update({
+// quantity is left alone: after creation it only changes through applySupplyMovement
+export const updateSupplyDoc = async (id, data, tx = null) => {
+  const ref = supplies.doc(id);
+  const fields = {
     item_name: data.item_name,
-    quantity: data.quantity,
-    expiry_date: data.expiry_date,
-    location_id: data.location_id,
-    timestamp: data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
-    status: data.status || 'active',
+    timestamp: data.timestamp || FieldValue.serverTimestamp(),
     synced: true,
-    barcode: data.barcode !== undefined ? data.barcode : null,
-    sku: data.sku !== undefined ? data.sku : null,
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  // Optional on sync; a device that leaves a field out keeps the stored value, null clears it
+  if (data.expiry_date !== undefined) fields.expiry_date = data.expiry_date ?? null;
+  if (data.location_id !== undefined) fields.location_id = data.location_id ?? null;
+  if (data.status !== undefined) fields.status = data.status || 'active';
+  // Devices that predate the catalog leave these out (the catalog may have filled them), so they are only written
+  // when sent
+  ['barcode', 'sku', 'catalog_item_id', 'lot_number', 'unit', 'category'].forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field] ?? null;
   });
-};
\ No newline at end of file
+  // Left out, the stored threshold keeps the supply monitored; null turns low-stock alerts off
+  if (data.reorder_threshold !== undefined) fields.reorder_threshold = data.reorder_threshold ?? null;
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteSupplyDoc = async (id, data, tx = null) => {
+  const ref = supplies.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Applies a stock movement's signed quantity change to the supply's on-hand quantity.
+ * An increment rather than a read-modify-write, so movements recorded concurrently all count.
+ * @param {string} id - Supply id
+ * @param {number} quantityChange - Signed change (see models/supplyMovementModel.js)
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const applySupplyMovement = async (id, quantityChange, tx = null) => {
+  const ref = supplies.doc(id);
+  const fields = {
+    quantity: FieldValue.increment(quantityChange),
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Flags a single-lot supply (one with a lot_number of its own) as recalled. Kept apart from status,
+ * which devices still sync, so an edit from a device can't clear it.
+ * @param {string} id - Supply id
+ * @param {Object} recall - { recall_id, reason }
+ * @param {Object} [tx] - Firestore transaction or write batch
+ */
+export const recallSupplyDoc = async (id, recall, tx = null) => {
+  const ref = supplies.doc(id);
+  const fields = {
+    recall_id: recall.recall_id,
+    recall_reason: recall.reason ?? null,
+    recalled_at: FieldValue.serverTimestamp(),
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
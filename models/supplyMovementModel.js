@@ -0,0 +1,50 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const movements = db.collection('supply_movements');
+
+// Types that take stock away; 'transferred' depends on its direction and 'adjusted' carries its own sign
+const OUTGOING_TYPES = ['dispensed', 'wasted'];
+
+/**
+ * The signed change a movement makes to its supply's quantity.
+ * @param {Object} data - { type, quantity, direction? }
+ * @returns {number}
+ */
+export const quantityChangeFor = ({ type, quantity, direction }) => {
+  if (type === 'adjusted') return quantity;
+  if (type === 'transferred') return direction === 'in' ? quantity : -quantity;
+  return OUTGOING_TYPES.includes(type) ? -quantity : quantity;
+};
+
+/**
+ * Appends a movement to the stock ledger. Movements are never updated or deleted;
+ * a mistake is corrected by recording an 'adjusted' movement.
+ * @param {string} id - Movement id, generated by the device so retries don't record it twice
+ * @param {Object} data - { supply_id, lot_id?, lot_number?, user_id, type, quantity, direction?, reason?, location_id?, occurred_at? }
+ * @param {Object} [tx] - Firestore transaction
+ */
+export const createSupplyMovementDoc = async (id, data, tx = null) => {
+  const ref = movements.doc(id);
+  const fields = {
+    movement_id: id,
+    supply_id: data.supply_id,
+    lot_id: data.lot_id ?? null,
+    lot_number: data.lot_number ?? null,
+    user_id: data.user_id,
+    type: data.type,
+    quantity: data.quantity,
+    quantity_change: quantityChangeFor(data),
+    direction: data.type === 'transferred' ? data.direction : null,
+    reason: data.reason ?? null,
+    location_id: data.location_id ?? null,
+    occurred_at: data.occurred_at || data.updated_at || FieldValue.serverTimestamp(),
+    synced: true,
+    version: 1,
+    created_at: FieldValue.serverTimestamp(),
+    // Server time, not the device's: a movement synced days late must still sort after other devices' cursors
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
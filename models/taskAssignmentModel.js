@@ -1,27 +1,92 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
 const assignments = db.collection('task_assignments');
 
-export const createTaskAssignmentDoc = async (id, data) => {
-  return await assignments.doc(id).set({
+// When an assignment entered each working status
+const STATUS_STAMPS = { accepted: 'accepted_at', in_progress: 'started_at', declined: 'declined_at', completed: 'completed_at' };
+
+export const createTaskAssignmentDoc = async (id, data, tx = null) => {
+  const ref = assignments.doc(id);
+  const fields = {
     assignment_id: id,
     task_id: data.task_id,
     user_id: data.user_id,
-    assigned_at: data.assigned_at,
+    assigned_at: data.assigned_at ?? null, // Escalations fall back to created_at without it
     status: data.status || 'assigned',
     feedback: data.feedback || '',
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    assigned_by: data.assigned_by ?? null, // Hears about accepts, declines and completions
+    status_reason: data.status_reason ?? null,
+    evidence: data.evidence ?? null,
+    reassigned_from: data.reassigned_from ?? null, // The declined or timed-out assignment this one replaces
+    reassigned_to: null,
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateTaskAssignmentDoc = async (id, data) => {
-  return await assignments.doc(id).update({
+export const updateTaskAssignmentDoc = async (id, data, tx = null) => {
+  const ref = assignments.doc(id);
+  const fields = {
     task_id: data.task_id,
     user_id: data.user_id,
-    assigned_at: data.assigned_at,
     status: data.status || 'assigned',
     feedback: data.feedback || '',
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
-};
\ No newline at end of file
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  if (data.assigned_at !== undefined) fields.assigned_at = data.assigned_at ?? null;
+  if (data.status_reason !== undefined) fields.status_reason = data.status_reason ?? null;
+  if (data.evidence !== undefined) fields.evidence = data.evidence ?? null;
+  // Set by the callers only when the status moves; null for changes the server makes itself (timeouts)
+  if (data.status_changed_by !== undefined) {
+    if (STATUS_STAMPS[fields.status]) fields[STATUS_STAMPS[fields.status]] = FieldValue.serverTimestamp();
+    fields.status_changed_by = data.status_changed_by;
+  }
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteTaskAssignmentDoc = async (id, data, tx = null) => {
+  const ref = assignments.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+// Assignments still expected to work on their task
+export const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'accepted', 'in_progress'];
+
+/**
+ * Whether a user holds a live, active assignment on a task
+ * @param {string} taskId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export const isActiveAssignee = async (taskId, userId) => {
+  const snapshot = await assignments.where('task_id', '==', taskId).where('user_id', '==', userId).get();
+  return snapshot.docs.some((doc) => !doc.data().deleted_at && ACTIVE_ASSIGNMENT_STATUSES.includes(doc.data().status));
+};
+
+/**
+ * Points a declined assignment at the one that replaced it
+ * @param {string} id - The declined assignment
+ * @param {string} replacementId
+ * @param {Object} [tx] - Transaction to write in, if any
+ */
+export const linkReassignment = async (id, replacementId, tx = null) => {
+  const ref = assignments.doc(id);
+  const fields = {
+    reassigned_to: replacementId,
+    version: FieldValue.increment(1),
+    updated_at: FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
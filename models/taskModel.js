@@ -1,29 +1,67 @@
-import admin from '../config/firebaseAdmin.js';
-const db = admin.firestore();
+import { db, FieldValue } from '../storage/index.js';
 const tasks = db.collection('tasks');
 
-export const createTaskDoc = async (id, data) => {
-  return await tasks.doc(id).set({
+export const createTaskDoc = async (id, data, tx = null) => {
+  const ref = tasks.doc(id);
+  const fields = {
     task_id: id,
     title: data.title,
     description: data.description || '',
     status: data.status || 'pending',
     priority: data.priority || 'normal',
     created_by: data.created_by,
-    due_date: data.due_date,
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    location_id: data.location_id ?? null,
+    due_date: data.due_date ?? null,
+    template_id: data.template_id ?? null, // Set on tasks generated from a recurring template
+    checklist: data.checklist ?? [],
+    blocked_by: data.blocked_by ?? [],
+    status_timestamps: { [data.status || 'pending']: FieldValue.serverTimestamp() },
+    status_changed_at: FieldValue.serverTimestamp(),
+    status_changed_by: data.created_by ?? null,
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
 
-export const updateTaskDoc = async (id, data) => {
-  return await tasks.doc(id).update({
+export const updateTaskDoc = async (id, data, tx = null) => {
+  const ref = tasks.doc(id);
+  const fields = {
     title: data.title,
-    description: data.description || '',
     status: data.status || 'pending',
-    priority: data.priority || 'normal',
-    due_date: data.due_date,
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
-};
\ No newline at end of file
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  // Field workers may send only the status (see checkSyncWriteAccess), so the content is only written when sent
+  if (data.description !== undefined) fields.description = data.description || '';
+  if (data.priority !== undefined) fields.priority = data.priority || 'normal';
+  if (data.location_id !== undefined) fields.location_id = data.location_id ?? null;
+  // Optional on sync; a device that leaves the due date out keeps the stored one, null clears it
+  if (data.due_date !== undefined) fields.due_date = data.due_date ?? null;
+  // Devices that predate checklists and dependencies leave them out, so they are only written when sent
+  if (data.checklist !== undefined) fields.checklist = data.checklist ?? [];
+  if (data.blocked_by !== undefined) fields.blocked_by = data.blocked_by ?? [];
+  // Set by the sync controller only when the status moves (see config/taskLifecycle.js)
+  if (data.status_changed_by) {
+    fields[`status_timestamps.${fields.status}`] = FieldValue.serverTimestamp();
+    fields.status_changed_at = FieldValue.serverTimestamp();
+    fields.status_changed_by = data.status_changed_by;
+  }
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteTaskDoc = async (id, data, tx = null) => {
+  const ref = tasks.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
@@ -0,0 +1,63 @@
+import { db, FieldValue } from '../storage/index.js';
+
+const templates = db.collection('task_templates');
+
+const templateFields = (data) => ({
+  title: data.title,
+  description: data.description || '',
+  priority: data.priority || 'normal',
+  location_id: data.location_id ?? null,
+  recurrence: data.recurrence,
+  starts_at: data.starts_at,
+  assignee_ids: data.assignee_ids ?? [],
+  active: data.active ?? true,
+});
+
+export const createTaskTemplateDoc = async (id, data, tx = null) => {
+  const ref = templates.doc(id);
+  const fields = {
+    template_id: id,
+    ...templateFields(data),
+    created_by: data.created_by,
+    generated_through: null,
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
+};
+
+// generated_through is left alone: edits apply to occurrences the scheduler hasn't generated yet
+export const updateTaskTemplateDoc = async (id, data, tx = null) => {
+  const ref = templates.doc(id);
+  const fields = {
+    ...templateFields(data),
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+export const deleteTaskTemplateDoc = async (id, data, tx = null) => {
+  const ref = templates.doc(id);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
+
+/**
+ * Records how far the scheduler has generated a template's tasks. Bookkeeping only, so the version is
+ * left alone and devices editing the template don't see a conflict; the next pull still hands it out.
+ * @param {string} id - Template id
+ * @param {string} through - ISO date of the generation horizon
+ */
+export const markTemplateGeneratedThrough = async (id, through) => {
+  await templates.doc(id).update({ generated_through: through, changed_at: FieldValue.serverTimestamp() });
+};
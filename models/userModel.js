@@ -1,8 +1,7 @@
 // In ../../models/userModel.js
-import admin from '../config/firebaseAdmin.js';
+import { db, FieldValue } from '../storage/index.js';
 import bcrypt from 'bcryptjs'; // You'll need to install this: npm install bcryptjs
 
-const db = admin.firestore();
 const usersCollection = db.collection('users');
 
 // A function to hash password (or put directly in create/update)
@@ -11,37 +10,59 @@ async function hashPassword(password) {
   return await bcrypt.hash(password, salt); // Hash the password with the salt
 }
 
-export const createUserDoc = async (uid, data) => {
+export const createUserDoc = async (uid, data, tx = null) => {
   const passwordHash = data.password ? await hashPassword(data.password) : null;
 
-  return await usersCollection.doc(uid).set({
+  const ref = usersCollection.doc(uid);
+  const fields = {
     user_id: uid,
     name: data.name,
     email: data.email,
     password: passwordHash, // <--- STORE THE HASHED PASSWORD
     phone_number: data.phone_number || null,
     image_url: data.image_url || null,
+    location_id: data.location_id ?? null,
     role: data.role,
     reset_token: null,
     token_expire: null,
-    created_at: data.created_at || admin.firestore.FieldValue.serverTimestamp(),
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
-  });
+    version: 1,
+    created_at: data.created_at || FieldValue.serverTimestamp(),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.set(ref, fields) : await ref.set(fields);
 };
 
-export const updateUserDoc = async (uid, data) => {
+export const updateUserDoc = async (uid, data, tx = null) => {
   const updateFields = {
     name: data.name,
     email: data.email,
     role: data.role,
     phone_number: data.phone_number || null,
     image_url: data.image_url || null,
-    updated_at: data.updated_at || admin.firestore.FieldValue.serverTimestamp(),
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
   };
 
+  if (data.location_id !== undefined) updateFields.location_id = data.location_id ?? null;
+
   if (data.password !== undefined && data.password !== null && data.password !== '') {
     updateFields.password = await hashPassword(data.password); // <--- HASH BEFORE UPDATING
   }
   
-  return await usersCollection.doc(uid).update(updateFields);
-};
\ No newline at end of file
+  const ref = usersCollection.doc(uid);
+  return tx ? tx.update(ref, updateFields) : await ref.update(updateFields);
+};
+
+export const deleteUserDoc = async (uid, data, tx = null) => {
+  const ref = usersCollection.doc(uid);
+  const fields = {
+    deleted_at: data.deleted_at || data.updated_at || FieldValue.serverTimestamp(),
+    deleted_by: data.deleted_by || null,
+    version: FieldValue.increment(1),
+    updated_at: data.updated_at || FieldValue.serverTimestamp(),
+    changed_at: FieldValue.serverTimestamp(),
+  };
+  return tx ? tx.update(ref, fields) : await ref.update(fields);
+};
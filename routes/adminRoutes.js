@@ -0,0 +1,48 @@
+// routes/adminRoutes.js
+import express from 'express';
+import { revokeUserSessions, setUserRole } from '../controllers/authController.js';
+import {
+  listConflicts,
+  getConflict,
+  resolveConflict,
+  dismissConflict,
+} from '../controllers/conflictController.js';
+import { listStaleDevices } from '../controllers/deviceController.js';
+import {
+  runSupplyMonitorJob,
+  runTaskSchedulerJob,
+  runTaskEscalationJob,
+  runChangeBackfillJob,
+  runUniqueKeyBackfillJob,
+} from '../controllers/jobController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authorizeRoles } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// 🔐 Admin only
+router.use(authenticateToken, authorizeRoles('admin'));
+
+// Sessions and roles
+router.post('/users/:userId/revoke-sessions', revokeUserSessions);
+router.put('/users/:userId/role', setUserRole);
+
+// Sync conflict review queue
+router.get('/conflicts', listConflicts);
+router.get('/conflicts/:conflictId', getConflict);
+router.post('/conflicts/:conflictId/resolve', resolveConflict);
+router.post('/conflicts/:conflictId/dismiss', dismissConflict);
+
+// Devices that stopped syncing
+router.get('/devices/stale', listStaleDevices);
+
+// Scheduled jobs, run on demand
+router.post('/jobs/supply-monitor/run', runSupplyMonitorJob);
+router.post('/jobs/task-scheduler/run', runTaskSchedulerJob);
+router.post('/jobs/task-escalation/run', runTaskEscalationJob);
+
+// One-off upgrade steps
+router.post('/jobs/change-backfill/run', runChangeBackfillJob);
+router.post('/jobs/unique-key-backfill/run', runUniqueKeyBackfillJob);
+
+export default router;
@@ -0,0 +1,15 @@
+// routes/assignmentRoutes.js
+import express from 'express';
+import { acceptAssignment, declineAssignment, completeAssignment } from '../controllers/assignmentController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// 🔐 The controller checks that the caller is the assignee, an admin or a coordinator
+router.use(authenticateToken);
+
+router.post('/:assignmentId/accept', acceptAssignment);
+router.post('/:assignmentId/decline', declineAssignment);
+router.post('/:assignmentId/complete', completeAssignment);
+
+export default router;
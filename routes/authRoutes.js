@@ -2,15 +2,20 @@ import express from 'express';
 import {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
   forgotPassword,
   verifyOtp,
   resetPassword,
 } from '../controllers/authController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/token/refresh', refreshAccessToken);
+router.post('/logout', authenticateToken, logoutUser);
 router.post('/forgot-password', forgotPassword);
 router.post('/verify-otp', verifyOtp);       // ✅ just OTP check
 router.post('/reset-password', resetPassword); // ✅ actual password reset
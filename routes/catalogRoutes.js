@@ -0,0 +1,13 @@
+// routes/catalogRoutes.js
+import express from 'express';
+import { lookupCatalogItem } from '../controllers/catalogController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// 🔐 Every catalog route requires a valid JWT
+router.use(authenticateToken);
+
+router.get('/lookup', lookupCatalogItem);
+
+export default router;
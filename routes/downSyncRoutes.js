@@ -8,22 +8,41 @@ import {
     getAllTasksForUser,
     getTaskAssignmentsForUser,
     getAllSupplies,
+    getSupplyMovements,
+    getSupplyLots,
+    getStockTransfers,
+    getCatalogItems,
+    getTaskTemplates,
     getRegisteredPatientsForUser,
     getAllFieldworkers
 } from '../controllers/downSyncController.js'; 
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authorizeRoles, authorizeSelfOrRoles } from '../middleware/roleMiddleware.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+import { trackDevice } from '../middleware/deviceTracking.js';
 
 const router = express.Router();
 
+// 🔐 Every down-sync route requires a valid JWT
+router.use(authenticateToken);
+
 // user-specific data
-router.get('/users/field-workers', getAllFieldworkers);
+router.get('/users/field-workers', authorizeRoles(...MANAGER_ROLES), trackDevice('pull'), getAllFieldworkers);
 
-router.get('/users/:userId', getUserDataById);
-router.get('/tasks/created-by/:userId', getAllTasksForUser);
-router.get('/task-assignments/by-user/:userId', getTaskAssignmentsForUser);
-router.get('/registrations/by-user/:userId', getRegisteredPatientsForUser); // 
+// Field workers and volunteers may only pull their own data; admins and coordinators may pull anyone's
+// (trackDevice keeps the next_cursor each pull handed to the device, per entity)
+router.get('/users/:userId', authorizeSelfOrRoles(...MANAGER_ROLES), trackDevice('pull', 'user'), getUserDataById);
+router.get('/tasks/created-by/:userId', authorizeSelfOrRoles(...MANAGER_ROLES), trackDevice('pull', 'task'), getAllTasksForUser);
+router.get('/task-assignments/by-user/:userId', authorizeSelfOrRoles(...MANAGER_ROLES), trackDevice('pull', 'task-assignment'), getTaskAssignmentsForUser);
+router.get('/task-templates', authorizeRoles(...MANAGER_ROLES), trackDevice('pull', 'task-template'), getTaskTemplates);
+router.get('/registrations/by-user/:userId', authorizeSelfOrRoles(...MANAGER_ROLES), trackDevice('pull', 'registration'), getRegisteredPatientsForUser); // 
 
 // comman data 
-router.get('/locations', getAllLocations);
-router.get('/supplies', getAllSupplies);
+router.get('/locations', trackDevice('pull', 'location'), getAllLocations);
+router.get('/supplies', trackDevice('pull', 'supply'), getAllSupplies);
+router.get('/supply-movements', trackDevice('pull', 'supply-movement'), getSupplyMovements);
+router.get('/supply-lots', trackDevice('pull', 'supply-lot'), getSupplyLots);
+router.get('/stock-transfers', trackDevice('pull', 'stock-transfer'), getStockTransfers);
+router.get('/catalog-items', trackDevice('pull', 'catalog-item'), getCatalogItems);
 
 export default router;
\ No newline at end of file
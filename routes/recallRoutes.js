@@ -0,0 +1,17 @@
+// routes/recallRoutes.js
+import express from 'express';
+import { createRecall, listRecalls, getRecall } from '../controllers/recallController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authorizeRoles } from '../middleware/roleMiddleware.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+
+const router = express.Router();
+
+// 🔐 Admins and coordinators only
+router.use(authenticateToken, authorizeRoles(...MANAGER_ROLES));
+
+router.post('/', createRecall);
+router.get('/', listRecalls);
+router.get('/:recallId', getRecall);
+
+export default router;
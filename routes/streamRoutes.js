@@ -0,0 +1,11 @@
+// routes/streamRoutes.js
+import express from 'express';
+import { streamChanges } from '../controllers/streamController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// 🔐 Server-sent change events for the authenticated device
+router.get('/', authenticateToken, streamChanges);
+
+export default router;
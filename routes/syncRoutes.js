@@ -4,42 +4,79 @@ import {
   syncUserFromClient,
   syncRegistrationFromClient,
   syncSupplyFromClient,
+  syncSupplyMovementFromClient,
+  syncSupplyLotFromClient,
+  syncStockTransferFromClient,
+  syncCatalogItemFromClient,
   syncTaskFromClient,
   syncTaskAssignmentFromClient,
+  syncTaskTemplateFromClient,
   syncLocationFromClient,
   syncAlertFromClient,
   syncNotificationFromClient,
   resolveUserSyncConflict,
   resolveRegistrationSyncConflict,
   resolveSupplySyncConflict,
+  resolveCatalogItemSyncConflict,
   resolveTaskSyncConflict,
   resolveTaskAssignmentSyncConflict,
+  resolveTaskTemplateSyncConflict,
   resolveLocationSyncConflict,
   resolveAlertSyncConflict,
   resolveNotificationSyncConflict,
+  syncBatchFromClient,
 } from '../controllers/sync/syncController.js'; 
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authorizeSyncWrite } from '../middleware/roleMiddleware.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { conflictLog } from '../middleware/conflictLogMiddleware.js';
+import { trackDevice } from '../middleware/deviceTracking.js';
+import { registerDevice, getDeviceSyncStatus } from '../controllers/deviceController.js';
 
 const router = express.Router();
 
-// Define all routes here
-router.post('/user', syncUserFromClient);
-router.post('/registration', syncRegistrationFromClient);
-router.post('/supply', syncSupplyFromClient);
-router.post('/task', syncTaskFromClient);
-router.post('/task-assignment', syncTaskAssignmentFromClient);
-router.post('/location', syncLocationFromClient);
-router.post('/alert', syncAlertFromClient);
-router.post('/notification', syncNotificationFromClient);
+// 🔐 Every sync route requires a valid JWT
+router.use(authenticateToken);
+
+// Devices register once, then identify themselves on sync calls with X-Device-Id
+router.post('/devices', registerDevice);
+router.get('/status/:deviceId', getDeviceSyncStatus);
+
+// Records last seen / last push per entity for registered devices
+router.use(trackDevice('push'));
+
+// Retries carrying the same Idempotency-Key get the original response replayed
+router.use(idempotency);
+
+// Define all routes here (conflictLog records 409s for the admin review queue)
+router.post('/user', authorizeSyncWrite('user'), conflictLog('user'), syncUserFromClient);
+router.post('/registration', authorizeSyncWrite('registration'), conflictLog('registration'), syncRegistrationFromClient);
+router.post('/supply', authorizeSyncWrite('supply'), conflictLog('supply'), syncSupplyFromClient);
+router.post('/supply-movement', authorizeSyncWrite('supply-movement'), conflictLog('supply-movement'), syncSupplyMovementFromClient);
+router.post('/supply-lot', authorizeSyncWrite('supply-lot'), conflictLog('supply-lot'), syncSupplyLotFromClient);
+router.post('/stock-transfer', authorizeSyncWrite('stock-transfer'), conflictLog('stock-transfer'), syncStockTransferFromClient);
+router.post('/catalog-item', authorizeSyncWrite('catalog-item'), conflictLog('catalog-item'), syncCatalogItemFromClient);
+router.post('/task', authorizeSyncWrite('task'), conflictLog('task'), syncTaskFromClient);
+router.post('/task-assignment', authorizeSyncWrite('task-assignment'), conflictLog('task-assignment'), syncTaskAssignmentFromClient);
+router.post('/task-template', authorizeSyncWrite('task-template'), conflictLog('task-template'), syncTaskTemplateFromClient);
+router.post('/location', authorizeSyncWrite('location'), conflictLog('location'), syncLocationFromClient);
+router.post('/alert', authorizeSyncWrite('alert'), conflictLog('alert'), syncAlertFromClient);
+router.post('/notification', authorizeSyncWrite('notification'), conflictLog('notification'), syncNotificationFromClient);
+
+// Mixed outbox of operations across all entity types in one round trip (authorized per operation)
+router.post('/batch', syncBatchFromClient);
 
 // Conflict resolution endpoints
-router.post('/user/resolve-conflict', resolveUserSyncConflict);
-router.post('/registration/resolve-conflict', resolveRegistrationSyncConflict);
-router.post('/supply/resolve-conflict', resolveSupplySyncConflict);
-router.post('/task/resolve-conflict', resolveTaskSyncConflict);
-router.post('/task-assignment/resolve-conflict', resolveTaskAssignmentSyncConflict);
-router.post('/location/resolve-conflict', resolveLocationSyncConflict);
-router.post('/alert/resolve-conflict', resolveAlertSyncConflict);
-router.post('/notification/resolve-conflict', resolveNotificationSyncConflict);
+router.post('/user/resolve-conflict', authorizeSyncWrite('user'), conflictLog('user', 'resolve-conflict'), resolveUserSyncConflict);
+router.post('/registration/resolve-conflict', authorizeSyncWrite('registration'), conflictLog('registration', 'resolve-conflict'), resolveRegistrationSyncConflict);
+router.post('/supply/resolve-conflict', authorizeSyncWrite('supply'), conflictLog('supply', 'resolve-conflict'), resolveSupplySyncConflict);
+router.post('/catalog-item/resolve-conflict', authorizeSyncWrite('catalog-item'), conflictLog('catalog-item', 'resolve-conflict'), resolveCatalogItemSyncConflict);
+router.post('/task/resolve-conflict', authorizeSyncWrite('task'), conflictLog('task', 'resolve-conflict'), resolveTaskSyncConflict);
+router.post('/task-assignment/resolve-conflict', authorizeSyncWrite('task-assignment'), conflictLog('task-assignment', 'resolve-conflict'), resolveTaskAssignmentSyncConflict);
+router.post('/task-template/resolve-conflict', authorizeSyncWrite('task-template'), conflictLog('task-template', 'resolve-conflict'), resolveTaskTemplateSyncConflict);
+router.post('/location/resolve-conflict', authorizeSyncWrite('location'), conflictLog('location', 'resolve-conflict'), resolveLocationSyncConflict);
+router.post('/alert/resolve-conflict', authorizeSyncWrite('alert'), conflictLog('alert', 'resolve-conflict'), resolveAlertSyncConflict);
+router.post('/notification/resolve-conflict', authorizeSyncWrite('notification'), conflictLog('notification', 'resolve-conflict'), resolveNotificationSyncConflict);
 
 
 // down
@@ -0,0 +1,15 @@
+// routes/taskRoutes.js
+import express from 'express';
+import { autoAssignTask } from '../controllers/taskController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { authorizeRoles } from '../middleware/roleMiddleware.js';
+import { MANAGER_ROLES } from '../config/accessPolicy.js';
+
+const router = express.Router();
+
+// 🔐 Admins and coordinators only
+router.use(authenticateToken, authorizeRoles(...MANAGER_ROLES));
+
+router.post('/:taskId/auto-assign', autoAssignTask);
+
+export default router;
@@ -0,0 +1,24 @@
+// storage/firestoreStore.js
+// Production backend: Cloud Firestore and Firebase Auth through firebase-admin.
+import axios from 'axios';
+import admin from '../config/firebaseAdmin.js';
+
+const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
+
+export const db = admin.firestore();
+export const auth = admin.auth();
+export const { FieldValue, FieldPath, Timestamp } = admin.firestore;
+
+/**
+ * Verifies an email/password pair against Firebase Auth and returns the user's uid.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const signInWithPassword = async (email, password) => {
+  const firebaseRes = await axios.post(
+    `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`,
+    { email, password, returnSecureToken: true }
+  );
+  return firebaseRes.data.localId;
+};
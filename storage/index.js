@@ -0,0 +1,23 @@
+// storage/index.js
+// Single entry point for persistence. Models, controllers and middleware import db/auth from here
+// instead of calling admin.firestore()/admin.auth() directly, so the backend is chosen by config:
+//   STORAGE_DRIVER=firestore (default) - Cloud Firestore + Firebase Auth, needs FIREBASE_* credentials
+//   STORAGE_DRIVER=memory              - in-process store, no network or credentials (local dev, CI)
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const drivers = {
+  firestore: () => import('./firestoreStore.js'),
+  memory: () => import('./memoryStore.js'),
+};
+
+export const storageDriver = process.env.STORAGE_DRIVER || 'firestore';
+
+if (!drivers[storageDriver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${storageDriver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+const store = await drivers[storageDriver]();
+
+export const { db, auth, FieldValue, FieldPath, Timestamp, signInWithPassword } = store;
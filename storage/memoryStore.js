@@ -0,0 +1,690 @@
+// storage/memoryStore.js
+// In-process implementation of the subset of the Firestore Admin API this server uses:
+// collections, documents, queries, batches, transactions, FieldValue sentinels and Timestamps.
+// Data lives only as long as the process, which is what local development and CI want.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+const INVALID_ARGUMENT = 3;
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const ABORTED = 10;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const MAX_WRITES_PER_COMMIT = 500; // Firestore rejects larger batches and transactions, so this store does too
+const MIN_SECONDS = -62135596800; // 0001-01-01T00:00:00Z, the earliest Firestore timestamp
+
+const storeError = (code, message) => Object.assign(new Error(message), { code });
+
+// ---------------------------------------------------------------------------
+// Timestamp / FieldValue
+// ---------------------------------------------------------------------------
+
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, Math.round((millis - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+
+  // Same encoding as firebase-admin: comparable with < and >, but not a number
+  valueOf() {
+    const adjustedSeconds = this.seconds - MIN_SECONDS;
+    return `${String(adjustedSeconds).padStart(12, '0')}.${String(this.nanoseconds).padStart(9, '0')}`;
+  }
+
+  // Same wire shape as firebase-admin Timestamps
+  toJSON() {
+    return { _seconds: this.seconds, _nanoseconds: this.nanoseconds };
+  }
+}
+
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+export const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  delete: () => new FieldValueSentinel('delete'),
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+};
+
+export const FieldPath = {
+  documentId: () => '__name__',
+};
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep copy that keeps Timestamps and converts Dates, mirroring what Firestore stores
+const cloneValue = (value, path = '') => {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value${path ? ` (found in field "${path}")` : ''}.`);
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp || value instanceof FieldValueSentinel) return value;
+  if (Array.isArray(value)) return value.map((item, i) => cloneValue(item, `${path}.${i}`));
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      copy[key] = cloneValue(inner, path ? `${path}.${key}` : key);
+    }
+    return copy;
+  }
+  return value;
+};
+
+const copyOut = (value) => {
+  if (Array.isArray(value)) return value.map(copyOut);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) copy[key] = copyOut(inner);
+    return copy;
+  }
+  return value;
+};
+
+const valuesEqual = (a, b) => {
+  if (a instanceof Timestamp || b instanceof Timestamp) {
+    return a instanceof Timestamp && a.isEqual(b);
+  }
+  if (Array.isArray(a) || isPlainObject(a)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+// Firestore's cross-type ordering: null < boolean < number < timestamp < string < array < map
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+const compareValues = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === null) return 0;
+  if (a instanceof Timestamp) return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+  if (typeof a === 'string' || typeof a === 'number' || typeof a === 'boolean') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+};
+
+const getField = (data, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const deleteField = (data, fieldPath) => {
+  const keys = fieldPath.split('.');
+  const parent = keys.length > 1 ? getField(data, keys.slice(0, -1).join('.')) : data;
+  if (isPlainObject(parent)) delete parent[keys[keys.length - 1]];
+};
+
+// Applies sentinels against the current value of a field; serverTimestamp() is the write's commit time
+const resolveSentinel = (sentinel, current, commitTime) => {
+  switch (sentinel.kind) {
+    case 'serverTimestamp':
+      return commitTime;
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + sentinel.operand;
+    case 'arrayUnion': {
+      const base = Array.isArray(current) ? [...current] : [];
+      for (const element of sentinel.operand) {
+        if (!base.some((item) => valuesEqual(item, element))) base.push(element);
+      }
+      return base;
+    }
+    case 'arrayRemove': {
+      const base = Array.isArray(current) ? current : [];
+      return base.filter((item) => !sentinel.operand.some((element) => valuesEqual(item, element)));
+    }
+    default:
+      throw new Error(`Unsupported FieldValue: ${sentinel.kind}`);
+  }
+};
+
+// Walks a (cloned) write payload and applies sentinels relative to the existing document
+const applyFields = (target, fields, commitTime, prefix = '') => {
+  for (const [key, value] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value instanceof FieldValueSentinel) {
+      if (value.kind === 'delete') deleteField(target, path);
+      else setField(target, path, resolveSentinel(value, getField(target, path), commitTime));
+    } else if (isPlainObject(value) && prefix !== null) {
+      setField(target, path, isPlainObject(getField(target, path)) ? getField(target, path) : {});
+      applyFields(target, value, commitTime, path);
+    } else if (isPlainObject(value)) {
+      // update() replaces a map value wholesale, but sentinels inside it still resolve
+      const replacement = {};
+      applyFields(replacement, value, commitTime);
+      setField(target, path, replacement);
+    } else {
+      setField(target, path, value);
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+
+class DocumentSnapshot {
+  constructor(ref, stored) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = Boolean(stored);
+    this._data = stored ? stored.data : undefined;
+    this.createTime = stored ? stored.createTime : undefined;
+    this.updateTime = stored ? stored.updateTime : undefined;
+  }
+
+  data() {
+    return this.exists ? copyOut(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? copyOut(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Store, references and queries
+// ---------------------------------------------------------------------------
+
+const matchesFilter = (snapshot, { field, op, value }) => {
+  const actual = field === '__name__' ? snapshot.id : getField(snapshot._data, field);
+
+  switch (op) {
+    case '==':
+      return actual !== undefined && valuesEqual(actual, value);
+    case '!=':
+      return actual !== undefined && actual !== null && !valuesEqual(actual, value);
+    case '<':
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) < 0;
+    case '<=':
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) <= 0;
+    case '>':
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) > 0;
+    case '>=':
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) >= 0;
+    case 'in':
+      return actual !== undefined && value.some((candidate) => valuesEqual(actual, candidate));
+    case 'not-in':
+      return actual !== undefined && actual !== null && !value.some((candidate) => valuesEqual(actual, candidate));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some((item) => valuesEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some((item) => value.some((candidate) => valuesEqual(item, candidate)));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+class Query {
+  constructor(store, collectionPath, { filters = [], orders = [], limitCount = null, cursor = null } = {}) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+    this._cursor = cursor;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limitCount: this._limit,
+      cursor: this._cursor,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limitCount: count });
+  }
+
+  startAfter(...values) {
+    return this._with({ cursor: values });
+  }
+
+  _run() {
+    const collection = this._store._collection(this._collectionPath);
+    let snapshots = [...collection.entries()].map(
+      ([id, stored]) => new DocumentSnapshot(new DocumentReference(this._store, this._collectionPath, id), stored)
+    );
+
+    snapshots = snapshots.filter((snapshot) => this._filters.every((filter) => matchesFilter(snapshot, filter)));
+
+    // Like Firestore, documents missing an orderBy field are excluded
+    const orders = this._orders.length ? this._orders : [{ field: '__name__', direction: 'asc' }];
+    const valueFor = (snapshot, field) => (field === '__name__' ? snapshot.id : getField(snapshot._data, field));
+    snapshots = snapshots.filter((snapshot) => orders.every(({ field }) => valueFor(snapshot, field) !== undefined));
+
+    const compareSnapshots = (a, b) => {
+      for (const { field, direction } of orders) {
+        const diff = compareValues(valueFor(a, field), valueFor(b, field));
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+    snapshots.sort(compareSnapshots);
+
+    if (this._cursor) {
+      const cursorValues = this._cursor[0] instanceof DocumentSnapshot
+        ? orders.map(({ field }) => valueFor(this._cursor[0], field))
+        : this._cursor;
+      snapshots = snapshots.filter((snapshot) => {
+        for (const [i, { field, direction }] of orders.slice(0, cursorValues.length).entries()) {
+          const diff = compareValues(valueFor(snapshot, field), cursorValues[i]);
+          if (diff !== 0) return direction === 'desc' ? diff < 0 : diff > 0;
+        }
+        return false;
+      });
+    }
+
+    if (this._limit !== null) snapshots = snapshots.slice(0, this._limit);
+    return new QuerySnapshot(snapshots);
+  }
+
+  async get() {
+    return this._run();
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = this._run();
+        return { data: () => ({ count: size }) };
+      },
+    };
+  }
+}
+
+class DocumentReference {
+  constructor(store, collectionPath, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this._collectionPath);
+  }
+
+  _snapshot() {
+    return new DocumentSnapshot(this, this._store._collection(this._collectionPath).get(this.id));
+  }
+
+  async get() {
+    return this._snapshot();
+  }
+
+  async set(data, options) {
+    this._store._applyWrites([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async create(data) {
+    this._store._applyWrites([{ type: 'create', ref: this, data }]);
+  }
+
+  async update(data) {
+    this._store._applyWrites([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this._store._applyWrites([{ type: 'delete', ref: this }]);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.id = path;
+    this.path = path;
+  }
+
+  doc(id = crypto.randomBytes(15).toString('base64url').slice(0, 20)) {
+    return new DocumentReference(this._store, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this._store._applyWrites(this._writes);
+    return [];
+  }
+}
+
+class Transaction extends WriteBatch {
+  constructor(store) {
+    super(store);
+    this._reads = new Map(); // doc path -> sequence number seen
+  }
+
+  _track(snapshot) {
+    const stored = this._store._collection(snapshot.ref._collectionPath).get(snapshot.id);
+    this._reads.set(snapshot.ref.path, stored ? stored.seq : 0);
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof DocumentReference) {
+      const snapshot = refOrQuery._snapshot();
+      this._track(snapshot);
+      return snapshot;
+    }
+    const result = refOrQuery._run();
+    result.docs.forEach((snapshot) => this._track(snapshot));
+    return result;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => this.get(ref)));
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this._collections = new Map();
+    this._seq = 0;
+    this._lastCommit = null;
+  }
+
+  // Strictly increasing, like Firestore commit times: a write committed after a read sorts after what it saw
+  _commitTime() {
+    const now = Timestamp.now();
+    const last = this._lastCommit;
+    if (last && now.toMillis() <= last.toMillis()) {
+      this._lastCommit = last.nanoseconds < 999999999
+        ? new Timestamp(last.seconds, last.nanoseconds + 1)
+        : new Timestamp(last.seconds + 1, 0);
+    } else {
+      this._lastCommit = now;
+    }
+    return this._lastCommit;
+  }
+
+  _collection(path) {
+    if (!this._collections.has(path)) this._collections.set(path, new Map());
+    return this._collections.get(path);
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Optimistic like Firestore: if a document read in the transaction changed before commit, retry
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const tx = new Transaction(this);
+      const result = await updateFunction(tx);
+
+      const stale = [...tx._reads.entries()].some(([path, seq]) => {
+        const [collectionPath, id] = [path.slice(0, path.lastIndexOf('/')), path.slice(path.lastIndexOf('/') + 1)];
+        const stored = this._collection(collectionPath).get(id);
+        return (stored ? stored.seq : 0) !== seq;
+      });
+
+      if (!stale) {
+        this._applyWrites(tx._writes);
+        return result;
+      }
+    }
+    throw storeError(ABORTED, 'Transaction aborted after too much contention');
+  }
+
+  // Validates every precondition first so a batch either fully applies or not at all
+  _applyWrites(writes) {
+    if (writes.length > MAX_WRITES_PER_COMMIT) {
+      throw storeError(INVALID_ARGUMENT, `A commit may contain at most ${MAX_WRITES_PER_COMMIT} writes`);
+    }
+
+    const prepared = writes.map((write) => ({
+      ...write,
+      data: write.data === undefined ? undefined : cloneValue(write.data),
+    }));
+
+    const pending = new Map();
+    const existsNow = (ref) =>
+      pending.has(ref.path) ? pending.get(ref.path) : this._collection(ref._collectionPath).has(ref.id);
+
+    for (const write of prepared) {
+      if (write.type === 'create' && existsNow(write.ref)) {
+        throw storeError(ALREADY_EXISTS, `Document already exists: ${write.ref.path}`);
+      }
+      if (write.type === 'update' && !existsNow(write.ref)) {
+        throw storeError(NOT_FOUND, `No document to update: ${write.ref.path}`);
+      }
+      pending.set(write.ref.path, write.type !== 'delete');
+    }
+
+    const now = this._commitTime();
+    for (const { type, ref, data, options } of prepared) {
+      const collection = this._collection(ref._collectionPath);
+      const existing = collection.get(ref.id);
+
+      if (type === 'delete') {
+        collection.delete(ref.id);
+        continue;
+      }
+
+      const merge = type === 'update' || options?.merge;
+      const base = merge && existing ? copyOut(existing.data) : {};
+
+      if (type === 'update') {
+        // update() treats keys as field paths and replaces nested maps wholesale
+        for (const [fieldPath, value] of Object.entries(data)) {
+          applyFields(base, { [fieldPath]: value }, now, null);
+        }
+      } else {
+        applyFields(base, data, now);
+      }
+
+      collection.set(ref.id, {
+        data: base,
+        seq: ++this._seq,
+        createTime: existing ? existing.createTime : now,
+        updateTime: now,
+      });
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Auth
+// ---------------------------------------------------------------------------
+
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+// Local stand-in for admin.auth(); passwords are bcrypt-hashed like the users collection
+class MemoryAuth {
+  constructor() {
+    this._users = new Map();
+  }
+
+  _byEmail(email) {
+    return [...this._users.values()].find((user) => user.email === email);
+  }
+
+  _record(user) {
+    return {
+      uid: user.uid,
+      email: user.email,
+      displayName: user.displayName,
+      emailVerified: user.emailVerified,
+      customClaims: { ...user.customClaims },
+    };
+  }
+
+  async createUser({ email, password, displayName = null, emailVerified = false, uid }) {
+    if (this._byEmail(email)) {
+      throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+    }
+    const user = {
+      uid: uid || crypto.randomBytes(21).toString('base64url').slice(0, 28),
+      email,
+      displayName,
+      emailVerified,
+      passwordHash: password ? await bcrypt.hash(password, 10) : null,
+      customClaims: {},
+    };
+    this._users.set(user.uid, user);
+    return this._record(user);
+  }
+
+  async getUser(uid) {
+    const user = this._users.get(uid);
+    if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    return this._record(user);
+  }
+
+  async getUserByEmail(email) {
+    const user = this._byEmail(email);
+    if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    return this._record(user);
+  }
+
+  async updateUser(uid, { password, email, displayName }) {
+    const user = this._users.get(uid);
+    if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    if (password) user.passwordHash = await bcrypt.hash(password, 10);
+    if (email) user.email = email;
+    if (displayName) user.displayName = displayName;
+    return this._record(user);
+  }
+
+  async deleteUser(uid) {
+    if (!this._users.delete(uid)) {
+      throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    const user = this._users.get(uid);
+    if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    user.customClaims = { ...claims };
+  }
+
+  async verifyPassword(email, password) {
+    const user = this._byEmail(email);
+    if (!user || !user.passwordHash || !(await bcrypt.compare(password, user.passwordHash))) {
+      throw authError('auth/invalid-credential', 'INVALID_LOGIN_CREDENTIALS');
+    }
+    return user.uid;
+  }
+}
+
+export const db = new MemoryFirestore();
+export const auth = new MemoryAuth();
+
+/**
+ * Verifies an email/password pair and returns the user's uid.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const signInWithPassword = (email, password) => auth.verifyPassword(email, password);
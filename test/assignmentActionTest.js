@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api';
+// Sync and action routes require an admin's or coordinator's JWT (or the assignee's); get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+// Two assignments on a new task: one accepted and completed with evidence, the other declined with a reason.
+// Synced status changes must follow the same rules
+export const syncAssignmentActions = async () => {
+  const taskId = 'task_' + faker.string.uuid();
+  const now = () => new Date().toISOString();
+
+  await axios.post(`${API_BASE}/sync/task`, {
+    task_id: taskId,
+    title: faker.hacker.phrase(),
+    status: 'pending',
+    priority: 'normal',
+    created_by: 'test_user_001',
+    updated_at: now(),
+  }, { headers });
+
+  const assign = async (userId) => {
+    const assignmentId = 'assign_' + faker.string.uuid();
+    await axios.post(`${API_BASE}/sync/task-assignment`, {
+      assignment_id: assignmentId,
+      task_id: taskId,
+      user_id: userId,
+      assigned_at: now(),
+      status: 'assigned',
+      updated_at: now(),
+    }, { headers });
+    return assignmentId;
+  };
+
+  const completing = await assign('test_user_001');
+  const accepted = await axios.post(`${API_BASE}/task-assignments/${completing}/accept`, {}, { headers });
+  console.log('✅ Assignment accepted:', accepted.data.assignment.status);
+
+  // accepted -> assigned is not a step of the workflow
+  const backwards = await axios.post(`${API_BASE}/sync/task-assignment`, {
+    ...accepted.data.assignment,
+    status: 'assigned',
+    base_version: accepted.data.assignment.version,
+    updated_at: now(),
+  }, { headers, validateStatus: (status) => status === 409 });
+  console.log('✅ Synced move back to assigned rejected:', backwards.data.conflict_type, backwards.data.allowed_transitions);
+
+  const completed = await axios.post(`${API_BASE}/task-assignments/${completing}/complete`, {
+    reason: 'Done',
+    evidence: {
+      notes: faker.lorem.sentence(),
+      photo_refs: [`photos/${completing}/1.jpg`],
+      gps: { latitude: faker.location.latitude(), longitude: faker.location.longitude(), accuracy_m: 8, captured_at: now() },
+    },
+  }, { headers });
+  console.log('✅ Assignment completed with evidence:', completed.data.assignment.evidence);
+
+  const declining = await assign('test_user_002');
+  const noReason = await axios.post(`${API_BASE}/task-assignments/${declining}/decline`, {}, {
+    headers,
+    validateStatus: (status) => status === 400,
+  });
+  console.log('✅ Decline without a reason rejected:', noReason.data.error);
+
+  const declined = await axios.post(`${API_BASE}/task-assignments/${declining}/decline`, { reason: 'Out sick' }, { headers });
+  console.log('✅ Assignment declined:', declined.data.assignment.status_reason, 'reassigned to', declined.data.reassigned_to);
+
+  // A decline applied through resolve-conflict is stamped and followed up like a synced one
+  const resolving = await assign('test_user_003');
+  const resolved = await axios.post(`${API_BASE}/sync/task-assignment/resolve-conflict`, {
+    assignment_id: resolving,
+    resolution_strategy: 'client_wins',
+    clientData: {
+      assignment_id: resolving,
+      task_id: taskId,
+      user_id: 'test_user_003',
+      status: 'declined',
+      status_reason: 'Vehicle broke down',
+      updated_at: now(),
+    },
+  }, { headers });
+
+  const pulled = await axios.get(`${API_BASE}/down-sync/task-assignments/by-user/test_user_003`, { headers });
+  const stored = pulled.data.assignments.find((a) => a.assignment_id === resolving);
+  if (!stored.declined_at || !stored.status_changed_by) {
+    throw new Error('Decline through resolve-conflict was not stamped');
+  }
+  console.log('✅ Assignment declined through resolve-conflict:', stored.declined_at, 'reassigned to', resolved.data.reassigned_to);
+};
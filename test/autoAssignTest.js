@@ -0,0 +1,27 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api';
+// Sync and task routes require an admin's or coordinator's JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+// Ranks field workers for a new task without assigning anyone; 404 when nobody is eligible
+export const syncAutoAssign = async () => {
+  const taskId = 'task_' + faker.string.uuid();
+
+  await axios.post(`${API_BASE}/sync/task`, {
+    task_id: taskId,
+    title: faker.hacker.phrase(),
+    status: 'pending',
+    priority: 'normal',
+    location_id: 'loc_001',
+    created_by: 'test_user_001',
+    updated_at: new Date().toISOString(),
+  }, { headers });
+
+  const res = await axios.post(`${API_BASE}/tasks/${taskId}/auto-assign`, { count: 2, dry_run: true }, {
+    headers,
+    validateStatus: (status) => status === 200 || status === 404,
+  });
+  console.log('✅ Auto-assign ranking:', res.data.ranking ?? res.data.error);
+};
@@ -0,0 +1,48 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api/sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+export const syncBatch = async () => {
+  const taskId = 'task_' + faker.string.uuid();
+  const now = new Date().toISOString();
+
+  const data = {
+    operations: [
+      {
+        operation_id: faker.string.uuid(),
+        entity: 'task',
+        action: 'sync',
+        data: {
+          task_id: taskId,
+          title: faker.hacker.phrase(),
+          description: faker.lorem.sentence(),
+          status: 'pending',
+          priority: 'normal',
+          created_by: 'test_user_001',
+          due_date: faker.date.future().toISOString(),
+          created_at: now,
+          updated_at: now,
+        },
+      },
+      {
+        operation_id: faker.string.uuid(),
+        entity: 'task-assignment',
+        action: 'sync',
+        data: {
+          assignment_id: 'assign_' + faker.string.uuid(),
+          task_id: taskId,
+          user_id: 'test_user_001',
+          assigned_at: now,
+          status: 'assigned',
+          updated_at: now,
+        },
+      },
+    ],
+  };
+
+  const res = await axios.post(`${API_BASE}/batch`, data, { headers });
+  console.log('✅ Batch sync:', JSON.stringify(res.data, null, 2));
+};
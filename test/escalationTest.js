@@ -0,0 +1,26 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api';
+// Sync routes require a JWT; get one from POST /api/login. Running the escalation check needs an admin's
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+// An urgent task due an hour ago with nobody on it is both overdue and unassigned: the first check sends its
+// escalations, and a second check right after sends none of them again
+export const syncTaskEscalation = async () => {
+  await axios.post(`${API_BASE}/sync/task`, {
+    task_id: 'task_' + faker.string.uuid(),
+    title: faker.hacker.phrase(),
+    status: 'pending',
+    priority: 'urgent',
+    created_by: 'test_user_001',
+    due_date: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    updated_at: new Date().toISOString(),
+  }, { headers });
+
+  const first = await axios.post(`${API_BASE}/admin/jobs/task-escalation/run`, {}, { headers });
+  console.log('✅ Task escalation check:', first.data.summary);
+
+  const second = await axios.post(`${API_BASE}/admin/jobs/task-escalation/run`, {}, { headers });
+  console.log('✅ Task escalation check repeated:', second.data.summary);
+};
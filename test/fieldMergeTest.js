@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { threeWayMerge, mergeKeyedList } from '../controllers/sync/fieldMerge.js';
+
+// Runs controllers/sync/fieldMerge.js directly; needs no server or token, only the storage settings it loads
+export const checkFieldMerge = async () => {
+  const base = { title: 'Water check', priority: 'normal', status: 'todo', updated_at: '2026-01-01T00:00:00Z' };
+
+  // Different fields edited on each side merge; the same field edited differently collides
+  const merged = threeWayMerge(base, { ...base, title: 'Water and soap check' }, { ...base, priority: 'urgent' });
+  assert.deepEqual(merged.collisions, []);
+  assert.equal(merged.merged.title, 'Water and soap check');
+  assert.equal(merged.merged.priority, 'urgent');
+
+  const collided = threeWayMerge(base, { ...base, status: 'completed' }, { ...base, status: 'cancelled' });
+  assert.deepEqual(collided.collisions.map((c) => [c.field, c.client_value, c.server_value]), [['status', 'completed', 'cancelled']]);
+  console.log('✅ Field merge of records');
+
+  // Checklist items merge by item_id: each side's additions are kept, edits to different items merge
+  const checklist = [{ item_id: 'i1', text: 'Fill tank', done: false }, { item_id: 'i2', text: 'Test chlorine', done: false }];
+  const list = mergeKeyedList(
+    checklist,
+    [{ ...checklist[0], done: true }, checklist[1], { item_id: 'i3', text: 'Log reading', done: false }],
+    [checklist[0], { ...checklist[1], text: 'Test chlorine twice' }],
+    'item_id',
+  );
+  assert.deepEqual(list.collisions, []);
+  assert.deepEqual(list.merged.map((item) => [item.item_id, item.done, item.text]), [
+    ['i1', true, 'Fill tank'],
+    ['i2', false, 'Test chlorine twice'],
+    ['i3', false, 'Log reading'],
+  ]);
+
+  // Removing an item the other side edited collides, with item_field null
+  const removed = mergeKeyedList(checklist, [checklist[1]], [{ ...checklist[0], done: true }, checklist[1]], 'item_id');
+  assert.deepEqual(removed.collisions.map((c) => [c.item_id, c.item_field]), [['i1', null]]);
+
+  const withList = threeWayMerge({ checklist }, { checklist: [{ ...checklist[0], done: true }, checklist[1]] },
+    { checklist: [{ ...checklist[0], done: false, text: 'Fill tank fully' }, checklist[1]] }, { lists: { checklist: 'item_id' } });
+  assert.deepEqual(withList.collisions, []);
+  assert.deepEqual(withList.merged.checklist[0], { item_id: 'i1', text: 'Fill tank fully', done: true });
+  console.log('✅ Field merge of checklist items');
+};
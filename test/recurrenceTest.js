@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { parseRecurrence, occurrencesBetween } from '../config/recurrence.js';
+
+// Runs config/recurrence.js directly; needs no server or token
+const days = (rule, start, from, to) =>
+  occurrencesBetween(parseRecurrence(rule).rule, new Date(start), from && new Date(from), new Date(to))
+    .map((at) => at.toISOString().slice(0, 10));
+
+export const checkRecurrence = async () => {
+  // Months without the 31st are skipped, -1 is always the last day (including a leap February)
+  assert.deepEqual(days('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31T09:00:00Z', null, '2026-06-30T23:59:59Z'),
+    ['2026-01-31', '2026-03-31', '2026-05-31']);
+  assert.deepEqual(days('FREQ=MONTHLY;BYMONTHDAY=-1', '2028-01-15T09:00:00Z', null, '2028-04-30T23:59:59Z'),
+    ['2028-01-31', '2028-02-29', '2028-03-31', '2028-04-30']);
+  console.log('✅ Recurrence month-end BYMONTHDAY');
+
+  // COUNT counts from the start, not from `from`
+  assert.deepEqual(days('FREQ=DAILY;COUNT=3', '2026-01-01T08:00:00Z', null, '2026-12-31T00:00:00Z'),
+    ['2026-01-01', '2026-01-02', '2026-01-03']);
+  assert.deepEqual(days('FREQ=DAILY;COUNT=3', '2026-01-01T08:00:00Z', '2026-01-02T08:00:00Z', '2026-12-31T00:00:00Z'),
+    ['2026-01-03']);
+  console.log('✅ Recurrence COUNT');
+
+  // A date-only UNTIL includes the whole day; one with a time stops before a later occurrence that day
+  assert.equal(days('FREQ=DAILY;UNTIL=20260105', '2026-01-01T08:00:00Z', null, '2026-12-31T00:00:00Z').length, 5);
+  assert.equal(days('FREQ=DAILY;UNTIL=20260105T070000Z', '2026-01-01T08:00:00Z', null, '2026-12-31T00:00:00Z').length, 4);
+  assert.equal(days('FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=2026-01-15', '2026-01-01T08:00:00Z', null, '2026-12-31T00:00:00Z').length, 4);
+  console.log('✅ Recurrence UNTIL');
+
+  assert.ok(parseRecurrence('FREQ=DAILY;COUNT=2;UNTIL=20260105').error);
+  assert.ok(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=0').error);
+  assert.ok(parseRecurrence('FREQ=DAILY;BYMONTHDAY=1').error);
+  console.log('✅ Recurrence invalid rules rejected');
+};
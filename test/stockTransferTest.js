@@ -0,0 +1,57 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api/sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+// Moves 20 units of a new supply from loc_001 to loc_002: requested, dispatched, received in two parts,
+// and closed with 3 units short, which needs a discrepancy_note
+export const syncStockTransfer = async () => {
+  const supplyId = 'supply_' + faker.string.uuid();
+
+  await axios.post(`${API_BASE}/supply`, {
+    supply_id: supplyId,
+    user_id: 'test_user_001',
+    item_name: faker.commerce.productName(),
+    quantity: 50,
+    location_id: 'loc_001',
+    status: 'active',
+    updated_at: new Date().toISOString(),
+  }, { headers });
+
+  let transfer = {
+    transfer_id: 'transfer_' + faker.string.uuid(),
+    source_supply_id: supplyId,
+    destination_location_id: 'loc_002',
+    status: 'requested',
+    quantity_requested: 20,
+    updated_at: new Date().toISOString(),
+  };
+
+  // Each step resends the whole transfer with its new status, based on the version the last step returned
+  const step = async (changes) => {
+    transfer = { ...transfer, ...changes, updated_at: new Date().toISOString() };
+    const res = await axios.post(`${API_BASE}/stock-transfer`, transfer, { headers });
+    transfer.base_version = res.data.version;
+    return res.data;
+  };
+
+  console.log('✅ Stock transfer requested:', await step({}));
+  console.log('✅ Stock transfer dispatched:', await step({ status: 'dispatched', quantity_dispatched: 20 }));
+  console.log('✅ Stock transfer partially received:', await step({ status: 'partially_received', quantity_received: 12 }));
+
+  const missingNote = await axios.post(`${API_BASE}/stock-transfer`, {
+    ...transfer,
+    status: 'received',
+    quantity_received: 17,
+    updated_at: new Date().toISOString(),
+  }, { headers, validateStatus: (status) => status === 400 });
+  console.log('✅ Stock transfer short receipt without a note rejected:', missingNote.data.error);
+
+  console.log('✅ Stock transfer received with discrepancy:', await step({
+    status: 'received',
+    quantity_received: 17,
+    discrepancy_note: '3 units damaged in transit',
+  }));
+};
@@ -2,6 +2,8 @@ import axios from 'axios';
 import { faker } from '@faker-js/faker';
 
 const API_BASE = 'http://localhost:5000/api/sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
 
 export const syncSupply = async () => {
   const data = {
@@ -13,8 +15,9 @@ export const syncSupply = async () => {
     location_id: 'loc_001',
     timestamp: new Date().toISOString(),
     status: faker.helpers.arrayElement(['active', 'expired', 'used']),
+    updated_at: new Date().toISOString(),
   };
 
-  const res = await axios.post(`${API_BASE}/supply`, data);
+  const res = await axios.post(`${API_BASE}/supply`, data, { headers });
   console.log('✅ Supply sync:', res.data);
 };
\ No newline at end of file
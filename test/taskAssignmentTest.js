@@ -2,6 +2,8 @@ import axios from 'axios';
 import { faker } from '@faker-js/faker';
 
 const API_BASE = 'http://localhost:5000/api/sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
 
 export const syncTaskAssignment = async () => {
   const data = {
@@ -11,8 +13,9 @@ export const syncTaskAssignment = async () => {
     assigned_at: new Date().toISOString(),
     status: faker.helpers.arrayElement(['assigned', 'accepted', 'declined']),
     feedback: faker.lorem.sentence(),
+    updated_at: new Date().toISOString(),
   };
 
-  const res = await axios.post(`${API_BASE}/task-assignment`, data);
+  const res = await axios.post(`${API_BASE}/task-assignment`, data, { headers });
   console.log('✅ Task assignment sync:', res.data);
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { faker } from '@faker-js/faker';
+
+const API_BASE = 'http://localhost:5000/api/sync';
+const ADMIN_BASE = 'http://localhost:5000/api/admin';
+// Sync routes require a JWT; get one from POST /api/login. Running the scheduler needs an admin's
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
+
+// A daily template for three days from tomorrow: syncing it creates all three tasks, and a scheduler run
+// afterwards creates none of them again
+export const syncTaskTemplate = async () => {
+  const startsAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  startsAt.setUTCHours(8, 0, 0, 0);
+
+  const template = {
+    template_id: 'template_' + faker.string.uuid(),
+    title: faker.hacker.phrase(),
+    description: faker.lorem.sentence(),
+    priority: 'normal',
+    created_by: 'test_user_001',
+    recurrence: 'FREQ=DAILY;COUNT=3',
+    starts_at: startsAt.toISOString(),
+    assignee_ids: ['test_user_001'],
+    active: true,
+    updated_at: new Date().toISOString(),
+  };
+
+  const synced = await axios.post(`${API_BASE}/task-template`, template, { headers });
+  console.log('✅ Task template synced:', synced.data);
+
+  const rerun = await axios.post(`${ADMIN_BASE}/jobs/task-scheduler/run`, {}, { headers });
+  console.log('✅ Task scheduler rerun:', rerun.data.summary);
+
+  const invalid = await axios.post(`${API_BASE}/task-template`, {
+    ...template,
+    template_id: 'template_' + faker.string.uuid(),
+    recurrence: 'FREQ=MONTHLY;BYMONTHDAY=32',
+  }, { headers, validateStatus: (status) => status === 400 });
+  console.log('✅ Task template with an invalid recurrence rejected:', invalid.data.validation_errors);
+};
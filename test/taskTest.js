@@ -2,19 +2,90 @@ import axios from 'axios';
 import { faker } from '@faker-js/faker';
 
 const API_BASE = 'http://localhost:5000/api/sync';
+const DOWN_SYNC_BASE = 'http://localhost:5000/api/down-sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
 
 export const syncTask = async () => {
   const data = {
     task_id: 'task_' + faker.string.uuid(),
     title: faker.hacker.phrase(),
     description: faker.lorem.sentence(),
-    status: faker.helpers.arrayElement(['pending', 'in-progress', 'completed']),
+    status: faker.helpers.arrayElement(['pending', 'todo']), // New tasks start in one of INITIAL_TASK_STATUSES
     priority: faker.helpers.arrayElement(['low', 'normal', 'high']),
     created_by: 'test_user_001',
     due_date: faker.date.future().toISOString(),
     created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
   };
 
-  const res = await axios.post(`${API_BASE}/task`, data);
+  const res = await axios.post(`${API_BASE}/task`, data, { headers });
   console.log('✅ Task sync:', res.data);
-};
\ No newline at end of file
+};
+
+// Moves a task through config/taskLifecycle.js: pending -> todo is allowed for admins and coordinators,
+// todo -> completed skips in_progress and is answered with 409 invalid_transition
+export const syncTaskTransitions = async () => {
+  const task = {
+    task_id: 'task_' + faker.string.uuid(),
+    title: faker.hacker.phrase(),
+    description: faker.lorem.sentence(),
+    status: 'pending',
+    priority: 'normal',
+    created_by: 'test_user_001',
+    due_date: faker.date.future().toISOString(),
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+
+  const created = await axios.post(`${API_BASE}/task`, task, { headers });
+
+  const allowed = await axios.post(`${API_BASE}/task`, {
+    ...task,
+    status: 'todo',
+    base_version: created.data.version,
+    updated_at: new Date().toISOString(),
+  }, { headers });
+  console.log('✅ Task transition pending -> todo:', allowed.data);
+
+  const rejected = await axios.post(`${API_BASE}/task`, {
+    ...task,
+    status: 'completed',
+    base_version: allowed.data.version,
+    updated_at: new Date().toISOString(),
+  }, { headers, validateStatus: (status) => status === 409 });
+  console.log('✅ Task transition todo -> completed rejected:', rejected.data.conflict_type, rejected.data.allowed_transitions);
+};
+// A sync carrying only the status (as field workers send it) leaves the task's other fields as they are
+export const syncTaskStatusOnly = async () => {
+  const task = {
+    task_id: 'task_' + faker.string.uuid(),
+    title: faker.hacker.phrase(),
+    description: faker.lorem.sentence(),
+    status: 'todo',
+    priority: 'urgent',
+    location_id: 'loc_001',
+    created_by: 'test_user_001',
+    due_date: faker.date.future().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+
+  const created = await axios.post(`${API_BASE}/task`, task, { headers });
+  await axios.post(`${API_BASE}/task`, {
+    task_id: task.task_id,
+    title: task.title,
+    created_by: task.created_by,
+    status: 'in_progress',
+    base_version: created.data.version,
+    updated_at: new Date().toISOString(),
+  }, { headers });
+
+  const pulled = await axios.get(`${DOWN_SYNC_BASE}/tasks/created-by/${task.created_by}`, { headers });
+  const stored = pulled.data.tasks.find((t) => t.task_id === task.task_id);
+  const lost = ['description', 'priority', 'location_id'].filter((field) => stored[field] !== task[field]);
+  if (new Date(stored.due_date).getTime() !== new Date(task.due_date).getTime()) lost.push('due_date');
+  if (stored.status !== 'in_progress' || lost.length > 0) {
+    throw new Error(`Status-only task sync changed ${lost.join(', ') || 'the status'}`);
+  }
+  console.log('✅ Task status-only sync kept the other fields:', stored.status, stored.priority, stored.location_id);
+};
@@ -2,19 +2,37 @@
 import { syncUser } from './userTest.js';
 import { syncRegistration } from './registrationTest.js';
 import { syncSupply } from './supplyTest.js';
-import { syncTask } from './taskTest.js';
+import { syncStockTransfer } from './stockTransferTest.js';
+import { syncTask, syncTaskTransitions, syncTaskStatusOnly } from './taskTest.js';
 import { syncTaskAssignment } from './taskAssignmentTest.js';
+import { syncTaskTemplate } from './taskTemplateTest.js';
+import { syncAutoAssign } from './autoAssignTest.js';
+import { syncAssignmentActions } from './assignmentActionTest.js';
+import { syncTaskEscalation } from './escalationTest.js';
+import { checkRecurrence } from './recurrenceTest.js';
+import { checkFieldMerge } from './fieldMergeTest.js';
 import { syncLocation } from './locationTest.js';
 import { syncAlert } from './alertTest.js';
+import { syncBatch } from './batchTest.js';
 
 const syncAll = async () => {
   await syncUser();
   await syncRegistration();
   await syncSupply();
+  await syncStockTransfer();
   await syncTask();
+  await syncTaskTransitions();
+  await syncTaskStatusOnly();
   await syncTaskAssignment();
+  await checkRecurrence();
+  await syncTaskTemplate();
+  await syncAutoAssign();
+  await syncAssignmentActions();
+  await syncTaskEscalation();
   await syncLocation();
   await syncAlert();
+  await syncBatch();
+  await checkFieldMerge();
 };
 
 syncAll();
@@ -2,6 +2,8 @@ import axios from 'axios';
 import { faker } from '@faker-js/faker';
 
 const API_BASE = 'http://localhost:5000/api/sync';
+// Sync routes require a JWT; get one from POST /api/login
+const headers = { Authorization: `Bearer ${process.env.TEST_TOKEN}` };
 
 export const syncUser = async () => {
   const data = {
@@ -9,13 +11,13 @@ export const syncUser = async () => {
     name: faker.person.fullName(),
     email: faker.internet.email(),
     role: 'volunteer',
-    phone_number: faker.phone.number('+1##########'),
+    phone_number: '+1' + faker.string.numeric(10),
     image_url: faker.image.avatar(),
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
   };
 
-  const res = await axios.post(`${API_BASE}/user`, data);
+  const res = await axios.post(`${API_BASE}/user`, data, { headers });
   console.log('✅ User sync:', res.data);
 };
     
\ No newline at end of file